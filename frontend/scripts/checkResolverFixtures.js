@@ -0,0 +1,19 @@
+/* eslint-env node */
+/**
+ * Check every built-in media resolver against its fixtures
+ * Exits non-zero when any fixture resolves differently than expected
+ */
+
+import { runResolverFixtures } from '../src/services/mediaResolvers/fixtures.js';
+
+const results = runResolverFixtures();
+const failures = results.filter(result => !result.passed);
+
+failures.forEach(({ resolver, description, actual, expected }) => {
+  console.error(`✗ ${resolver}: ${description}`);
+  console.error(`  expected ${JSON.stringify(expected)}`);
+  console.error(`  actual   ${JSON.stringify(actual)}`);
+});
+
+console.log(`${results.length - failures.length}/${results.length} resolver fixtures passed`);
+process.exitCode = failures.length > 0 ? 1 : 0;
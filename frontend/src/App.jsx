@@ -1,25 +1,57 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import './App.css';
 import Header from './components/Header.jsx';
 import SubredditManagement from './components/SubredditManagement.jsx';
 import FilterPanel from './components/FilterPanel.jsx';
 import PostGrid from './components/PostGrid.jsx';
 import TextListView from './components/TextListView.jsx';
+import Slideshow from './components/Slideshow.jsx';
 import ViewToggle from './components/ViewToggle.jsx';
 import ThemeToggle from './components/ThemeToggle.jsx';
 import RefreshPauseToggle from './components/RefreshPauseToggle.jsx';
+import NewPostsBanner from './components/NewPostsBanner.jsx';
+import Lightbox from './components/Lightbox.jsx';
+import SavedView from './components/SavedView.jsx';
+import CommentsPanel from './components/CommentsPanel.jsx';
 import { ThemeProvider } from './contexts/ThemeContext.jsx';
-import { createRedditClient } from './services/redditClient.js';
+import { MediaBlurProvider } from './contexts/MediaBlurContext.jsx';
+import { createRedditClient, getRedditClient } from './services/redditClient.js';
+import { isAuthCallbackUrl } from './services/redditAuth.js';
+import { configurePostCache } from './services/postCache.js';
+import { configureImgur } from './services/imgurApi.js';
 import { useRedditData } from './hooks/useRedditData.js';
+import { useSeenPosts } from './hooks/useSeenPosts.js';
+import { useSavedPosts } from './hooks/useSavedPosts.js';
+import { countSavedTags } from './services/savedPosts.js';
+import { collapseCrossposts } from './utils/crosspostCollapse.js';
+import { collapseDuplicates, getMaxHashDistance } from './utils/duplicateCollapse.js';
+import { getDuplicateStrictness, setDuplicateStrictness as saveDuplicateStrictness } from './services/imageHashes.js';
+import { useImageHashes } from './hooks/useImageHashes.js';
+import { createQueryFilter } from './utils/queryParser.js';
+import { applyMuteRules } from './utils/muteRules.js';
 import { logCompatibilityInfo, getBrowserInfo } from './utils/browserCompat.js';
 
 function App() {
   const [activeSubreddits, setActiveSubreddits] = useState([]);
   const [activeMediaTypes, setActiveMediaTypes] = useState([]);
+  const [localQuery, setLocalQuery] = useState('');
+  const [muteRules, setMuteRules] = useState([]);
+  const [nsfwSetting, setNsfwSetting] = useState('sfw');
+  const [hideSeen, setHideSeen] = useState(false);
+  const [hiddenFlags, setHiddenFlags] = useState([]);
+  const [hiddenSeenIds, setHiddenSeenIds] = useState(() => new Set());
+  const [showSaved, setShowSaved] = useState(false);
+  const [savedQuery, setSavedQuery] = useState('');
+  const [savedTag, setSavedTag] = useState(null);
+  const [duplicateStrictness, setDuplicateStrictness] = useState(getDuplicateStrictness);
   const [sortBy, setSortBy] = useState('createTime');
-  const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
+  const [viewMode, setViewMode] = useState('grid'); // 'grid', 'masonry', 'list' or 'slideshow'
   const [redditClientReady, setRedditClientReady] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [commentsPost, setCommentsPost] = useState(null);
+  const [lightbox, setLightbox] = useState(null); // { postId, galleryIndex } while the viewer is open
+  const authCallbackHandledRef = useRef(false);
   
   // Polling interval constant
   const POLLING_INTERVAL = 30000; // 30 seconds
@@ -40,10 +72,18 @@ function App() {
       clientSecret: import.meta.env.VITE_REDDIT_CLIENT_SECRET,
       userAgent: import.meta.env.VITE_REDDIT_USER_AGENT,
       username: import.meta.env.VITE_REDDIT_USERNAME,
-      password: import.meta.env.VITE_REDDIT_PASSWORD
+      password: import.meta.env.VITE_REDDIT_PASSWORD,
+      redirectUri: import.meta.env.VITE_REDDIT_REDIRECT_URI,
+      scope: import.meta.env.VITE_REDDIT_SCOPE,
+      maxConcurrentRequests: import.meta.env.VITE_REDDIT_MAX_CONCURRENT_REQUESTS
     };
 
-    createRedditClient(redditConfig);
+    const redditClient = createRedditClient(redditConfig);
+    setCurrentUser(redditClient.getCurrentUser());
+    configurePostCache({ maxEntries: import.meta.env.VITE_POST_CACHE_MAX_ENTRIES });
+    configureImgur({ clientId: import.meta.env.VITE_IMGUR_CLIENT_ID });
+    setMuteRules(redditClient.getMuteRules());
+    setNsfwSetting(redditClient.getNsfwSetting());
     setRedditClientReady(true);
     console.log('Reddit client initialized and ready');
   }, []);
@@ -55,11 +95,67 @@ function App() {
     error,
     lastUpdated,
     isPolling,
-    refresh
+    loadingMore,
+    hasMore,
+    pendingPosts,
+    updateStats,
+    staleSince,
+    refresh,
+    loadMore,
+    retryConfig,
+    revealNewPosts
   } = useRedditData(POLLING_INTERVAL, isPaused);
 
-  // Filter posts based on subreddit and media type filters
-  const filteredPosts = posts.filter(post => {
+  const { seenIds, lastVisit, markSeen } = useSeenPosts();
+  const { savedItems, savedIds, toggleSave, updateTags, syncToReddit, setSyncToReddit } = useSavedPosts(currentUser);
+
+  // Complete the OAuth redirect callback once the client is ready
+  useEffect(() => {
+    if (!redditClientReady || authCallbackHandledRef.current || !isAuthCallbackUrl(window.location)) {
+      return;
+    }
+    authCallbackHandledRef.current = true;
+    
+    getRedditClient().completeLogin(window.location.href)
+      .then((username) => {
+        setCurrentUser(username);
+        refresh();
+      })
+      .catch((err) => {
+        console.error('Error completing sign-in:', err);
+        alert(`Sign-in failed: ${err.message}`);
+      })
+      .finally(() => {
+        // Leave the callback route so a reload doesn't replay the single-use code
+        window.history.replaceState(null, '', '/');
+      });
+  }, [redditClientReady, refresh]);
+
+  // Muted authors, domains, titles and flairs never reach the other filters
+  const { posts: unmutedPosts, hitCounts: muteHitCounts } = applyMuteRules(posts, muteRules);
+  const mutedCount = posts.length - unmutedPosts.length;
+
+  // Reposts of the same image are folded once the feed is filtered and sorted (below)
+  const maxHashDistance = getMaxHashDistance(duplicateStrictness);
+  const imageHashes = useImageHashes(posts, maxHashDistance !== null);
+
+  // Unseen posts created since the app was last closed
+  const newSinceLastVisit = lastVisit
+    ? unmutedPosts.filter(post => post.createdUtc * 1000 > lastVisit && !seenIds.has(post.id)).length
+    : null;
+
+  // The slideshow has no banner to click, so new posts go straight into the feed
+  useEffect(() => {
+    if (viewMode === 'slideshow' && pendingPosts.length > 0) {
+      revealNewPosts();
+    }
+  }, [viewMode, pendingPosts, revealNewPosts]);
+
+  // Compile the local query once per edit rather than once per post
+  const queryFilter = useMemo(() => createQueryFilter(localQuery), [localQuery]);
+
+  // Filter posts based on subreddit, media type and local query filters
+  const filteredPosts = unmutedPosts.filter(post => {
     // Subreddit filter (activeSubreddits contains subreddits to HIDE)
     if (activeSubreddits.length > 0) {
       if (activeSubreddits.includes(post.subreddit)) {
@@ -74,6 +170,21 @@ function App() {
       }
     }
     
+    // Local query filter (invalid queries match everything)
+    if (!queryFilter.matches(post)) {
+      return false;
+    }
+    
+    // Flag filter (hiddenFlags contains post flags to HIDE, e.g. stickied)
+    if (hiddenFlags.some(flag => post[flag])) {
+      return false;
+    }
+    
+    // Seen filter (only posts seen before hiding was last applied)
+    if (hideSeen && hiddenSeenIds.has(post.id)) {
+      return false;
+    }
+    
     return true;
   });
 
@@ -86,6 +197,11 @@ function App() {
         return sortedPosts.sort((a, b) => b.createdUtc - a.createdUtc);
       case 'upvotes':
         return sortedPosts.sort((a, b) => b.ups - a.ups);
+      case 'comments':
+        return sortedPosts.sort((a, b) => (b.numComments ?? 0) - (a.numComments ?? 0));
+      case 'upvoteRatio':
+        // Posts cached before the ratio was kept sort last
+        return sortedPosts.sort((a, b) => (b.upvoteRatio ?? -1) - (a.upvoteRatio ?? -1));
       case 'username':
         return sortedPosts.sort((a, b) => a.author.localeCompare(b.author));
       default:
@@ -94,7 +210,25 @@ function App() {
   };
 
   // Apply filtering and sorting
-  const processedPosts = sortPosts(filteredPosts, sortBy);
+  const sortedPosts = sortPosts(filteredPosts, sortBy);
+
+  // Show crossposts of the same original as a single card; a hidden original
+  // hands its card to the first visible crosspost
+  const collapsedPosts = collapseCrossposts(sortedPosts);
+
+  // Fold reposts of the same image, from any subreddit, into one card; only
+  // visible posts take part, and the first one in display order leads the group
+  const processedPosts = collapseDuplicates(collapsedPosts, imageHashes, maxHashDistance);
+
+  // Saved posts matching the saved view's tag and search filters
+  const savedQueryFilter = useMemo(() => createQueryFilter(savedQuery), [savedQuery]);
+  const filteredSavedItems = savedItems.filter(item =>
+    (!savedTag || item.tags.includes(savedTag)) && savedQueryFilter.matches(item.post)
+  );
+  const savedPosts = filteredSavedItems.map(item => ({ ...item.post, savedTags: item.tags }));
+
+  // The lightbox steps through whichever posts are on screen
+  const visiblePosts = showSaved ? savedPosts : processedPosts;
 
   // Handle sort changes
   const handleSortChange = (newSortBy) => {
@@ -119,10 +253,88 @@ function App() {
 
   // Handle NSFW setting changes
   const handleNsfwChange = (newSetting) => {
+    setNsfwSetting(newSetting);
     // Refresh data when NSFW setting changes to get new content
     refresh();
   };
 
+  // Handle media host changes
+  const handleMediaHostsChange = () => {
+    // Media is resolved when posts are fetched, so refetch to apply the change
+    refresh();
+  };
+
+  // Handle duplicate detection strictness changes
+  const handleDuplicateStrictnessChange = (strictness) => {
+    saveDuplicateStrictness(strictness);
+    setDuplicateStrictness(strictness);
+  };
+
+  // Handle the hide seen toggle
+  // Posts seen while hiding is on stay visible until the next reveal, so cards
+  // don't disappear while they are being read
+  const handleHideSeenChange = (enabled) => {
+    setHideSeen(enabled);
+    setHiddenSeenIds(new Set(seenIds));
+  };
+
+  // Reveal polled posts, hiding the ones seen since the last reveal
+  const handleRevealNewPosts = () => {
+    if (hideSeen) {
+      setHiddenSeenIds(new Set(seenIds));
+    }
+    revealNewPosts();
+  };
+
+  // Handle mute actions from a post's menu
+  const handleMute = (type, value) => {
+    const redditClient = getRedditClient();
+    if (redditClient.addMuteRule(type, value)) {
+      setMuteRules(redditClient.getMuteRules());
+    }
+  };
+
+  // Handle mute rules added or removed in the mute manager
+  const handleMuteRulesChange = () => {
+    setMuteRules(getRedditClient().getMuteRules());
+  };
+
+  // Edit a saved post's tags
+  const handleEditTags = (post) => {
+    const item = savedItems.find(saved => saved.id === post.id);
+    if (!item) return;
+
+    const input = prompt('Tags for this post (comma-separated):', item.tags.join(', '));
+    if (input !== null) {
+      updateTags(post.id, input);
+    }
+  };
+
+  // Open a post's media in the full-screen viewer
+  const handleOpenMedia = (post, galleryIndex = 0) => {
+    markSeen(post.id);
+    setLightbox({ postId: post.id, galleryIndex });
+  };
+
+  const handleLightboxNavigate = useCallback((postId) => {
+    markSeen(postId);
+    setLightbox({ postId, galleryIndex: 0 });
+  }, [markSeen]);
+
+  const handleLightboxClose = useCallback(() => {
+    setLightbox(null);
+  }, []);
+
+  // Open a post's comment thread in the side panel
+  const handleOpenComments = (post) => {
+    markSeen(post.id);
+    setCommentsPost(post);
+  };
+
+  const handleCommentsClose = useCallback(() => {
+    setCommentsPost(null);
+  }, []);
+
   // Handle view mode changes
   const handleViewModeChange = (newViewMode) => {
     setViewMode(newViewMode);
@@ -140,6 +352,13 @@ function App() {
     console.log(`Refresh ${scrollPausedState ? 'paused' : 'resumed'} due to scrolling`);
   };
 
+  // Handle sign-in, sign-out and account switches
+  const handleAuthChange = (username) => {
+    setCurrentUser(username);
+    console.log(username ? `Now browsing as u/${username}` : 'Now browsing anonymously');
+    refresh();
+  };
+
   // Handle profile changes
   const handleProfileChange = (profile, uiPreferences) => {
     console.log(`Profile changed to: ${profile.name}`);
@@ -154,77 +373,182 @@ function App() {
       }
     }
     
+    // Mute rules and the NSFW setting are stored per profile
+    setMuteRules(getRedditClient().getMuteRules());
+    setNsfwSetting(getRedditClient().getNsfwSetting());
+    
     // Refresh data to load new profile's subreddit configurations
     refresh();
   };
 
   return (
     <ThemeProvider>
-      <div className="App">
-        <Header 
-          totalPosts={posts.length}
-          filteredPosts={filteredPosts.length}
-          lastUpdated={lastUpdated}
-          error={error}
-          hasActiveFilters={activeSubreddits.length > 0 || activeMediaTypes.length > 0}
-          isPolling={isPolling}
-          pollingInterval={POLLING_INTERVAL}
-          onRefresh={refresh}
-          onProfileChange={handleProfileChange}
-          onConfigChange={handleConfigChange}
-          redditClientReady={redditClientReady}
-        />
+      <MediaBlurProvider nsfwSetting={nsfwSetting}>
+        <div className="App">
+          <Header 
+            totalPosts={posts.length}
+            filteredPosts={processedPosts.length}
+            pendingPosts={pendingPosts.length}
+            updateStats={updateStats}
+            lastUpdated={lastUpdated}
+            staleSince={staleSince}
+            error={error}
+            hasActiveFilters={activeSubreddits.length > 0 || activeMediaTypes.length > 0 || queryFilter.isActive || mutedCount > 0 || hideSeen || hiddenFlags.length > 0}
+            newSinceLastVisit={newSinceLastVisit}
+            isPolling={isPolling}
+            pollingInterval={POLLING_INTERVAL}
+            onRefresh={refresh}
+            onProfileChange={handleProfileChange}
+            onConfigChange={handleConfigChange}
+            currentUser={currentUser}
+            onAuthChange={handleAuthChange}
+            redditClientReady={redditClientReady}
+          />
         
-        <SubredditManagement 
-          onConfigChange={handleConfigChange} 
-          redditClientReady={redditClientReady}
-        />
+          <SubredditManagement 
+            onConfigChange={handleConfigChange} 
+            redditClientReady={redditClientReady}
+            currentUser={currentUser}
+            lastUpdated={lastUpdated}
+            onRetryConfig={retryConfig}
+          />
         
-        {loading ? (
-          <div className="loading">Loading posts...</div>
-        ) : error ? (
-          <div className="error">
-            <p>Error: {error}</p>
-            <button onClick={refresh}>Retry</button>
-          </div>
-        ) : (
-          <>
-            <div className="controls-container">
-              <FilterPanel 
-                posts={posts}
-                activeSubreddits={activeSubreddits}
-                onSubredditChange={handleSubredditChange}
-                activeMediaTypes={activeMediaTypes}
-                onMediaTypeChange={handleMediaTypeChange}
-                sortBy={sortBy}
-                onSortChange={handleSortChange}
-                onNsfwChange={handleNsfwChange}
-              />
-              <div className="view-toggle-container">
-                <ViewToggle 
-                  viewMode={viewMode}
-                  onViewModeChange={handleViewModeChange}
+          {showSaved ? (
+            <SavedView
+              items={filteredSavedItems}
+              posts={savedPosts}
+              totalCount={savedItems.length}
+              tagCounts={countSavedTags(savedItems)}
+              query={savedQuery}
+              queryError={savedQueryFilter.error}
+              onQueryChange={setSavedQuery}
+              activeTag={savedTag}
+              onTagChange={setSavedTag}
+              viewMode={viewMode}
+              onViewModeChange={handleViewModeChange}
+              onClose={() => setShowSaved(false)}
+              savedIds={savedIds}
+              onToggleSave={toggleSave}
+              onEditTags={handleEditTags}
+              onOpenMedia={handleOpenMedia}
+              onOpenComments={handleOpenComments}
+              syncToReddit={syncToReddit}
+              onSyncToRedditChange={setSyncToReddit}
+              currentUser={currentUser}
+            />
+          ) : loading ? (
+            <div className="loading">Loading posts...</div>
+          ) : error && posts.length === 0 ? (
+            <div className="error">
+              <p>Error: {error}</p>
+              <button onClick={refresh}>Retry</button>
+            </div>
+          ) : (
+            <>
+              <div className="controls-container">
+                <FilterPanel 
+                  posts={posts}
+                  activeSubreddits={activeSubreddits}
+                  onSubredditChange={handleSubredditChange}
+                  activeMediaTypes={activeMediaTypes}
+                  onMediaTypeChange={handleMediaTypeChange}
+                  sortBy={sortBy}
+                  onSortChange={handleSortChange}
+                  onNsfwChange={handleNsfwChange}
+                  onMediaHostsChange={handleMediaHostsChange}
+                  localQuery={localQuery}
+                  onLocalQueryChange={setLocalQuery}
+                  muteRules={muteRules}
+                  muteHitCounts={muteHitCounts}
+                  onMuteRulesChange={handleMuteRulesChange}
+                  hideSeen={hideSeen}
+                  onHideSeenChange={handleHideSeenChange}
+                  hiddenFlags={hiddenFlags}
+                  onHiddenFlagsChange={setHiddenFlags}
+                  seenCount={unmutedPosts.filter(post => seenIds.has(post.id)).length}
+                  duplicateStrictness={duplicateStrictness}
+                  onDuplicateStrictnessChange={handleDuplicateStrictnessChange}
+                  duplicateCount={collapsedPosts.length - processedPosts.length}
                 />
+                <div className="view-toggle-container">
+                  <ViewToggle 
+                    viewMode={viewMode}
+                    onViewModeChange={handleViewModeChange}
+                    savedCount={savedItems.length}
+                    onShowSaved={() => setShowSaved(true)}
+                  />
+                </div>
               </div>
-            </div>
             
-            <div className={`content-container ${viewMode}-view`}>
-              {viewMode === 'grid' ? (
-                <PostGrid posts={processedPosts} />
-              ) : (
-                <TextListView posts={processedPosts} />
-              )}
-            </div>
-          </>
-        )}
+              <NewPostsBanner 
+                count={pendingPosts.length}
+                onReveal={handleRevealNewPosts}
+              />
+            
+              <div className={`content-container ${viewMode}-view`}>
+                {viewMode === 'slideshow' ? (
+                  <Slideshow posts={processedPosts} />
+                ) : viewMode === 'grid' || viewMode === 'masonry' ? (
+                  <PostGrid 
+                    posts={processedPosts}
+                    onLoadMore={loadMore}
+                    hasMore={hasMore}
+                    loadingMore={loadingMore}
+                    onOpenMedia={handleOpenMedia}
+                    onMute={handleMute}
+                    seenIds={seenIds}
+                    onMarkSeen={markSeen}
+                    savedIds={savedIds}
+                    onToggleSave={toggleSave}
+                    onEditTags={handleEditTags}
+                    onOpenComments={handleOpenComments}
+                    masonry={viewMode === 'masonry'}
+                  />
+                ) : (
+                  <TextListView 
+                    posts={processedPosts}
+                    onLoadMore={loadMore}
+                    hasMore={hasMore}
+                    loadingMore={loadingMore}
+                    onOpenMedia={handleOpenMedia}
+                    onMute={handleMute}
+                    seenIds={seenIds}
+                    onMarkSeen={markSeen}
+                    savedIds={savedIds}
+                    onToggleSave={toggleSave}
+                    onEditTags={handleEditTags}
+                    onOpenComments={handleOpenComments}
+                  />
+                )}
+              </div>
+            </>
+          )}
+        
+          {lightbox && (
+            <Lightbox
+              posts={visiblePosts}
+              postId={lightbox.postId}
+              galleryIndex={lightbox.galleryIndex}
+              onNavigate={handleLightboxNavigate}
+              onClose={handleLightboxClose}
+            />
+          )}
+        
+          {commentsPost && (
+            <CommentsPanel
+              post={commentsPost}
+              onClose={handleCommentsClose}
+            />
+          )}
         
-        <RefreshPauseToggle 
-          isPolling={isPolling}
-          onPauseToggle={handlePauseToggle}
-          onScrollPause={handleScrollPause}
-        />
-        <ThemeToggle />
-      </div>
+          <RefreshPauseToggle 
+            isPolling={isPolling}
+            onPauseToggle={handlePauseToggle}
+            onScrollPause={handleScrollPause}
+          />
+          <ThemeToggle />
+        </div>
+      </MediaBlurProvider>
     </ThemeProvider>
   );
 }
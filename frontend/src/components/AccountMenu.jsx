@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getRedditClient } from '../services/redditClient.js';
+
+function AccountMenu({ currentUser, onAuthChange, redditClientReady }) {
+  const [isDropdownOpen, setIsDropdownOpen] = useState(false);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const dropdownRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsDropdownOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  if (!redditClientReady) {
+    return null;
+  }
+
+  const redditClient = getRedditClient();
+  const otherAccounts = redditClient.getAccountNames().filter(name => name !== currentUser);
+
+  const handleLogin = async () => {
+    try {
+      setIsSigningIn(true);
+      await redditClient.startLogin();
+    } catch (error) {
+      console.error('Error starting sign-in:', error);
+      alert(`Could not start sign-in: ${error.message}`);
+      setIsSigningIn(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    setIsDropdownOpen(false);
+    try {
+      await redditClient.logout();
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    onAuthChange?.(redditClient.getCurrentUser());
+  };
+
+  const handleSwitchAccount = (username) => {
+    setIsDropdownOpen(false);
+    if (redditClient.switchAccount(username)) {
+      onAuthChange?.(username);
+    }
+  };
+
+  if (!currentUser) {
+    return (
+      <div className="account-menu" ref={dropdownRef}>
+        <button
+          className="account-login-btn"
+          onClick={handleLogin}
+          disabled={isSigningIn}
+          title="Sign in with your Reddit account"
+        >
+          {isSigningIn ? 'Redirecting...' : '🔑 Sign in with Reddit'}
+        </button>
+        {otherAccounts.length > 0 && (
+          <div className="account-switch-list">
+            {otherAccounts.map(name => (
+              <button
+                key={name}
+                className="account-switch-btn"
+                onClick={() => handleSwitchAccount(name)}
+              >
+                Continue as u/{name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="account-menu" ref={dropdownRef}>
+      <button
+        className="account-menu-trigger"
+        onClick={() => setIsDropdownOpen(!isDropdownOpen)}
+        title="Account"
+      >
+        👤 u/{currentUser}
+        <span className="dropdown-arrow">{isDropdownOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isDropdownOpen && (
+        <div className="account-dropdown">
+          {otherAccounts.map(name => (
+            <button
+              key={name}
+              className="account-dropdown-item"
+              onClick={() => handleSwitchAccount(name)}
+            >
+              Switch to u/{name}
+            </button>
+          ))}
+          <button
+            className="account-dropdown-item"
+            onClick={handleLogin}
+          >
+            Add another account
+          </button>
+          <button
+            className="account-dropdown-item account-logout-btn"
+            onClick={handleLogout}
+          >
+            Sign out
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AccountMenu;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { useMediaBlur } from '../contexts/MediaBlurContext.jsx';
+
+const BLUR_LABELS = {
+  nsfw: 'NSFW',
+  spoiler: 'Spoiler'
+};
+
+function BlurOverlay({ reason, onReveal, compact = false }) {
+  const { setRevealAll } = useMediaBlur();
+
+  // The overlay sits on top of clickable media, so keep clicks from reaching it
+  const handleReveal = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onReveal();
+  };
+
+  const handleRevealAll = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setRevealAll(true);
+  };
+
+  return (
+    <div
+      className={`blur-overlay ${compact ? 'compact' : ''}`}
+      onClick={handleReveal}
+      role="button"
+      tabIndex={0}
+      aria-label={`Reveal ${BLUR_LABELS[reason]} media`}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          handleReveal(e);
+        }
+      }}
+    >
+      <span className={`blur-overlay-label ${reason}`}>{BLUR_LABELS[reason]}</span>
+      {!compact && (
+        <>
+          <span className="blur-overlay-hint">Click to reveal</span>
+          <button type="button" className="blur-reveal-all-btn" onClick={handleRevealAll}>
+            Reveal all this session
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BlurOverlay;
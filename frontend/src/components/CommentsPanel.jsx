@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import { getRedditClient } from '../services/redditClient.js';
+import { getRelativeTime } from '../utils/timeUtils';
+import { COMMENT_SORTS, replaceMoreNode } from '../utils/commentParser.js';
+import Markdown from './Markdown.jsx';
+import SelfText from './SelfText.jsx';
+
+// Count a comment's replies, including replies still behind "more" links
+const countReplies = (comment) => comment.replies.reduce((total, node) => (
+  total + (node.kind === 'more' ? node.count : 1 + countReplies(node))
+), 0);
+
+function CommentThread({ nodes, collapsedIds, onToggleCollapse, loadingMoreIds, onLoadMore }) {
+  const renderNode = (node) => {
+    if (node.kind === 'more') {
+      const isLoading = loadingMoreIds.has(node.id);
+      return (
+        <button
+          key={node.id}
+          type="button"
+          className="comment-more-btn"
+          onClick={() => onLoadMore(node)}
+          disabled={isLoading}
+        >
+          {isLoading
+            ? 'Loading...'
+            : node.children.length === 0
+              ? 'Continue this thread →'
+              : `Load ${node.count || node.children.length} more ${node.count === 1 ? 'reply' : 'replies'}`}
+        </button>
+      );
+    }
+
+    const isCollapsed = collapsedIds.has(node.id);
+    return (
+      <div key={node.id} className={`comment ${isCollapsed ? 'collapsed' : ''}`}>
+        <div className="comment-header">
+          <button
+            type="button"
+            className="comment-collapse-btn"
+            onClick={() => onToggleCollapse(node.id)}
+            aria-expanded={!isCollapsed}
+            title={isCollapsed ? 'Expand' : 'Collapse'}
+          >
+            {isCollapsed ? '[+]' : '[–]'}
+          </button>
+          <a
+            className={`comment-author ${node.distinguished ? `distinguished-${node.distinguished}` : ''}`}
+            href={`https://reddit.com/user/${node.author}`}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            u/{node.author}
+          </a>
+          {node.isSubmitter && <span className="comment-op-badge" title="Original poster">OP</span>}
+          {node.stickied && <span className="comment-stickied" title="Pinned">📌</span>}
+          <span className="comment-score">
+            {node.scoreHidden ? 'score hidden' : `${node.score} ${Math.abs(node.score) === 1 ? 'point' : 'points'}`}
+          </span>
+          <span className="comment-time">
+            {getRelativeTime(node.createdUtc)}{node.edited && '*'}
+          </span>
+          {isCollapsed && node.replies.length > 0 && (
+            <span className="comment-collapsed-count">({countReplies(node)} replies)</span>
+          )}
+        </div>
+        {!isCollapsed && (
+          <>
+            <Markdown text={node.body} className="comment-body" />
+            {node.replies.length > 0 && (
+              <div className="comment-replies">
+                <CommentThread
+                  nodes={node.replies}
+                  collapsedIds={collapsedIds}
+                  onToggleCollapse={onToggleCollapse}
+                  loadingMoreIds={loadingMoreIds}
+                  onLoadMore={onLoadMore}
+                />
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return <>{nodes.map(renderNode)}</>;
+}
+
+function CommentsPanel({ post, onClose }) {
+  const [sort, setSort] = useState('confidence');
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+  const [loadingMoreIds, setLoadingMoreIds] = useState(() => new Set());
+
+  // Load the thread whenever the post or sort order changes
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setCollapsedIds(new Set());
+    setLoadingMoreIds(new Set());
+
+    getRedditClient().fetchComments(post.id, sort)
+      .then((nodes) => {
+        if (!cancelled) {
+          setComments(nodes);
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading comments:', err);
+        if (!cancelled) {
+          setError(err.message);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [post.id, sort]);
+
+  // Keep the page behind the panel from scrolling
+  useEffect(() => {
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = previousOverflow;
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const handleToggleCollapse = (commentId) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(commentId)) {
+        next.delete(commentId);
+      } else {
+        next.add(commentId);
+      }
+      return next;
+    });
+  };
+
+  const handleLoadMore = async (moreNode) => {
+    setLoadingMoreIds(prev => new Set(prev).add(moreNode.id));
+    try {
+      const nodes = await getRedditClient().fetchMoreComments(post.id, moreNode, sort);
+      setComments(prev => replaceMoreNode(prev, moreNode.id, nodes));
+    } catch (err) {
+      console.error('Error loading more comments:', err);
+      alert(`Could not load more comments: ${err.message}`);
+    } finally {
+      setLoadingMoreIds(prev => {
+        const next = new Set(prev);
+        next.delete(moreNode.id);
+        return next;
+      });
+    }
+  };
+
+  // Close when clicking the backdrop rather than the panel
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const renderComments = () => {
+    if (loading) {
+      return <div className="comments-status">Loading comments...</div>;
+    }
+    if (error) {
+      return <div className="comments-status error">Error: {error}</div>;
+    }
+    if (comments.length === 0) {
+      return <div className="comments-status">No comments yet.</div>;
+    }
+    return (
+      <CommentThread
+        nodes={comments}
+        collapsedIds={collapsedIds}
+        onToggleCollapse={handleToggleCollapse}
+        loadingMoreIds={loadingMoreIds}
+        onLoadMore={handleLoadMore}
+      />
+    );
+  };
+
+  return (
+    <div className="comments-overlay" onClick={handleBackdropClick}>
+      <aside className="comments-panel" role="dialog" aria-modal="true" aria-label="Comments">
+        <div className="comments-header">
+          <div className="comments-title-row">
+            <h2 className="comments-title">{post.title}</h2>
+            <button type="button" className="comments-close-btn" onClick={onClose} aria-label="Close comments">
+              ✕
+            </button>
+          </div>
+          <div className="comments-toolbar">
+            <span className="comments-meta">r/{post.subreddit} • 💬 {post.numComments}</span>
+            <label className="comments-sort">
+              Sort:
+              <select value={sort} onChange={(e) => setSort(e.target.value)}>
+                {COMMENT_SORTS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <a
+              className="comments-reddit-link"
+              href={`https://reddit.com${post.permalink}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              Open on Reddit
+            </a>
+          </div>
+        </div>
+        <div className="comments-body">
+          {post.hasContent && (
+            <SelfText post={post} previewLength={600} className="comments-selftext" />
+          )}
+          {renderComments()}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+export default CommentsPanel;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { CONFIG_MEDIA_TYPES, MAX_POSTS_PER_CONFIG } from '../services/redditClient.js';
+
+// NSFW policies a configuration can use instead of the client-wide setting
+const nsfwPolicies = [
+  { value: '', label: 'Use global setting' },
+  { value: 'sfw', label: 'SFW only' },
+  { value: 'blur', label: 'Include NSFW, blurred' },
+  { value: 'nsfw', label: 'Include NSFW' }
+];
+
+const mediaTypeLabels = {
+  image: '🖼️ Image',
+  gif: '🎞️ GIF',
+  video: '🎬 Video',
+  gallery: '🖼️ Gallery',
+  text: '📝 Text'
+};
+
+function ConfigFilterFields({ form, onChange, idPrefix, inputClassName, selectClassName }) {
+  // An empty selection allows every media type
+  const allowsMediaType = (type) => form.mediaTypes.length === 0 || form.mediaTypes.includes(type);
+  // The last allowed type stays checked, since clearing it would allow them all again
+  const isLastMediaType = (type) => form.mediaTypes.length === 1 && form.mediaTypes[0] === type;
+
+  const handleMediaTypeToggle = (type) => {
+    const current = form.mediaTypes.length === 0 ? CONFIG_MEDIA_TYPES : form.mediaTypes;
+    const next = current.includes(type) ? current.filter(t => t !== type) : [...current, type];
+    onChange({ mediaTypes: next.length === CONFIG_MEDIA_TYPES.length ? [] : next });
+  };
+
+  return (
+    <fieldset className="config-filter-fields">
+      <legend>Limits</legend>
+
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-nsfw-policy`}>NSFW:</label>
+        <select
+          id={`${idPrefix}-nsfw-policy`}
+          value={form.nsfwPolicy}
+          onChange={(e) => onChange({ nsfwPolicy: e.target.value })}
+          className={selectClassName}
+        >
+          {nsfwPolicies.map(policy => (
+            <option key={policy.value} value={policy.value}>
+              {policy.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <span className="config-filter-label">Media types:</span>
+        <div className="config-media-types">
+          {CONFIG_MEDIA_TYPES.map(type => (
+            <label
+              key={type}
+              className="config-media-type"
+              title={isLastMediaType(type) ? 'At least one media type must stay selected' : undefined}
+            >
+              <input
+                type="checkbox"
+                checked={allowsMediaType(type)}
+                disabled={isLastMediaType(type)}
+                onChange={() => handleMediaTypeToggle(type)}
+              />
+              {mediaTypeLabels[type]}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="config-filter-numbers">
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-min-score`}>Min score:</label>
+          <input
+            id={`${idPrefix}-min-score`}
+            type="number"
+            step="1"
+            placeholder="Any"
+            value={form.minScore}
+            onChange={(e) => onChange({ minScore: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-min-age`}>Min age (hours):</label>
+          <input
+            id={`${idPrefix}-min-age`}
+            type="number"
+            min="0"
+            step="0.5"
+            placeholder="Any"
+            value={form.minAgeHours}
+            onChange={(e) => onChange({ minAgeHours: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-max-posts`}>Max posts:</label>
+          <input
+            id={`${idPrefix}-max-posts`}
+            type="number"
+            min="1"
+            max={MAX_POSTS_PER_CONFIG}
+            step="1"
+            placeholder="No limit"
+            value={form.maxPosts}
+            onChange={(e) => onChange({ maxPosts: e.target.value })}
+            className={inputClassName}
+            title={`Up to ${MAX_POSTS_PER_CONFIG}; counts every page and poll until the next refresh`}
+          />
+        </div>
+      </div>
+    </fieldset>
+  );
+}
+
+export default ConfigFilterFields;
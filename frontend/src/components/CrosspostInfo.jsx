@@ -0,0 +1,75 @@
+import React from 'react';
+
+function CrosspostInfo({ post }) {
+  const parent = post.crosspostParent;
+  const crosspostedTo = post.crosspostedTo || [];
+  const duplicates = post.duplicates || [];
+
+  if (!parent && crosspostedTo.length === 0 && duplicates.length === 0) {
+    return null;
+  }
+
+  const stopPropagation = (e) => {
+    e.stopPropagation();
+  };
+
+  return (
+    <div className="crosspost-info">
+      {parent && (
+        <div className="crosspost-attribution">
+          <span className="crosspost-icon">🔀</span>
+          <span>crossposted from </span>
+          <a
+            href={`https://reddit.com${parent.permalink}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={stopPropagation}
+          >
+            r/{parent.subreddit}
+          </a>
+          <span> by u/{parent.author}</span>
+        </div>
+      )}
+      {crosspostedTo.length > 0 && (
+        <div className="crosspost-also">
+          <span>also crossposted to </span>
+          {crosspostedTo.map((crosspost, index) => (
+            <React.Fragment key={crosspost.id}>
+              {index > 0 && ', '}
+              <a
+                href={`https://reddit.com${crosspost.permalink}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={stopPropagation}
+              >
+                r/{crosspost.subreddit}
+              </a>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+      {duplicates.length > 0 && (
+        <div className="crosspost-also">
+          <span className="crosspost-icon">🧬</span>
+          <span>also posted in </span>
+          {duplicates.map((duplicate, index) => (
+            <React.Fragment key={duplicate.id}>
+              {index > 0 && ', '}
+              <a
+                href={`https://reddit.com${duplicate.permalink}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={stopPropagation}
+                title={`Posted by u/${duplicate.author}`}
+              >
+                r/{duplicate.subreddit}
+              </a>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CrosspostInfo;
@@ -0,0 +1,124 @@
+import React from 'react';
+
+// Source kinds a feed configuration can read from
+const feedKinds = [
+  { value: 'subreddit', label: 'Subreddit', description: 'r/name' },
+  { value: 'combined', label: 'Combined Subreddits', description: 'r/a+b+c' },
+  { value: 'multireddit', label: 'Multireddit', description: 'u/name/m/multi' },
+  { value: 'user', label: 'User Submissions', description: 'u/name/submitted' },
+  { value: 'home', label: 'Home Feed', description: 'Your subscriptions', requiresLogin: true }
+];
+
+function FeedSourceFields({ form, onChange, idPrefix, inputClassName, selectClassName, currentUser, multireddits = [] }) {
+  const availableKinds = feedKinds.filter(kind => !kind.requiresLogin || currentUser || form.kind === kind.value);
+
+  const handleImportMultireddit = (e) => {
+    const multi = multireddits.find(m => `${m.owner}/${m.name}` === e.target.value);
+    if (multi) {
+      onChange({ username: multi.owner, multireddit: multi.name });
+    }
+  };
+
+  return (
+    <>
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-kind`}>Source:</label>
+        <select
+          id={`${idPrefix}-kind`}
+          value={form.kind}
+          onChange={(e) => onChange({ kind: e.target.value })}
+          className={selectClassName}
+        >
+          {availableKinds.map(kind => (
+            <option key={kind.value} value={kind.value}>
+              {kind.label} - {kind.description}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {form.kind === 'subreddit' && (
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-subreddit`}>Subreddit:</label>
+          <input
+            id={`${idPrefix}-subreddit`}
+            type="text"
+            placeholder="e.g., cats, funny, programming"
+            value={form.subreddit}
+            onChange={(e) => onChange({ subreddit: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      {form.kind === 'combined' && (
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-combined`}>Subreddits:</label>
+          <input
+            id={`${idPrefix}-combined`}
+            type="text"
+            placeholder="e.g., cats+aww+funny"
+            value={form.subreddit}
+            onChange={(e) => onChange({ subreddit: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      {form.kind === 'multireddit' && currentUser && multireddits.length > 0 && (
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-import-multi`}>Import From Your Multireddits:</label>
+          <select
+            id={`${idPrefix}-import-multi`}
+            value={form.username && form.multireddit ? `${form.username}/${form.multireddit}` : ''}
+            onChange={handleImportMultireddit}
+            className={selectClassName}
+          >
+            <option value="">Choose a multireddit...</option>
+            {multireddits.map(multi => (
+              <option key={`${multi.owner}/${multi.name}`} value={`${multi.owner}/${multi.name}`}>
+                {multi.displayName} ({multi.subreddits.length} subreddits)
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {(form.kind === 'multireddit' || form.kind === 'user') && (
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-username`}>Username:</label>
+          <input
+            id={`${idPrefix}-username`}
+            type="text"
+            placeholder="e.g., spez"
+            value={form.username}
+            onChange={(e) => onChange({ username: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      {form.kind === 'multireddit' && (
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-multireddit`}>Multireddit:</label>
+          <input
+            id={`${idPrefix}-multireddit`}
+            type="text"
+            placeholder="e.g., art"
+            value={form.multireddit}
+            onChange={(e) => onChange({ multireddit: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      {form.kind === 'home' && !currentUser && (
+        <div className="form-error">
+          Sign in with Reddit to load your home feed.
+        </div>
+      )}
+    </>
+  );
+}
+
+export default FeedSourceFields;
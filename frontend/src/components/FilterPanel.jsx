@@ -1,6 +1,16 @@
 import React, { useState } from 'react';
 import { getSubredditButtonStyle } from '../utils/subredditColors.js';
-import { getRedditClient } from '../services/redditClient.js';
+import { getRedditClient, NSFW_SETTINGS } from '../services/redditClient.js';
+import { createQueryFilter } from '../utils/queryParser.js';
+import MuteManager from './MuteManager.jsx';
+import { DUPLICATE_STRICTNESS } from '../utils/duplicateCollapse.js';
+import { useMediaBlur } from '../contexts/MediaBlurContext.jsx';
+
+const NSFW_BUTTONS = {
+  sfw: { label: '🔒 SFW', title: 'Showing safe for work posts only. Click to blur NSFW posts instead' },
+  blur: { label: '🌫️ Blur', title: 'NSFW and spoiler media is blurred until clicked. Click to show NSFW content' },
+  nsfw: { label: '🔓 NSFW', title: 'Showing NSFW content. Click to hide it' }
+};
 
 function FilterPanel({ 
   posts, 
@@ -10,11 +20,30 @@ function FilterPanel({
   onMediaTypeChange,
   sortBy, 
   onSortChange,
-  onNsfwChange 
+  onNsfwChange,
+  onMediaHostsChange,
+  localQuery = '',
+  onLocalQueryChange,
+  muteRules = [],
+  muteHitCounts = {},
+  onMuteRulesChange,
+  hideSeen = false,
+  onHideSeenChange,
+  seenCount = 0,
+  hiddenFlags = [],
+  onHiddenFlagsChange,
+  duplicateStrictness,
+  onDuplicateStrictnessChange,
+  duplicateCount = 0
 }) {
   const [expandedSection, setExpandedSection] = useState(null);
   const redditClient = getRedditClient();
   const nsfwSetting = redditClient.getNsfwSetting();
+  const { revealAll, setRevealAll } = useMediaBlur();
+  const mediaHosts = redditClient.getMediaHosts();
+  const disabledHostCount = mediaHosts.filter(host => !host.enabled).length;
+  const queryFilter = createQueryFilter(localQuery);
+  const queryMatchCount = queryFilter.isActive ? posts.filter(queryFilter.matches).length : null;
 
   // Get media type counts
   const getMediaTypeCounts = () => {
@@ -54,9 +83,17 @@ function FilterPanel({
   const sortOptions = [
     { key: 'createTime', icon: '🕒' },
     { key: 'upvotes', icon: '⬆️' },
-    { key: 'username', icon: '👤' }
+    { key: 'username', icon: '👤' },
+    { key: 'comments', icon: '💬' },
+    { key: 'upvoteRatio', icon: '📊' }
   ];
 
+  const postFlags = [
+    { key: 'stickied', emoji: '📌', label: 'pinned' },
+    { key: 'locked', emoji: '🔒', label: 'locked' },
+    { key: 'spoiler', emoji: '⚠️', label: 'spoiler' }
+  ].map(flag => ({ ...flag, count: posts.filter(post => post[flag.key]).length }));
+
   const handleMediaTypeToggle = (mediaType) => {
     const newActiveTypes = activeMediaTypes.includes(mediaType)
       ? activeMediaTypes.filter(type => type !== mediaType)
@@ -64,6 +101,13 @@ function FilterPanel({
     onMediaTypeChange(newActiveTypes);
   };
 
+  const handleFlagToggle = (flag) => {
+    const newHiddenFlags = hiddenFlags.includes(flag)
+      ? hiddenFlags.filter(f => f !== flag)
+      : [...hiddenFlags, flag];
+    onHiddenFlagsChange(newHiddenFlags);
+  };
+
   const handleSubredditToggle = (subreddit) => {
     const newActiveSubreddits = activeSubreddits.includes(subreddit)
       ? activeSubreddits.filter(s => s !== subreddit)
@@ -71,24 +115,34 @@ function FilterPanel({
     onSubredditChange(newActiveSubreddits);
   };
 
+  // Cycle SFW -> Blur -> NSFW
   const handleNsfwToggle = () => {
-    const newSetting = nsfwSetting === 'sfw' ? 'nsfw' : 'sfw';
+    const newSetting = NSFW_SETTINGS[(NSFW_SETTINGS.indexOf(nsfwSetting) + 1) % NSFW_SETTINGS.length];
     redditClient.setNsfwSetting(newSetting);
     onNsfwChange(newSetting);
   };
 
+  const handleMediaHostToggle = (host) => {
+    redditClient.setMediaHostEnabled(host.id, !host.enabled);
+    onMediaHostsChange?.();
+  };
+
   const toggleSection = (section) => {
     setExpandedSection(expandedSection === section ? null : section);
   };
 
   const getActiveFiltersCount = () => {
-    return activeSubreddits.length + activeMediaTypes.length + (nsfwSetting === 'nsfw' ? 1 : 0);
+    return activeSubreddits.length + activeMediaTypes.length + (nsfwSetting !== 'sfw' ? 1 : 0) +
+      (localQuery.trim() ? 1 : 0) + (hideSeen ? 1 : 0) + hiddenFlags.length;
   };
 
   const clearAllFilters = () => {
     onSubredditChange([]);
     onMediaTypeChange([]);
-    if (nsfwSetting === 'nsfw') {
+    onLocalQueryChange?.('');
+    onHideSeenChange?.(false);
+    onHiddenFlagsChange?.([]);
+    if (nsfwSetting !== 'sfw') {
       redditClient.setNsfwSetting('sfw');
       onNsfwChange('sfw');
     }
@@ -141,6 +195,25 @@ function FilterPanel({
               ))}
             </div>
           </div>
+
+          {/* Post Flag Filters */}
+          {onHiddenFlagsChange && (
+            <div className="filter-section">
+              <span className="filter-label">Hide:</span>
+              <div className="filter-buttons">
+                {postFlags.map(({ key, emoji, label, count }) => (
+                  <button
+                    key={key}
+                    className={`filter-btn flag-filter-btn ${hiddenFlags.includes(key) ? 'active' : ''}`}
+                    onClick={() => handleFlagToggle(key)}
+                    title={`${hiddenFlags.includes(key) ? 'Show' : 'Hide'} ${label} posts (${count} loaded)`}
+                  >
+                    {emoji} {count}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Right Side - NSFW, Subreddit, Clear */}
@@ -148,14 +221,53 @@ function FilterPanel({
           {/* NSFW Toggle */}
           <div className="filter-section">
             <button
-              className={`filter-btn nsfw-btn ${nsfwSetting === 'nsfw' ? 'active' : ''}`}
+              className={`filter-btn nsfw-btn ${nsfwSetting !== 'sfw' ? 'active' : ''}`}
               onClick={handleNsfwToggle}
-              title={nsfwSetting === 'sfw' ? 'Show NSFW content' : 'Hide NSFW content'}
+              title={NSFW_BUTTONS[nsfwSetting].title}
             >
-              {nsfwSetting === 'sfw' ? '🔒 SFW' : '🔓 NSFW'}
+              {NSFW_BUTTONS[nsfwSetting].label}
             </button>
+            {nsfwSetting === 'blur' && (
+              <button
+                className={`filter-btn ${revealAll ? 'active' : ''}`}
+                onClick={() => setRevealAll(!revealAll)}
+                title={revealAll ? 'Blur NSFW and spoiler media again' : 'Reveal all blurred media until the app is closed'}
+              >
+                {revealAll ? '🙈 Blur' : '👁 Reveal All'}
+              </button>
+            )}
           </div>
 
+          {/* Hide Seen Toggle */}
+          {onHideSeenChange && (
+            <div className="filter-section">
+              <button
+                className={`filter-btn ${hideSeen ? 'active' : ''}`}
+                onClick={() => onHideSeenChange(!hideSeen)}
+                title={hideSeen ? 'Show posts you have already seen' : `Hide posts you have already seen (${seenCount} loaded)`}
+              >
+                👁 {hideSeen ? 'Seen Hidden' : 'Hide Seen'}
+              </button>
+            </div>
+          )}
+
+          {/* Duplicate Detection Strictness */}
+          {onDuplicateStrictnessChange && (
+            <div className="filter-section">
+              <span className="filter-label">🧬 Duplicates:</span>
+              <select
+                className="duplicate-strictness-select"
+                value={duplicateStrictness}
+                onChange={(e) => onDuplicateStrictnessChange(e.target.value)}
+                title={`How closely reposted images must match to share a card (${duplicateCount} folded)`}
+              >
+                {DUPLICATE_STRICTNESS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Subreddit Filter Toggle */}
           <div className="filter-section">
             <button
@@ -167,6 +279,30 @@ function FilterPanel({
             </button>
           </div>
 
+          {/* Media Host Toggle */}
+          <div className="filter-section">
+            <button
+              className={`filter-btn expand-btn ${expandedSection === 'hosts' ? 'active' : ''}`}
+              onClick={() => toggleSection('hosts')}
+              title="Toggle media hosts for this profile"
+            >
+              🔌 Hosts {disabledHostCount > 0 && `(${mediaHosts.length - disabledHostCount}/${mediaHosts.length})`}
+            </button>
+          </div>
+
+          {/* Mute Rules Toggle */}
+          {onMuteRulesChange && (
+            <div className="filter-section">
+              <button
+                className={`filter-btn expand-btn ${expandedSection === 'mutes' ? 'active' : ''}`}
+                onClick={() => toggleSection('mutes')}
+                title="Manage muted authors, domains, title patterns and flairs"
+              >
+                🔇 Muted {muteRules.length > 0 && `(${muteRules.length})`}
+              </button>
+            </div>
+          )}
+
           {/* Clear All Filters */}
           {getActiveFiltersCount() > 0 && (
             <div className="filter-section">
@@ -182,6 +318,36 @@ function FilterPanel({
         </div>
       </div>
 
+      {/* Local Query Filter */}
+      {onLocalQueryChange && (
+        <div className="local-query-bar">
+          <span className="filter-label">🔍 Filter:</span>
+          <input
+            type="text"
+            className={`local-query-input ${queryFilter.error ? 'invalid' : ''}`}
+            value={localQuery}
+            onChange={(e) => onLocalQueryChange(e.target.value)}
+            placeholder='e.g., (cats OR dogs) NOT "hot dog"'
+            aria-label="Filter loaded posts"
+          />
+          {queryFilter.error && (
+            <span className="local-query-error">{queryFilter.error}</span>
+          )}
+          {queryMatchCount !== null && (
+            <span className="local-query-count">{queryMatchCount} of {posts.length} posts match</span>
+          )}
+          {localQuery && (
+            <button
+              className="filter-btn clear-btn"
+              onClick={() => onLocalQueryChange('')}
+              title="Clear filter"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Expandable Subreddit Section */}
       {expandedSection === 'subreddits' && (
         <div className="filter-expanded">
@@ -220,6 +386,37 @@ function FilterPanel({
           </div>
         </div>
       )}
+
+      {/* Expandable Media Host Section */}
+      {expandedSection === 'hosts' && (
+        <div className="filter-expanded">
+          <div className="media-host-filter-expanded">
+            <div className="media-host-buttons">
+              {mediaHosts.map(host => (
+                <button
+                  key={host.id}
+                  className={`media-host-btn ${host.enabled ? 'visible' : 'hidden'}`}
+                  onClick={() => handleMediaHostToggle(host)}
+                  title={host.enabled ? `Stop resolving ${host.name} media` : `Resolve ${host.name} media`}
+                >
+                  {host.enabled ? '✓' : '✕'} {host.name}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Expandable Mute Rules Section */}
+      {expandedSection === 'mutes' && onMuteRulesChange && (
+        <div className="filter-expanded">
+          <MuteManager
+            rules={muteRules}
+            hitCounts={muteHitCounts}
+            onRulesChange={onMuteRulesChange}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -1,13 +1,27 @@
 import React from 'react';
 import RefreshTimer from './RefreshTimer.jsx';
 import ProfileSelector from './ProfileSelector.jsx';
+import AccountMenu from './AccountMenu.jsx';
+import RateLimitStatus from './RateLimitStatus.jsx';
 
-function Header({ totalPosts, filteredPosts, lastUpdated, error, hasActiveFilters, isPolling, pollingInterval, onRefresh, onProfileChange, onConfigChange, redditClientReady }) {
+function Header({ totalPosts, filteredPosts, pendingPosts = 0, newSinceLastVisit = null, updateStats, lastUpdated, staleSince, error, hasActiveFilters, isPolling, pollingInterval, onRefresh, onProfileChange, onConfigChange, currentUser, onAuthChange, redditClientReady }) {
   const formatLastUpdated = (date) => {
     if (!date) return 'Never';
     return date.toLocaleTimeString();
   };
 
+  const formatUpdateStats = (stats) => {
+    if (!stats || (stats.newCount === 0 && stats.updatedCount === 0)) return null;
+    return `+${stats.newCount} new, ${stats.updatedCount} updated`;
+  };
+
+  const formatStaleSince = (date) => {
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday ? date.toLocaleTimeString() : date.toLocaleString();
+  };
+
+  const updateSummary = formatUpdateStats(updateStats);
+
   return (
     <header className="header">
       <div className="header-content">
@@ -24,10 +38,34 @@ function Header({ totalPosts, filteredPosts, lastUpdated, error, hasActiveFilter
                 <span className="value">{filteredPosts}</span>
               </div>
             )}
+            {pendingPosts > 0 && (
+              <div className="status-item pending-status">
+                <span className="label">New Posts:</span>
+                <span className="value">{pendingPosts}</span>
+              </div>
+            )}
+            {newSinceLastVisit > 0 && (
+              <div className="status-item last-visit-status" title="Unseen posts created since you last closed Reddit Visor">
+                <span className="label">New Since Last Visit:</span>
+                <span className="value">{newSinceLastVisit}</span>
+              </div>
+            )}
             <div className="status-item">
               <span className="label">Last Updated:</span>
-              <span className="value">{formatLastUpdated(lastUpdated)}</span>
+              <span className="value">
+                {formatLastUpdated(lastUpdated)}
+                {updateSummary && (
+                  <span className="update-summary"> ({updateSummary})</span>
+                )}
+              </span>
             </div>
+            <RateLimitStatus redditClientReady={redditClientReady} />
+            {staleSince && (
+              <div className="status-item stale-status">
+                <span className="label">Stale Since:</span>
+                <span className="value">{formatStaleSince(staleSince)}</span>
+              </div>
+            )}
             {error && (
               <div className="status-item error-status">
                 <span className="label">Status:</span>
@@ -43,6 +81,11 @@ function Header({ totalPosts, filteredPosts, lastUpdated, error, hasActiveFilter
           </div>
         </div>
         <div className="header-right">
+        <AccountMenu
+          currentUser={currentUser}
+          onAuthChange={onAuthChange}
+          redditClientReady={redditClientReady}
+        />
         <ProfileSelector 
           onProfileChange={onProfileChange}
           onConfigChange={onConfigChange}
@@ -1,8 +1,9 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import LazyImage from './LazyImage.jsx';
+import BlurOverlay from './BlurOverlay.jsx';
 
-function ImageGallery({ galleryData, mediaMetadata, title, onImageClick }) {
-  const [currentIndex, setCurrentIndex] = useState(0);
+function ImageGallery({ galleryData, mediaMetadata, title, onImageClick, initialIndex = 0, blurReason = null, onReveal }) {
+  const [currentIndex, setCurrentIndex] = useState(initialIndex);
   const thumbnailsRef = useRef(null);
   const thumbnailRefs = useRef([]);
 
@@ -129,12 +130,12 @@ function ImageGallery({ galleryData, mediaMetadata, title, onImageClick }) {
 
   const handleMainImageClick = (e) => {
     if (onImageClick && currentImageUrl) {
-      onImageClick(e, currentImageUrl);
+      onImageClick(e, currentImageUrl, currentIndex);
     }
   };
 
   return (
-    <div className="image-gallery">
+    <div className={`image-gallery ${blurReason ? 'media-blurred' : ''}`}>
       {/* Main image display */}
       <div className="gallery-main">
         <div className="gallery-image-container">
@@ -214,6 +215,9 @@ function ImageGallery({ galleryData, mediaMetadata, title, onImageClick }) {
           })}
         </div>
       )}
+
+      {/* NSFW and spoiler media stay blurred until revealed */}
+      {blurReason && <BlurOverlay reason={blurReason} onReveal={onReveal} />}
     </div>
   );
 }
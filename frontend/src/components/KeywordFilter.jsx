@@ -233,6 +233,9 @@ function KeywordFilter({ onKeywordConfigChange }) {
               <li><strong>NOT</strong>: Exclude posts with this term</li>
               <li><strong>"quotes"</strong>: Search for exact phrases</li>
               <li><strong>(parentheses)</strong>: Group terms for complex queries</li>
+              <li><strong>author:</strong>, <strong>flair:</strong>, <strong>site:</strong>, <strong>url:</strong>: Match a post field (quote values with spaces)</li>
+              <li><strong>self:yes/no</strong>, <strong>nsfw:yes/no</strong>: Only text posts or only NSFW posts, or leave them out</li>
+              <li><strong>score&gt;500</strong>, <strong>comments&gt;=20</strong>, <strong>ratio&gt;=95</strong> (upvote %), <strong>awards&gt;0</strong>: Compare numbers with &gt;, &gt;=, &lt;, &lt;= or =; checked after fetching, so combine them with AND</li>
             </ul>
           </div>
         </div>
@@ -1,5 +1,6 @@
 import React from 'react';
 import { useLazyImage } from '../hooks/useLazyLoad.js';
+import BlurOverlay from './BlurOverlay.jsx';
 
 function LazyImage({ 
   src, 
@@ -9,7 +10,10 @@ function LazyImage({
   isGif = false,
   placeholder = null,
   style = {},
-  disableAnimation = false
+  disableAnimation = false,
+  aspectRatio = null,
+  blurReason = null,
+  onReveal
 }) {
   const {
     elementRef,
@@ -85,8 +89,13 @@ function LazyImage({
   return (
     <div 
       ref={elementRef}
-      className={`lazy-image-container ${isGif ? 'gif-container' : ''}`}
-      style={{ position: 'relative', overflow: 'hidden' }}
+      className={`lazy-image-container ${isGif ? 'gif-container' : ''} ${blurReason ? 'media-blurred' : ''}`}
+      style={{
+        position: 'relative',
+        overflow: 'hidden',
+        // Reserve the image's space up front so cards don't jump when it loads
+        ...(aspectRatio ? { aspectRatio: `${aspectRatio}`, minHeight: 0 } : {})
+      }}
     >
       {/* Always render placeholder first */}
       {!imageLoaded && !imageError && renderPlaceholder()}
@@ -101,6 +110,9 @@ function LazyImage({
       {isGif && imageLoaded && !imageError && (
         <div className="gif-indicator">GIF</div>
       )}
+      
+      {/* NSFW and spoiler media stay blurred until revealed */}
+      {blurReason && <BlurOverlay reason={blurReason} onReveal={onReveal} />}
     </div>
   );
 }
@@ -1,13 +1,16 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useLazyLoad } from '../hooks/useLazyLoad.js';
 import VideoPlayer from './VideoPlayer.jsx';
+import BlurOverlay from './BlurOverlay.jsx';
 
 function LazyVideoPlayer({ 
   post, 
   autoplay = false, 
   muted = true,
   className = '',
-  onClick
+  onClick,
+  blurReason = null,
+  onReveal
 }) {
   const [videoInitialized, setVideoInitialized] = useState(false);
   const [showVideo, setShowVideo] = useState(false);
@@ -168,13 +171,16 @@ function LazyVideoPlayer({
   return (
     <div 
       ref={elementRef}
-      className={`lazy-video-container ${className}`}
+      className={`lazy-video-container ${className} ${blurReason ? 'media-blurred' : ''}`}
     >
       {!isVisible && !showVideo && renderVideoPlaceholder()}
       
       {isVisible && !showVideo && renderThumbnailWithOverlay()}
       
       {showVideo && renderVideoPlayer()}
+      
+      {/* NSFW and spoiler media stay blurred until revealed */}
+      {blurReason && <BlurOverlay reason={blurReason} onReveal={onReveal} />}
     </div>
   );
 }
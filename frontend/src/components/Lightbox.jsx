@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { getRelativeTime } from '../utils/timeUtils';
+import VideoPlayer from './VideoPlayer.jsx';
+import ImageGallery from './ImageGallery.jsx';
+import Markdown from './Markdown.jsx';
+import BlurOverlay from './BlurOverlay.jsx';
+import { useMediaBlur } from '../contexts/MediaBlurContext.jsx';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 0.5;
+const SWIPE_THRESHOLD = 50; // Minimum horizontal travel in px to count as a swipe
+
+function Lightbox({ posts, postId, galleryIndex = 0, onNavigate, onClose }) {
+  const [zoom, setZoom] = useState(1);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const [showCaption, setShowCaption] = useState(true);
+  const stageRef = useRef(null);
+  const dragRef = useRef(null);
+  const touchRef = useRef(null);
+  const { getBlurReason, revealPost } = useMediaBlur();
+
+  // Look the post up by id so the position follows the feed as it changes
+  const index = posts.findIndex(post => post.id === postId);
+  const post = index >= 0 ? posts[index] : null;
+  const hasPrevious = index > 0;
+  const hasNext = index >= 0 && index < posts.length - 1;
+
+  const resetZoom = useCallback(() => {
+    setZoom(1);
+    setPan({ x: 0, y: 0 });
+  }, []);
+
+  const changeZoom = useCallback((delta) => {
+    setZoom(prev => {
+      const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, prev + delta));
+      if (next === MIN_ZOOM) {
+        setPan({ x: 0, y: 0 });
+      }
+      return next;
+    });
+  }, []);
+
+  const goPrevious = useCallback(() => {
+    if (hasPrevious) {
+      onNavigate(posts[index - 1].id);
+    }
+  }, [hasPrevious, index, posts, onNavigate]);
+
+  const goNext = useCallback(() => {
+    if (hasNext) {
+      onNavigate(posts[index + 1].id);
+    }
+  }, [hasNext, index, posts, onNavigate]);
+
+  // Each post opens unzoomed
+  useEffect(() => {
+    resetZoom();
+  }, [postId, resetZoom]);
+
+  // Close when the post drops out of the feed (e.g. a filter change)
+  useEffect(() => {
+    if (!post) {
+      onClose();
+    }
+  }, [post, onClose]);
+
+  // Keep the page behind the lightbox from scrolling
+  useEffect(() => {
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = previousOverflow;
+    };
+  }, []);
+
+  // Keyboard navigation
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      switch (e.key) {
+        case 'Escape':
+          onClose();
+          break;
+        case 'ArrowLeft':
+          goPrevious();
+          break;
+        case 'ArrowRight':
+          goNext();
+          break;
+        case '+':
+        case '=':
+          changeZoom(ZOOM_STEP);
+          break;
+        case '-':
+          changeZoom(-ZOOM_STEP);
+          break;
+        case '0':
+          resetZoom();
+          break;
+        case 'c':
+          setShowCaption(prev => !prev);
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose, goPrevious, goNext, changeZoom, resetZoom]);
+
+  if (!post) {
+    return null;
+  }
+
+  const blurReason = getBlurReason(post);
+  const isZoomable = post.mediaType === 'image' && post.mediaUrl && !blurReason;
+
+  const handleWheel = (e) => {
+    if (!isZoomable) return;
+    changeZoom(e.deltaY < 0 ? ZOOM_STEP : -ZOOM_STEP);
+  };
+
+  const handleDoubleClick = () => {
+    if (!isZoomable) return;
+    if (zoom > 1) {
+      resetZoom();
+    } else {
+      setZoom(2);
+    }
+  };
+
+  // Drag to pan while zoomed in
+  const handleMouseDown = (e) => {
+    if (zoom <= 1) return;
+    e.preventDefault();
+    dragRef.current = { x: e.clientX - pan.x, y: e.clientY - pan.y };
+  };
+
+  const handleMouseMove = (e) => {
+    if (!dragRef.current) return;
+    setPan({ x: e.clientX - dragRef.current.x, y: e.clientY - dragRef.current.y });
+  };
+
+  const handleMouseUp = () => {
+    dragRef.current = null;
+  };
+
+  // Swipe to navigate, or pan with one finger while zoomed in
+  const handleTouchStart = (e) => {
+    if (e.touches.length !== 1) return;
+    const touch = e.touches[0];
+    touchRef.current = {
+      startX: touch.clientX,
+      startY: touch.clientY,
+      panX: pan.x,
+      panY: pan.y
+    };
+  };
+
+  const handleTouchMove = (e) => {
+    if (!touchRef.current || zoom <= 1 || e.touches.length !== 1) return;
+    const touch = e.touches[0];
+    setPan({
+      x: touchRef.current.panX + touch.clientX - touchRef.current.startX,
+      y: touchRef.current.panY + touch.clientY - touchRef.current.startY
+    });
+  };
+
+  const handleTouchEnd = (e) => {
+    if (!touchRef.current) return;
+    const touch = e.changedTouches[0];
+    const deltaX = touch.clientX - touchRef.current.startX;
+    const deltaY = touch.clientY - touchRef.current.startY;
+    touchRef.current = null;
+
+    if (zoom > 1) return;
+    if (Math.abs(deltaX) > SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+      if (deltaX < 0) {
+        goNext();
+      } else {
+        goPrevious();
+      }
+    }
+  };
+
+  // Close when clicking the backdrop rather than the media
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget || e.target === stageRef.current) {
+      onClose();
+    }
+  };
+
+  const renderMedia = () => {
+    // Show only a blurred preview so videos don't start playing underneath
+    if (blurReason) {
+      return (
+        <div className="lightbox-blurred media-blurred">
+          {post.thumbnailUrl ? (
+            <img src={post.thumbnailUrl} alt={post.title} className="lightbox-blurred-preview" draggable={false} />
+          ) : (
+            <div className="emoji-large">{post.emojiTag}</div>
+          )}
+          <BlurOverlay reason={blurReason} onReveal={() => revealPost(post.id)} />
+        </div>
+      );
+    }
+
+    if (post.mediaType === 'gallery' && post.galleryData && post.mediaMetadata) {
+      return (
+        <div className="lightbox-gallery">
+          <ImageGallery
+            key={post.id}
+            galleryData={post.galleryData}
+            mediaMetadata={post.mediaMetadata}
+            title={post.title}
+            initialIndex={galleryIndex}
+          />
+        </div>
+      );
+    }
+
+    if (isZoomable) {
+      return (
+        <img
+          src={post.mediaUrl}
+          alt={post.title}
+          className={`lightbox-image ${zoom > 1 ? 'zoomed' : ''}`}
+          style={{ transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})` }}
+          onMouseDown={handleMouseDown}
+          onDoubleClick={handleDoubleClick}
+          draggable={false}
+        />
+      );
+    }
+
+    if (post.mediaType === 'gif' || post.mediaType === 'video') {
+      return (
+        <div className="lightbox-video">
+          <VideoPlayer
+            key={post.id}
+            post={post}
+            autoplay={true}
+            muted={post.mediaType === 'gif'}
+            preload="auto"
+            isVisible={true}
+            elementRef={stageRef}
+          />
+        </div>
+      );
+    }
+
+    return (
+      <div className="lightbox-text">
+        <div className="emoji-large">{post.emojiTag}</div>
+        {post.hasContent ? (
+          <Markdown text={post.selftext || post.content} className="lightbox-selftext" />
+        ) : (
+          <p>Text post</p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="lightbox-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-label={post.title}
+      onClick={handleBackdropClick}
+      onMouseMove={handleMouseMove}
+      onMouseUp={handleMouseUp}
+      onMouseLeave={handleMouseUp}
+    >
+      <div className="lightbox-toolbar">
+        <span className="lightbox-counter">{index + 1} / {posts.length}</span>
+        {isZoomable && (
+          <>
+            <button type="button" onClick={() => changeZoom(-ZOOM_STEP)} aria-label="Zoom out" disabled={zoom <= MIN_ZOOM}>−</button>
+            <span className="lightbox-zoom-level">{Math.round(zoom * 100)}%</span>
+            <button type="button" onClick={() => changeZoom(ZOOM_STEP)} aria-label="Zoom in" disabled={zoom >= MAX_ZOOM}>+</button>
+          </>
+        )}
+        <button type="button" onClick={() => setShowCaption(prev => !prev)} aria-label="Toggle caption">
+          {showCaption ? 'Hide Caption' : 'Show Caption'}
+        </button>
+        <button type="button" className="lightbox-close" onClick={onClose} aria-label="Close viewer">✕</button>
+      </div>
+
+      <div
+        ref={stageRef}
+        className="lightbox-stage"
+        onWheel={handleWheel}
+        onTouchStart={handleTouchStart}
+        onTouchMove={handleTouchMove}
+        onTouchEnd={handleTouchEnd}
+      >
+        {renderMedia()}
+      </div>
+
+      {hasPrevious && (
+        <button type="button" className="lightbox-nav lightbox-nav-prev" onClick={goPrevious} aria-label="Previous post">‹</button>
+      )}
+      {hasNext && (
+        <button type="button" className="lightbox-nav lightbox-nav-next" onClick={goNext} aria-label="Next post">›</button>
+      )}
+
+      {showCaption && (
+        <div className="lightbox-caption">
+          <h3>{post.title}</h3>
+          <div className="lightbox-caption-meta">
+            <span>r/{post.subreddit}</span>
+            <span className="post-separator">•</span>
+            <span>u/{post.author}</span>
+            <span className="post-separator">•</span>
+            <span>{getRelativeTime(post.createdUtc)}</span>
+            <span className="post-separator">•</span>
+            <span>↑ {post.ups}</span>
+            <span className="post-separator">•</span>
+            <a href={`https://reddit.com${post.permalink}`} target="_blank" rel="noopener noreferrer">
+              View on Reddit
+            </a>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Lightbox;
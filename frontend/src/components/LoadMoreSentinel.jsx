@@ -0,0 +1,57 @@
+import React, { useEffect, useRef } from 'react';
+import { useLazyLoad } from '../hooks/useLazyLoad.js';
+
+function LoadMoreSentinel({ onLoadMore, hasMore, loadingMore }) {
+  // Keep observing so every approach to the bottom can trigger another page
+  const { elementRef, isIntersecting } = useLazyLoad({
+    rootMargin: '600px',
+    threshold: 0,
+    triggerOnce: false
+  });
+
+  // Each approach loads one page: staying in view after a load (or a failed
+  // one) doesn't trigger another, the "Load more" button does
+  const wasIntersectingRef = useRef(false);
+  const pendingLoadRef = useRef(false);
+
+  useEffect(() => {
+    if (isIntersecting && !wasIntersectingRef.current) {
+      pendingLoadRef.current = true;
+    }
+    wasIntersectingRef.current = isIntersecting;
+    if (!isIntersecting) {
+      pendingLoadRef.current = false;
+    }
+
+    if (pendingLoadRef.current && hasMore && !loadingMore && onLoadMore) {
+      pendingLoadRef.current = false;
+      onLoadMore();
+    }
+  }, [isIntersecting, hasMore, loadingMore, onLoadMore]);
+
+  if (!onLoadMore) {
+    return null;
+  }
+
+  return (
+    <div ref={elementRef} className="load-more-sentinel">
+      {loadingMore && (
+        <div className="load-more-status">Loading more posts...</div>
+      )}
+      {!loadingMore && hasMore && (
+        <button
+          className="load-more-btn"
+          onClick={onLoadMore}
+          type="button"
+        >
+          Load more
+        </button>
+      )}
+      {!loadingMore && !hasMore && (
+        <div className="load-more-status load-more-end">You&apos;ve reached the end of the feed</div>
+      )}
+    </div>
+  );
+}
+
+export default LoadMoreSentinel;
@@ -0,0 +1,167 @@
+import React, { useState, useMemo } from 'react';
+import { parseMarkdown } from '../utils/markdown.js';
+
+const stopPropagation = (e) => {
+  e.stopPropagation();
+};
+
+// Hidden until clicked, like spoilers on Reddit
+function Spoiler({ children }) {
+  const [isRevealed, setIsRevealed] = useState(false);
+
+  const handleClick = (e) => {
+    if (isRevealed) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setIsRevealed(true);
+  };
+
+  return (
+    <span
+      className={`md-spoiler ${isRevealed ? 'revealed' : ''}`}
+      onClick={handleClick}
+      title={isRevealed ? undefined : 'Reveal spoiler'}
+    >
+      {children}
+    </span>
+  );
+}
+
+// Image links get a toggle that shows the image under the text
+function ImageLink({ href, children }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const handleToggle = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsExpanded(prev => !prev);
+  };
+
+  return (
+    <>
+      <a href={href} target="_blank" rel="noopener noreferrer" onClick={stopPropagation}>
+        {children}
+      </a>
+      <button
+        type="button"
+        className="md-media-toggle"
+        onClick={handleToggle}
+        aria-expanded={isExpanded}
+        title={isExpanded ? 'Hide image' : 'Show image'}
+      >
+        {isExpanded ? '[–]' : '[🖼]'}
+      </button>
+      {isExpanded && (
+        <span className="md-inline-media">
+          <img src={href} alt="" loading="lazy" referrerPolicy="no-referrer" />
+        </span>
+      )}
+    </>
+  );
+}
+
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'text':
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children)}</em>;
+    case 'strike':
+      return <del key={index}>{renderInline(node.children)}</del>;
+    case 'superscript':
+      return <sup key={index}>{renderInline(node.children)}</sup>;
+    case 'spoiler':
+      return <Spoiler key={index}>{renderInline(node.children)}</Spoiler>;
+    case 'code':
+      return <code key={index}>{node.text}</code>;
+    case 'link':
+      if (node.isImage) {
+        return <ImageLink key={index} href={node.href}>{renderInline(node.children)}</ImageLink>;
+      }
+      return (
+        <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" onClick={stopPropagation}>
+          {renderInline(node.children)}
+        </a>
+      );
+    case 'break':
+      return <br key={index} />;
+    default:
+      return null;
+  }
+});
+
+const renderBlocks = (blocks) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'paragraph':
+      return <p key={index}>{renderInline(block.children)}</p>;
+    case 'heading': {
+      const Heading = `h${block.level}`;
+      return <Heading key={index}>{renderInline(block.children)}</Heading>;
+    }
+    case 'blockquote':
+      return <blockquote key={index}>{renderBlocks(block.children)}</blockquote>;
+    case 'list': {
+      const items = block.items.map((item, itemIndex) => <li key={itemIndex}>{renderBlocks(item)}</li>);
+      return block.ordered
+        ? <ol key={index} start={block.start}>{items}</ol>
+        : <ul key={index}>{items}</ul>;
+    }
+    case 'code':
+      return <pre key={index}><code>{block.text}</code></pre>;
+    case 'table':
+      return (
+        <div key={index} className="md-table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                {block.header.map((cell, column) => (
+                  <th key={column} style={{ textAlign: block.align[column] || undefined }}>{renderInline(cell)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {row.map((cell, column) => (
+                    <td key={column} style={{ textAlign: block.align[column] || undefined }}>{renderInline(cell)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'hr':
+      return <hr key={index} />;
+    default:
+      return null;
+  }
+});
+
+// Unparseable text is still shown, as plain text
+const parseSafely = (text) => {
+  try {
+    return parseMarkdown(text);
+  } catch (error) {
+    console.error('Error parsing Markdown:', error);
+    return text ? [{ type: 'paragraph', children: [{ type: 'text', text }] }] : [];
+  }
+};
+
+function Markdown({ text, className = '' }) {
+  const blocks = useMemo(() => parseSafely(text), [text]);
+
+  if (blocks.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`markdown ${className}`}>
+      {renderBlocks(blocks)}
+    </div>
+  );
+}
+
+export default Markdown;
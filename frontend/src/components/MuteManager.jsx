@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { getRedditClient } from '../services/redditClient.js';
+import { MUTE_RULE_TYPES, validateMuteRule, formatMuteRule } from '../utils/muteRules.js';
+
+function MuteManager({ rules, hitCounts = {}, onRulesChange }) {
+  const [ruleType, setRuleType] = useState('author');
+  const [ruleValue, setRuleValue] = useState('');
+  const [error, setError] = useState(null);
+  const redditClient = getRedditClient();
+  const placeholder = MUTE_RULE_TYPES.find(type => type.value === ruleType)?.placeholder;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const validationError = validateMuteRule(ruleType, ruleValue);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    if (!redditClient.addMuteRule(ruleType, ruleValue)) {
+      setError('That is already muted');
+      return;
+    }
+
+    setRuleValue('');
+    setError(null);
+    onRulesChange();
+  };
+
+  const handleRemove = (ruleId) => {
+    if (redditClient.removeMuteRule(ruleId)) {
+      onRulesChange();
+    }
+  };
+
+  const totalHidden = Object.values(hitCounts).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="mute-manager">
+      <form className="mute-add-form" onSubmit={handleAdd}>
+        <select
+          className="mute-type-select"
+          value={ruleType}
+          onChange={(e) => {
+            setRuleType(e.target.value);
+            setError(null);
+          }}
+          aria-label="What to mute"
+        >
+          {MUTE_RULE_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className={`mute-value-input ${error ? 'invalid' : ''}`}
+          value={ruleValue}
+          onChange={(e) => {
+            setRuleValue(e.target.value);
+            setError(null);
+          }}
+          placeholder={placeholder}
+          aria-label="Value to mute"
+        />
+        <button type="submit" className="action-btn" disabled={!ruleValue.trim()}>
+          Mute
+        </button>
+        {error && <span className="mute-error">{error}</span>}
+      </form>
+
+      {rules.length === 0 ? (
+        <p className="mute-empty">
+          Nothing muted yet. Use the ⋯ menu on a post to mute its author or domain, or add a rule above.
+        </p>
+      ) : (
+        <>
+          <p className="mute-summary">
+            {rules.length} {rules.length === 1 ? 'rule' : 'rules'} hiding {totalHidden} loaded {totalHidden === 1 ? 'post' : 'posts'}
+          </p>
+          <ul className="mute-rule-list">
+            {rules.map(rule => (
+              <li key={rule.id} className="mute-rule">
+                <span className={`mute-rule-type mute-rule-${rule.type}`}>
+                  {MUTE_RULE_TYPES.find(type => type.value === rule.type)?.label || rule.type}
+                </span>
+                <span className="mute-rule-value">{formatMuteRule(rule)}</span>
+                <span className="mute-rule-hits" title="Loaded posts hidden by this rule">
+                  {hitCounts[rule.id] || 0} hidden
+                </span>
+                <button
+                  type="button"
+                  className="mute-rule-remove"
+                  onClick={() => handleRemove(rule.id)}
+                  aria-label={`Unmute ${formatMuteRule(rule)}`}
+                  title="Unmute"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+          <p className="mute-profile-note">
+            Mute rules belong to the current profile; save the profile to keep them with it.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MuteManager;
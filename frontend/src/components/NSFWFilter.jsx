@@ -1,12 +1,18 @@
 import React from 'react';
-import { getRedditClient } from '../services/redditClient.js';
+import { getRedditClient, NSFW_SETTINGS } from '../services/redditClient.js';
+
+const NSFW_OPTIONS = {
+  sfw: { icon: '🔒', label: 'Safe for Work', description: 'Only showing safe for work content' },
+  blur: { icon: '🌫️', label: 'Blur NSFW', description: 'Including NSFW content, blurred until clicked along with spoilers' },
+  nsfw: { icon: '🔓', label: 'Include NSFW', description: 'Including NSFW content from all subreddits' }
+};
 
 const NSFWFilter = ({ onNsfwChange }) => {
   const redditClient = getRedditClient();
   const currentSetting = redditClient.getNsfwSetting();
 
   const handleToggle = () => {
-    const newSetting = currentSetting === 'sfw' ? 'nsfw' : 'sfw';
+    const newSetting = NSFW_SETTINGS[(NSFW_SETTINGS.indexOf(currentSetting) + 1) % NSFW_SETTINGS.length];
     redditClient.setNsfwSetting(newSetting);
     onNsfwChange(newSetting);
   };
@@ -20,20 +26,17 @@ const NSFWFilter = ({ onNsfwChange }) => {
         <button
           className={`nsfw-toggle ${currentSetting}`}
           onClick={handleToggle}
-          title={currentSetting === 'sfw' ? 'Currently showing Safe for Work content only' : 'Currently including NSFW content'}
+          title={NSFW_OPTIONS[currentSetting].description}
         >
           <span className="nsfw-icon">
-            {currentSetting === 'sfw' ? '🔒' : '🔓'}
+            {NSFW_OPTIONS[currentSetting].icon}
           </span>
           <span className="nsfw-label">
-            {currentSetting === 'sfw' ? 'Safe for Work' : 'Include NSFW'}
+            {NSFW_OPTIONS[currentSetting].label}
           </span>
         </button>
         <div className="nsfw-description">
-          {currentSetting === 'sfw' 
-            ? 'Only showing safe for work content' 
-            : 'Including NSFW content from all subreddits'
-          }
+          {NSFW_OPTIONS[currentSetting].description}
         </div>
       </div>
     </div>
@@ -0,0 +1,31 @@
+import React from 'react';
+
+function NewPostsBanner({ count, onReveal }) {
+  if (!count) {
+    return null;
+  }
+
+  const handleClick = () => {
+    onReveal();
+    // Scroll after the revealed posts render, so the feed's scroll anchoring
+    // doesn't cancel the scroll
+    requestAnimationFrame(() => {
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    });
+  };
+
+  return (
+    <div className="new-posts-banner-container">
+      <button
+        className="new-posts-banner"
+        onClick={handleClick}
+        type="button"
+        aria-live="polite"
+      >
+        ↑ {count} new {count === 1 ? 'post' : 'posts'}
+      </button>
+    </div>
+  );
+}
+
+export default NewPostsBanner;
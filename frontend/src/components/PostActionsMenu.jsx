@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+function PostActionsMenu({ post, onMute, isSaved = false, onToggleSave, onEditTags }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen]);
+
+  const actions = [];
+  if (onToggleSave) {
+    actions.push({ key: 'save', label: isSaved ? '★ Remove from Saved' : '☆ Save', run: () => onToggleSave(post) });
+  }
+  if (isSaved && onEditTags) {
+    actions.push({ key: 'tags', label: '🏷 Edit tags', run: () => onEditTags(post) });
+  }
+  if (onMute) {
+    actions.push({ key: 'mute-author', label: `🔇 Mute u/${post.author}`, run: () => onMute('author', post.author) });
+    // Self posts link back to their own subreddit, so there is no domain to mute
+    if (post.domain && !post.isSelf) {
+      actions.push({ key: 'mute-domain', label: `🔇 Mute ${post.domain}`, run: () => onMute('domain', post.domain) });
+    }
+    if (post.flair) {
+      actions.push({ key: 'mute-flair', label: `🔇 Mute flair "${post.flair}"`, run: () => onMute('flair', post.flair) });
+    }
+  }
+
+  if (actions.length === 0) {
+    return null;
+  }
+
+  const handleToggle = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsOpen(prev => !prev);
+  };
+
+  const handleAction = (e, action) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsOpen(false);
+    action.run();
+  };
+
+  return (
+    <div className="post-actions-menu" ref={menuRef}>
+      <button
+        type="button"
+        className="post-actions-trigger"
+        onClick={handleToggle}
+        aria-label="Post actions"
+        aria-expanded={isOpen}
+        title="More actions"
+      >
+        ⋯
+      </button>
+      {isOpen && (
+        <div className="post-actions-dropdown" role="menu">
+          {actions.map(action => (
+            <button
+              key={action.key}
+              type="button"
+              role="menuitem"
+              className="post-actions-item"
+              onClick={(e) => handleAction(e, action)}
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PostActionsMenu;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { getRelativeTime } from '../utils/timeUtils';
+
+// Reddit sends flair colors as hex strings; anything else is ignored
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+
+const getFlairStyle = (post) => {
+  if (!HEX_COLOR_PATTERN.test(post.flairBackgroundColor || '')) {
+    return undefined;
+  }
+  return {
+    backgroundColor: post.flairBackgroundColor,
+    color: post.flairTextColor === 'light' ? '#fff' : '#1a1a1b'
+  };
+};
+
+function PostBadges({ post }) {
+  const badges = [];
+
+  if (post.stickied) {
+    badges.push({ key: 'stickied', className: 'badge-stickied', label: '📌 Pinned', title: 'Pinned by the moderators' });
+  }
+  if (post.distinguished) {
+    const isAdmin = post.distinguished === 'admin';
+    badges.push({
+      key: 'distinguished',
+      className: `badge-${isAdmin ? 'admin' : 'moderator'}`,
+      label: isAdmin ? 'ADMIN' : 'MOD',
+      title: `Posted as ${isAdmin ? 'a Reddit admin' : 'a moderator'}`
+    });
+  }
+  if (post.over18) {
+    badges.push({ key: 'nsfw', className: 'badge-nsfw', label: 'NSFW', title: 'Marked NSFW' });
+  }
+  if (post.spoiler) {
+    badges.push({ key: 'spoiler', className: 'badge-spoiler', label: 'SPOILER', title: 'Marked as a spoiler' });
+  }
+  if (post.locked) {
+    badges.push({ key: 'locked', className: 'badge-locked', label: '🔒 Locked', title: 'Comments are locked' });
+  }
+  if (post.awards > 0) {
+    badges.push({ key: 'awards', className: 'badge-awards', label: `🏆 ${post.awards}`, title: `${post.awards} awards` });
+  }
+  // Media posts already show their type, so only link posts name their site
+  if (post.domain && !post.isSelf && post.mediaType === 'text') {
+    badges.push({ key: 'domain', className: 'badge-domain', label: `🔗 ${post.domain}`, title: `Links to ${post.domain}` });
+  }
+  if (post.edited) {
+    badges.push({
+      key: 'edited',
+      className: 'badge-edited',
+      label: '✏️ edited',
+      title: post.editedUtc ? `Edited ${getRelativeTime(post.editedUtc)}` : 'Edited'
+    });
+  }
+
+  if (!post.flair && badges.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="post-badges">
+      {post.flair && (
+        <span className="post-badge badge-flair" style={getFlairStyle(post)} title="Flair">
+          {post.flair}
+        </span>
+      )}
+      {badges.map(badge => (
+        <span key={badge.key} className={`post-badge ${badge.className}`} title={badge.title}>
+          {badge.label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default PostBadges;
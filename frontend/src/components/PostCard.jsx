@@ -4,8 +4,20 @@ import { getSubredditBadgeStyle } from '../utils/subredditColors.js';
 import LazyImage from './LazyImage.jsx';
 import LazyVideoPlayer from './LazyVideoPlayer.jsx';
 import ImageGallery from './ImageGallery.jsx';
+import CrosspostInfo from './CrosspostInfo.jsx';
+import PostActionsMenu from './PostActionsMenu.jsx';
+import SavedTags from './SavedTags.jsx';
+import SelfText from './SelfText.jsx';
+import PostBadges from './PostBadges.jsx';
+import { useMediaBlur } from '../contexts/MediaBlurContext.jsx';
 
-function PostCard({ post }) {
+function PostCard({ post, onOpenMedia, onMute, isSeen = false, onMarkSeen, isSaved = false, onToggleSave, onEditTags, onOpenComments }) {
+  const { getBlurReason, revealPost } = useMediaBlur();
+  const blurReason = getBlurReason(post);
+
+  const handleReveal = () => {
+    revealPost(post.id);
+  };
 
   // Function to get media type tag info
   const getMediaTypeTag = () => {
@@ -36,9 +48,15 @@ function PostCard({ post }) {
     return { label: 'TEXT', icon: '📝', className: 'media-tag-text' };
   };
 
+  // Read the discussion in the app when possible, otherwise on Reddit
   const handleLinkClick = (e) => {
     e.preventDefault();
-    window.open(`https://reddit.com${post.permalink}`, '_blank');
+    onMarkSeen?.(post.id);
+    if (onOpenComments) {
+      onOpenComments(post);
+    } else {
+      window.open(`https://reddit.com${post.permalink}`, '_blank');
+    }
   };
 
   const handleAuthorClick = (e) => {
@@ -55,11 +73,34 @@ function PostCard({ post }) {
 
   const handleMediaClick = (e) => {
     e.preventDefault();
-    if (post.mediaUrl) {
+    if (onOpenMedia) {
+      onOpenMedia(post);
+    } else if (post.mediaUrl) {
       window.open(post.mediaUrl, '_blank');
     }
   };
 
+  const handleExpandClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onOpenMedia(post);
+  };
+
+  // Videos handle their own clicks, so they get a button to open the viewer
+  const renderExpandButton = () => (
+    onOpenMedia && !blurReason && (
+      <button
+        type="button"
+        className="media-expand-btn"
+        onClick={handleExpandClick}
+        aria-label="Open in viewer"
+        title="Open in viewer"
+      >
+        ⛶
+      </button>
+    )
+  );
+
 
   const renderMedia = () => {
     if (post.mediaType === 'gallery' && post.galleryData && post.mediaMetadata) {
@@ -69,9 +110,15 @@ function PostCard({ post }) {
             galleryData={post.galleryData}
             mediaMetadata={post.mediaMetadata}
             title={post.title}
-            onImageClick={(e, imageUrl) => {
+            blurReason={blurReason}
+            onReveal={handleReveal}
+            onImageClick={(e, imageUrl, imageIndex) => {
               e.preventDefault();
-              window.open(imageUrl, '_blank');
+              if (onOpenMedia) {
+                onOpenMedia(post, imageIndex);
+              } else {
+                window.open(imageUrl, '_blank');
+              }
             }}
           />
         </div>
@@ -86,6 +133,9 @@ function PostCard({ post }) {
             alt={post.title}
             onClick={handleMediaClick}
             isGif={false}
+            aspectRatio={post.aspectRatio}
+            blurReason={blurReason}
+            onReveal={handleReveal}
           />
         </div>
       );
@@ -96,9 +146,12 @@ function PostCard({ post }) {
         <div className="media-container">
           <LazyVideoPlayer 
             post={post} 
-            autoplay={true} 
+            autoplay={!blurReason} 
             muted={true} 
+            blurReason={blurReason}
+            onReveal={handleReveal}
           />
+          {renderExpandButton()}
         </div>
       );
     }
@@ -110,9 +163,12 @@ function PostCard({ post }) {
         <div className="media-container">
           <LazyVideoPlayer 
             post={post} 
-            autoplay={true} 
+            autoplay={!blurReason} 
             muted={true} 
+            blurReason={blurReason}
+            onReveal={handleReveal}
           />
+          {renderExpandButton()}
         </div>
       );
     }
@@ -122,9 +178,11 @@ function PostCard({ post }) {
       <div className="media-container text-container">
         <div className="text-content">
           <div className="emoji-large">{post.emojiTag}</div>
-          <div className="text-preview">
-            {post.hasContent ? post.content : 'Text post'}
-          </div>
+          {post.hasContent ? (
+            <SelfText post={post} previewLength={200} className="text-preview" />
+          ) : (
+            <div className="text-preview">Text post</div>
+          )}
         </div>
       </div>
     );
@@ -133,7 +191,7 @@ function PostCard({ post }) {
   const mediaTag = getMediaTypeTag();
 
   return (
-    <div className="post-card">
+    <div className={`post-card ${isSeen ? 'seen' : ''}`}>
       {renderMedia()}
       
       <div className="post-info">
@@ -163,6 +221,8 @@ function PostCard({ post }) {
           {post.title}
         </h3>
         
+        <PostBadges post={post} />
+        
         <div className="post-meta">
           <span 
             className="post-author"
@@ -181,7 +241,30 @@ function PostCard({ post }) {
           <span className="post-time">{getRelativeTime(post.createdUtc)}</span>
           <span className="post-separator">•</span>
           <span className="post-upvotes">↑ {post.ups}</span>
+          {post.upvoteRatio != null && (
+            <span className="post-ratio" title="Upvoted">{Math.round(post.upvoteRatio * 100)}%</span>
+          )}
+          <span className="post-separator">•</span>
+          <button
+            type="button"
+            className="post-comments-btn"
+            onClick={handleLinkClick}
+            title={onOpenComments ? 'Read comments' : 'Read comments on Reddit'}
+          >
+            💬 {post.numComments}
+          </button>
+          {isSaved && <span className="saved-indicator" title="Saved">★</span>}
+          <PostActionsMenu
+            post={post}
+            onMute={onMute}
+            isSaved={isSaved}
+            onToggleSave={onToggleSave}
+            onEditTags={onEditTags}
+          />
         </div>
+        
+        <CrosspostInfo post={post} />
+        <SavedTags post={post} onEditTags={onEditTags} />
       </div>
     </div>
   );
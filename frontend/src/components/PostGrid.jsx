@@ -1,22 +1,93 @@
 import React, { useMemo } from 'react';
 import PostCard from './PostCard.jsx';
+import SeenTracker from './SeenTracker.jsx';
+import LoadMoreSentinel from './LoadMoreSentinel.jsx';
+import { useColumnCount } from '../hooks/useColumnCount.js';
+import { useVirtualColumns } from '../hooks/useVirtualColumns.js';
 
-function PostGrid({ posts }) {
-  // Distribute posts across 3 columns for balanced layout
+// Estimated card heights, in column widths, used to balance masonry columns
+const CARD_INFO_HEIGHT = 0.35; // Header, title and meta below the media
+const GALLERY_STRIP_HEIGHT = 0.25; // Thumbnail strip under gallery images
+const TEXT_MEDIA_HEIGHT = 0.6;
+const UNKNOWN_MEDIA_HEIGHT = 1;
+const DEFAULT_COLUMN_WIDTH = 400;
+
+const estimateCardHeight = (post) => {
+  let mediaHeight = post.mediaType === 'text' ? TEXT_MEDIA_HEIGHT : UNKNOWN_MEDIA_HEIGHT;
+  if (post.aspectRatio) {
+    mediaHeight = 1 / post.aspectRatio;
+  }
+  if (post.mediaType === 'gallery') {
+    mediaHeight += GALLERY_STRIP_HEIGHT;
+  }
+  return mediaHeight + CARD_INFO_HEIGHT;
+};
+
+// Pixel estimate for cards that haven't been rendered and measured yet
+const estimatePostHeight = (post, columnWidth) => {
+  return estimateCardHeight(post) * (columnWidth || DEFAULT_COLUMN_WIDTH);
+};
+
+// A grid row is as tall as its tallest card
+const estimateRowHeight = (row, rowWidth) => {
+  const columnWidth = rowWidth ? rowWidth / row.columnCount : DEFAULT_COLUMN_WIDTH;
+  return Math.max(...row.posts.map(post => estimatePostHeight(post, columnWidth)));
+};
+
+const getRowPostIds = (row) => row.posts.map(post => post.id);
+
+function PostGrid({ posts, onLoadMore, hasMore = false, loadingMore = false, onOpenMedia, onMute, seenIds = new Set(), onMarkSeen, savedIds = new Set(), onToggleSave, onEditTags, onOpenComments, masonry = false }) {
+  const columnCount = useColumnCount();
+
+  // Masonry stacks posts in independent columns; the grid keeps rows aligned,
+  // so it is windowed one row of columnCount posts at a time
   const columns = useMemo(() => {
-    const col1 = [];
-    const col2 = [];
-    const col3 = [];
-    
-    posts.forEach((post, index) => {
-      const columnIndex = index % 3;
-      if (columnIndex === 0) col1.push(post);
-      else if (columnIndex === 1) col2.push(post);
-      else col3.push(post);
-    });
-    
-    return [col1, col2, col3];
-  }, [posts]);
+    if (masonry) {
+      // Place each post in the currently shortest column, in feed order
+      const masonryColumns = Array.from({ length: columnCount }, () => []);
+      const heights = new Array(columnCount).fill(0);
+
+      posts.forEach(post => {
+        const shortest = heights.indexOf(Math.min(...heights));
+        masonryColumns[shortest].push(post);
+        heights[shortest] += estimateCardHeight(post);
+      });
+
+      return masonryColumns;
+    }
+
+    const rows = [];
+    for (let start = 0; start < posts.length; start += columnCount) {
+      const rowPosts = posts.slice(start, start + columnCount);
+      rows.push({ id: `row-${rowPosts[0].id}`, posts: rowPosts, columnCount });
+    }
+
+    return [rows];
+  }, [posts, masonry, columnCount]);
+
+  // Only mount the cards near the viewport
+  const { containerRef, measureRef, renderedColumns } = useVirtualColumns({
+    columns,
+    estimateHeight: masonry ? estimatePostHeight : estimateRowHeight,
+    getAnchorIds: masonry ? undefined : getRowPostIds
+  });
+
+  const renderPost = (post) => (
+    <>
+      <SeenTracker postId={post.id} isSeen={seenIds.has(post.id)} onSeen={onMarkSeen} />
+      <PostCard
+        post={post}
+        onOpenMedia={onOpenMedia}
+        onMute={onMute}
+        isSeen={seenIds.has(post.id)}
+        onMarkSeen={onMarkSeen}
+        isSaved={savedIds.has(post.id)}
+        onToggleSave={onToggleSave}
+        onEditTags={onEditTags}
+        onOpenComments={onOpenComments}
+      />
+    </>
+  );
 
   if (posts.length === 0) {
     return (
@@ -31,23 +102,52 @@ function PostGrid({ posts }) {
   }
 
   return (
-    <div className="post-grid">
-      <div className="grid-column">
-        {columns[0].map(post => (
-          <PostCard key={post.id} post={post} />
-        ))}
-      </div>
-      <div className="grid-column">
-        {columns[1].map(post => (
-          <PostCard key={post.id} post={post} />
-        ))}
-      </div>
-      <div className="grid-column">
-        {columns[2].map(post => (
-          <PostCard key={post.id} post={post} />
-        ))}
-      </div>
-    </div>
+    <>
+      {masonry ? (
+        <div
+          ref={containerRef}
+          className="post-grid masonry"
+          style={{ gridTemplateColumns: `repeat(${columnCount}, minmax(0, 1fr))` }}
+        >
+          {renderedColumns.map(({ items, paddingTop, paddingBottom }, columnIndex) => (
+            <div key={columnIndex} className="grid-column" style={{ paddingTop, paddingBottom }}>
+              {items.map(post => (
+                <div key={post.id} ref={measureRef(post.id)} className="virtual-item">
+                  {renderPost(post)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div ref={containerRef} className="post-grid rows">
+          <div
+            className="virtual-list-window"
+            style={{ paddingTop: renderedColumns[0].paddingTop, paddingBottom: renderedColumns[0].paddingBottom }}
+          >
+            {renderedColumns[0].items.map(row => (
+              <div
+                key={row.id}
+                ref={measureRef(row.id)}
+                className="grid-row"
+                style={{ gridTemplateColumns: `repeat(${columnCount}, minmax(0, 1fr))` }}
+              >
+                {row.posts.map(post => (
+                  <div key={post.id} className="virtual-item">
+                    {renderPost(post)}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      <LoadMoreSentinel
+        onLoadMore={onLoadMore}
+        hasMore={hasMore}
+        loadingMore={loadingMore}
+      />
+    </>
   );
 }
 
@@ -0,0 +1,46 @@
+import React from 'react';
+import { useRateLimitStatus } from '../hooks/useRateLimitStatus.js';
+
+const LOW_BUDGET_THRESHOLD = 20;
+
+function RateLimitStatus({ redditClientReady }) {
+  const status = useRateLimitStatus(redditClientReady);
+
+  if (!status) {
+    return null;
+  }
+
+  const { remaining, resetAt, queueDepth, active, isThrottled } = status;
+  const isLow = isThrottled || (remaining !== null && remaining < LOW_BUDGET_THRESHOLD);
+
+  const formatBudget = () => {
+    if (remaining === null) return 'Unknown';
+    return `${Math.floor(remaining)} left`;
+  };
+
+  const formatReset = () => {
+    if (!resetAt) return '';
+    const seconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+    return `resets in ${seconds}s`;
+  };
+
+  const title = [
+    `${active} request${active === 1 ? '' : 's'} in flight`,
+    `${queueDepth} queued`,
+    formatReset()
+  ].filter(Boolean).join(', ');
+
+  return (
+    <div className={`status-item rate-limit-status ${isLow ? 'rate-limit-low' : ''}`} title={title}>
+      <span className="label">API Budget:</span>
+      <span className="value">
+        {formatBudget()}
+        {queueDepth > 0 && (
+          <span className="rate-limit-queue"> ({queueDepth} queued)</span>
+        )}
+      </span>
+    </div>
+  );
+}
+
+export default RateLimitStatus;
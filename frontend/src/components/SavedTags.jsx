@@ -0,0 +1,29 @@
+import React from 'react';
+
+function SavedTags({ post, onEditTags }) {
+  const tags = post.savedTags;
+  if (!tags) {
+    return null;
+  }
+
+  const handleEdit = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onEditTags(post);
+  };
+
+  return (
+    <div className="saved-tags">
+      {tags.map(tag => (
+        <span key={tag} className="saved-tag">#{tag}</span>
+      ))}
+      {onEditTags && (
+        <button type="button" className="saved-tags-edit" onClick={handleEdit}>
+          {tags.length > 0 ? 'Edit tags' : '+ Add tags'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default SavedTags;
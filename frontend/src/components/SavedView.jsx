@@ -0,0 +1,164 @@
+import React from 'react';
+import PostGrid from './PostGrid.jsx';
+import TextListView from './TextListView.jsx';
+import Slideshow from './Slideshow.jsx';
+import ViewToggle from './ViewToggle.jsx';
+import { EXPORT_FORMATS, downloadSavedExport } from '../utils/savedExport.js';
+
+function SavedView({
+  items,
+  posts,
+  totalCount,
+  tagCounts,
+  query,
+  queryError,
+  onQueryChange,
+  activeTag,
+  onTagChange,
+  viewMode,
+  onViewModeChange,
+  onClose,
+  savedIds,
+  onToggleSave,
+  onEditTags,
+  onOpenMedia,
+  onOpenComments,
+  syncToReddit,
+  onSyncToRedditChange,
+  currentUser
+}) {
+  const renderPosts = () => {
+    if (totalCount === 0) {
+      return (
+        <div className="post-grid-empty">
+          <div className="empty-state">
+            <div className="empty-icon">☆</div>
+            <h3>No saved posts yet</h3>
+            <p>Use the ⋯ menu on any post and choose Save to keep a copy here.</p>
+          </div>
+        </div>
+      );
+    }
+
+    if (viewMode === 'slideshow') {
+      return <Slideshow posts={posts} />;
+    }
+
+    if (viewMode === 'list') {
+      return (
+        <TextListView
+          posts={posts}
+          onOpenMedia={onOpenMedia}
+          savedIds={savedIds}
+          onToggleSave={onToggleSave}
+          onEditTags={onEditTags}
+          onOpenComments={onOpenComments}
+        />
+      );
+    }
+
+    return (
+      <PostGrid
+        posts={posts}
+        onOpenMedia={onOpenMedia}
+        savedIds={savedIds}
+        onToggleSave={onToggleSave}
+        onEditTags={onEditTags}
+        onOpenComments={onOpenComments}
+        masonry={viewMode === 'masonry'}
+      />
+    );
+  };
+
+  return (
+    <>
+      <div className="controls-container">
+        <div className="saved-toolbar">
+          <div className="saved-toolbar-row">
+            <button type="button" className="filter-btn" onClick={onClose} title="Back to the live feed">
+              ← Feed
+            </button>
+            <h2 className="saved-title">★ Saved Posts</h2>
+            <span className="saved-count">
+              {items.length === totalCount ? totalCount : `${items.length} of ${totalCount}`}
+            </span>
+            <div className="saved-export">
+              <span className="filter-label">Export:</span>
+              {EXPORT_FORMATS.map(format => (
+                <button
+                  key={format.value}
+                  type="button"
+                  className="filter-btn"
+                  onClick={() => downloadSavedExport(format.value, items)}
+                  disabled={items.length === 0}
+                  title={`Download the ${items.length} posts shown as ${format.label}`}
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="saved-toolbar-row">
+            <span className="filter-label">🔍 Search:</span>
+            <input
+              type="text"
+              className={`local-query-input ${queryError ? 'invalid' : ''}`}
+              value={query}
+              onChange={(e) => onQueryChange(e.target.value)}
+              placeholder='e.g., cats OR author:spez'
+              aria-label="Search saved posts"
+            />
+            {queryError && <span className="local-query-error">{queryError}</span>}
+            <label
+              className="saved-sync-toggle"
+              title={currentUser ? 'Also save and unsave on your Reddit account' : 'Sign in to sync with Reddit'}
+            >
+              <input
+                type="checkbox"
+                checked={syncToReddit}
+                onChange={(e) => onSyncToRedditChange(e.target.checked)}
+                disabled={!currentUser}
+              />
+              Sync with Reddit
+            </label>
+          </div>
+
+          {tagCounts.length > 0 && (
+            <div className="saved-toolbar-row saved-tag-filter">
+              <button
+                type="button"
+                className={`filter-btn ${!activeTag ? 'active' : ''}`}
+                onClick={() => onTagChange(null)}
+              >
+                All tags
+              </button>
+              {tagCounts.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  type="button"
+                  className={`filter-btn ${activeTag === tag ? 'active' : ''}`}
+                  onClick={() => onTagChange(activeTag === tag ? null : tag)}
+                >
+                  #{tag} ({count})
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="view-toggle-container">
+          <ViewToggle
+            viewMode={viewMode}
+            onViewModeChange={onViewModeChange}
+          />
+        </div>
+      </div>
+
+      <div className={`content-container ${viewMode}-view`}>
+        {renderPosts()}
+      </div>
+    </>
+  );
+}
+
+export default SavedView;
@@ -0,0 +1,26 @@
+import React, { useEffect } from 'react';
+import { useLazyLoad } from '../hooks/useLazyLoad.js';
+
+const SEEN_DELAY_SECONDS = 2; // How long a post must stay in view to count as seen
+
+// Renders an overlay covering its positioned parent, so the parent's visibility
+// can be watched without wrapping its content
+function SeenTracker({ postId, isSeen = false, onSeen }) {
+  const { elementRef, isIntersecting } = useLazyLoad({
+    rootMargin: '0px',
+    threshold: 0.5,
+    triggerOnce: false
+  });
+
+  // Mark the post once it has stayed at least half visible for the delay
+  useEffect(() => {
+    if (isSeen || !isIntersecting || !onSeen) return;
+
+    const timer = setTimeout(() => onSeen(postId), SEEN_DELAY_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [isSeen, isIntersecting, onSeen, postId]);
+
+  return <div ref={elementRef} className="seen-tracker" aria-hidden="true" />;
+}
+
+export default SeenTracker;
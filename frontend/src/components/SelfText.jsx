@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import Markdown from './Markdown.jsx';
+
+function SelfText({ post, previewLength, className = '' }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  // Posts cached or saved before the full text was kept only have the preview
+  const fullText = post.selftext || post.content || '';
+  if (!fullText) {
+    return null;
+  }
+
+  const isTruncated = fullText.length > previewLength;
+  const preview = isTruncated ? `${fullText.substring(0, previewLength)}...` : fullText;
+
+  const handleToggle = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsExpanded(prev => !prev);
+  };
+
+  return (
+    <div className={`self-text ${isExpanded ? 'expanded' : ''} ${className}`}>
+      <Markdown text={isExpanded ? fullText : preview} />
+      {isTruncated && (
+        <button
+          type="button"
+          className="self-text-toggle"
+          onClick={handleToggle}
+          aria-expanded={isExpanded}
+        >
+          {isExpanded ? 'Show less' : 'Show full post'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default SelfText;
@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import VideoPlayer from './VideoPlayer.jsx';
+import ImageGallery from './ImageGallery.jsx';
+import { useMediaBlur } from '../contexts/MediaBlurContext.jsx';
+
+const SETTINGS_KEY = 'redditvisor_slideshow_settings';
+const SLIDE_MEDIA_TYPES = ['image', 'gif', 'gallery', 'video'];
+const DWELL_OPTIONS = [5, 10, 15, 30, 60, 120];
+const TRANSITION_OPTIONS = [
+  { value: 'fade', label: 'Fade' },
+  { value: 'slide', label: 'Slide' },
+  { value: 'none', label: 'None' }
+];
+const DEFAULT_SETTINGS = { dwellSeconds: 10, transition: 'fade' };
+const VIDEO_GRACE_SECONDS = 5; // Extra time on top of a video's known duration
+const VIDEO_FALLBACK_SECONDS = 120; // Cap for videos that never report ending
+const CONTROLS_HIDE_DELAY = 3000;
+
+const loadSettings = () => {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    return saved ? { ...DEFAULT_SETTINGS, ...JSON.parse(saved) } : DEFAULT_SETTINGS;
+  } catch (error) {
+    console.error('Error loading slideshow settings:', error);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+const isVideoSlide = (post) => post.mediaType === 'video' || post.mediaType === 'gif';
+
+// GIFs loop instead of ending, so without a known duration they dwell like images
+const waitsForVideo = (post) => post.mediaType === 'video' || (post.mediaType === 'gif' && Boolean(post.videoData?.duration));
+
+function Slideshow({ posts }) {
+  const [settings, setSettings] = useState(loadSettings);
+  const [currentId, setCurrentId] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [isKiosk, setIsKiosk] = useState(false);
+  const [controlsVisible, setControlsVisible] = useState(true);
+  const [failedVideoId, setFailedVideoId] = useState(null);
+  const containerRef = useRef(null);
+  const knownIdsRef = useRef(null);
+  const arrivalsRef = useRef([]);
+  const cycleIdRef = useRef(null); // Last slide shown in regular feed order
+  const lastIndexRef = useRef(0);
+  const hideTimerRef = useRef(null);
+  const advanceRef = useRef(null);
+  const { getBlurReason } = useMediaBlur();
+
+  // Nobody is at the screen to reveal blurred media, so it is left out
+  const slides = useMemo(() => posts.filter(post =>
+    SLIDE_MEDIA_TYPES.includes(post.mediaType) &&
+    (post.mediaUrl || (post.galleryData && post.mediaMetadata)) &&
+    !getBlurReason(post)
+  ), [posts, getBlurReason]);
+
+  const currentIndex = slides.findIndex(post => post.id === currentId);
+  const current = currentIndex >= 0 ? slides[currentIndex] : null;
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error('Error saving slideshow settings:', error);
+    }
+  }, [settings]);
+
+  // Queue posts that arrive from polling so they are shown next, without
+  // losing our place in the cycle
+  useEffect(() => {
+    if (knownIdsRef.current === null) {
+      knownIdsRef.current = new Set(slides.map(post => post.id));
+      return;
+    }
+
+    const arrivals = slides.filter(post => !knownIdsRef.current.has(post.id));
+    arrivals.forEach(post => knownIdsRef.current.add(post.id));
+    if (arrivals.length > 0) {
+      arrivalsRef.current.push(...arrivals.map(post => post.id));
+      console.log(`Slideshow queued ${arrivals.length} new posts`);
+    }
+  }, [slides]);
+
+  // Start on the first slide, or stay near our position if the current one
+  // was filtered out
+  useEffect(() => {
+    if (!current && slides.length > 0) {
+      const fallback = slides[Math.min(lastIndexRef.current, slides.length - 1)];
+      cycleIdRef.current = fallback.id;
+      setCurrentId(fallback.id);
+    }
+  }, [current, slides]);
+
+  const showCycleSlide = useCallback((index) => {
+    const slide = slides[index];
+    lastIndexRef.current = index;
+    cycleIdRef.current = slide.id;
+    setCurrentId(slide.id);
+  }, [slides]);
+
+  const advance = useCallback(() => {
+    if (slides.length === 0) return;
+
+    // New arrivals jump the queue
+    while (arrivalsRef.current.length > 0) {
+      const arrivalId = arrivalsRef.current.shift();
+      if (arrivalId !== currentId && slides.some(post => post.id === arrivalId)) {
+        setCurrentId(arrivalId);
+        return;
+      }
+    }
+
+    // Then pick up the cycle after the last regular slide
+    const cycleIndex = slides.findIndex(post => post.id === cycleIdRef.current);
+    const baseIndex = cycleIndex >= 0 ? cycleIndex : lastIndexRef.current - 1;
+    showCycleSlide((baseIndex + 1) % slides.length);
+  }, [slides, currentId, showCycleSlide]);
+
+  const goPrevious = useCallback(() => {
+    if (slides.length === 0) return;
+    const baseIndex = currentIndex >= 0 ? currentIndex : lastIndexRef.current;
+    showCycleSlide((baseIndex - 1 + slides.length) % slides.length);
+  }, [slides, currentIndex, showCycleSlide]);
+
+  // Timers read the latest advance through a ref so polling updates don't
+  // restart the dwell countdown
+  useEffect(() => {
+    advanceRef.current = advance;
+  }, [advance]);
+
+  const currentSlideId = current?.id;
+  // A video that failed to load only gets the dwell time
+  const currentIsVideo = current ? waitsForVideo(current) && current.id !== failedVideoId : false;
+  const currentDuration = current?.videoData?.duration;
+
+  // Images and galleries dwell; videos wait for onEnded, with a fallback
+  useEffect(() => {
+    if (!isPlaying || !currentSlideId) return;
+
+    let delay = settings.dwellSeconds * 1000;
+    if (currentIsVideo) {
+      delay = currentDuration
+        ? Math.max(delay, (currentDuration + VIDEO_GRACE_SECONDS) * 1000)
+        : VIDEO_FALLBACK_SECONDS * 1000;
+    }
+
+    const timer = setTimeout(() => advanceRef.current(), delay);
+    return () => clearTimeout(timer);
+  }, [currentSlideId, currentIsVideo, currentDuration, isPlaying, settings.dwellSeconds]);
+
+  const handleVideoEnded = () => {
+    if (isPlaying) {
+      advanceRef.current();
+    }
+  };
+
+  const handleVideoError = () => {
+    setFailedVideoId(currentSlideId);
+  };
+
+  // Preload the next image so transitions don't flash
+  useEffect(() => {
+    if (currentIndex < 0 || slides.length < 2) return;
+    const next = slides[(currentIndex + 1) % slides.length];
+    if (next.mediaType === 'image' && next.mediaUrl) {
+      const image = new Image();
+      image.src = next.mediaUrl;
+    }
+  }, [currentIndex, slides]);
+
+  // Auto-hide the controls in kiosk mode until the mouse moves
+  const revealControls = useCallback(() => {
+    setControlsVisible(true);
+    clearTimeout(hideTimerRef.current);
+    if (isKiosk) {
+      hideTimerRef.current = setTimeout(() => setControlsVisible(false), CONTROLS_HIDE_DELAY);
+    }
+  }, [isKiosk]);
+
+  useEffect(() => {
+    revealControls();
+    return () => clearTimeout(hideTimerRef.current);
+  }, [revealControls]);
+
+  // Leaving browser fullscreen (e.g. with Esc) also leaves kiosk mode
+  useEffect(() => {
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement) {
+        setIsKiosk(false);
+      }
+    };
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => {
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    };
+  }, []);
+
+  const enterKiosk = () => {
+    setIsKiosk(true);
+    if (containerRef.current?.requestFullscreen) {
+      containerRef.current.requestFullscreen().catch((error) => {
+        // Kiosk mode still covers the window without browser fullscreen
+        console.error('Error entering fullscreen:', error);
+      });
+    }
+  };
+
+  const exitKiosk = useCallback(() => {
+    setIsKiosk(false);
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch((error) => {
+        console.error('Error leaving fullscreen:', error);
+      });
+    }
+  }, []);
+
+  // Keyboard controls
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const tagName = e.target.tagName;
+      if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+
+      switch (e.key) {
+        case ' ':
+          setIsPlaying(prev => !prev);
+          break;
+        case 'ArrowRight':
+          advanceRef.current();
+          break;
+        case 'ArrowLeft':
+          goPrevious();
+          break;
+        case 'Escape':
+          if (!isKiosk) return;
+          exitKiosk();
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+      revealControls();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [goPrevious, isKiosk, exitKiosk, revealControls]);
+
+  const updateSetting = (key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  if (slides.length === 0) {
+    return (
+      <div className="slideshow-empty">
+        <div className="empty-state">
+          <div className="empty-icon">🖼️</div>
+          <h3>No media to show</h3>
+          <p>The slideshow plays image, GIF, gallery and video posts. Try adjusting your filters.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const renderSlide = () => {
+    if (!current) return null;
+
+    if (current.mediaType === 'gallery' && current.galleryData && current.mediaMetadata) {
+      return (
+        <div className="slideshow-gallery">
+          <ImageGallery
+            galleryData={current.galleryData}
+            mediaMetadata={current.mediaMetadata}
+            title={current.title}
+          />
+        </div>
+      );
+    }
+
+    if (isVideoSlide(current)) {
+      return (
+        <div className="slideshow-video">
+          <VideoPlayer
+            post={current}
+            autoplay={true}
+            muted={true}
+            preload="auto"
+            isVisible={true}
+            elementRef={containerRef}
+            onEnded={handleVideoEnded}
+            onError={handleVideoError}
+          />
+        </div>
+      );
+    }
+
+    return (
+      <img
+        src={current.mediaUrl}
+        alt={current.title}
+        className="slideshow-image"
+      />
+    );
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={`slideshow ${isKiosk ? 'kiosk' : ''} ${controlsVisible ? '' : 'controls-hidden'}`}
+      onMouseMove={revealControls}
+    >
+      <div className="slideshow-stage">
+        {current && (
+          <div key={current.id} className={`slideshow-slide slideshow-transition-${settings.transition}`}>
+            {renderSlide()}
+          </div>
+        )}
+      </div>
+
+      {current && (
+        <div className="slideshow-caption">
+          <h3>{current.title}</h3>
+          <span>r/{current.subreddit} • u/{current.author}</span>
+        </div>
+      )}
+
+      <div className="slideshow-controls">
+        <button type="button" onClick={goPrevious} aria-label="Previous slide">⏮</button>
+        <button
+          type="button"
+          onClick={() => setIsPlaying(prev => !prev)}
+          aria-label={isPlaying ? 'Pause slideshow' : 'Play slideshow'}
+        >
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button type="button" onClick={() => advanceRef.current()} aria-label="Next slide">⏭</button>
+
+        <span className="slideshow-counter">
+          {currentIndex + 1} / {slides.length}
+        </span>
+
+        <label className="slideshow-setting">
+          Dwell:
+          <select
+            value={settings.dwellSeconds}
+            onChange={(e) => updateSetting('dwellSeconds', parseInt(e.target.value, 10))}
+          >
+            {DWELL_OPTIONS.map(seconds => (
+              <option key={seconds} value={seconds}>{seconds}s</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="slideshow-setting">
+          Transition:
+          <select
+            value={settings.transition}
+            onChange={(e) => updateSetting('transition', e.target.value)}
+          >
+            {TRANSITION_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <button
+          type="button"
+          onClick={isKiosk ? exitKiosk : enterKiosk}
+          title={isKiosk ? 'Exit fullscreen' : 'Fullscreen, hiding the app controls'}
+        >
+          {isKiosk ? '✕ Exit Fullscreen' : '⛶ Fullscreen'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Slideshow;
@@ -4,7 +4,9 @@ function SortControl({ sortBy, onSortChange }) {
   const sortOptions = [
     { key: 'createTime', label: 'Create Time', icon: '🕒' },
     { key: 'upvotes', label: 'Upvotes', icon: '⬆️' },
-    { key: 'username', label: 'Username', icon: '👤' }
+    { key: 'username', label: 'Username', icon: '👤' },
+    { key: 'comments', label: 'Comments', icon: '💬' },
+    { key: 'upvoteRatio', label: 'Upvote Ratio', icon: '📊' }
   ];
 
   return (
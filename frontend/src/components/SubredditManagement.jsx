@@ -1,12 +1,49 @@
 import React, { useState, useEffect } from 'react';
-import { getRedditClient } from '../services/redditClient.js';
+import { getRedditClient, SEARCHABLE_FEED_KINDS } from '../services/redditClient.js';
+import FeedSourceFields from './FeedSourceFields.jsx';
+import ConfigFilterFields from './ConfigFilterFields.jsx';
 import { parseKeywordQuery, validateQuery, getQueryExamples, formatQueryForDisplay } from '../utils/queryParser.js';
 
-function SubredditManagement({ onConfigChange, redditClientReady }) {
+// Edit form values for a configuration without limits
+const EMPTY_CONFIG_FILTERS = {
+  nsfwPolicy: '',
+  mediaTypes: [],
+  minScore: '',
+  minAgeHours: '',
+  maxPosts: ''
+};
+
+// Pick a form's limit fields; the client normalizes blanks to null
+const getConfigFilters = (form) => ({
+  nsfwPolicy: form.nsfwPolicy,
+  mediaTypes: form.mediaTypes,
+  minScore: form.minScore,
+  minAgeHours: form.minAgeHours,
+  maxPosts: form.maxPosts
+});
+
+// Short description of a configuration's limits for its list entry
+const describeConfigFilters = (config) => {
+  const nsfwLabels = { sfw: 'SFW only', blur: 'NSFW blurred', nsfw: 'NSFW' };
+  return [
+    config.nsfwPolicy && nsfwLabels[config.nsfwPolicy],
+    config.mediaTypes && config.mediaTypes.join(', '),
+    config.minScore != null && `score ≥ ${config.minScore}`,
+    config.minAgeHours && `≥ ${config.minAgeHours}h old`,
+    config.maxPosts && `max ${config.maxPosts} posts`
+  ].filter(Boolean);
+};
+
+function SubredditManagement({ onConfigChange, onRetryConfig, redditClientReady, currentUser, lastUpdated }) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [subredditConfigs, setSubredditConfigs] = useState([]);
+  const [configStatuses, setConfigStatuses] = useState({});
+  const [retryingConfigId, setRetryingConfigId] = useState(null);
   const [newConfig, setNewConfig] = useState({
+    kind: 'subreddit',
     subreddit: '',
+    username: '',
+    multireddit: '',
     sortType: 'hot',
     timeframe: null,
     keywords: '',
@@ -18,12 +55,17 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
   const [editQueryValidation, setEditQueryValidation] = useState({ isValid: true, error: null });
   const [editParsedQuery, setEditParsedQuery] = useState('');
   const [editingConfigId, setEditingConfigId] = useState(null);
+  const [myMultireddits, setMyMultireddits] = useState([]);
   const [editForm, setEditForm] = useState({
+    kind: 'subreddit',
     subreddit: '',
+    username: '',
+    multireddit: '',
     sortType: 'hot',
     timeframe: null,
     keywords: '',
-    configType: 'regular'
+    configType: 'regular',
+    ...EMPTY_CONFIG_FILTERS
   });
 
   // Available sort types for regular feeds
@@ -43,9 +85,16 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
     { value: 'comments', label: 'Comments', description: 'Most discussed' }
   ];
 
+  // Get sort types for a form based on its config type and source kind
+  const getSortTypesFor = (form) => {
+    if (form.configType === 'keyword') return searchSortTypes;
+    // User submission listings have no 'rising' sort
+    return form.kind === 'user' ? regularSortTypes.filter(sort => sort.value !== 'rising') : regularSortTypes;
+  };
+
   // Get current sort types based on config type
   const getCurrentSortTypes = () => {
-    return newConfig.configType === 'keyword' ? searchSortTypes : regularSortTypes;
+    return getSortTypesFor(newConfig);
   };
 
   // Available timeframes for 'top' sort
@@ -58,6 +107,17 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
     { value: 'all', label: 'All Time' }
   ];
 
+  // Health badge labels for each fetch status
+  const healthLabels = {
+    ok: 'OK',
+    empty: 'Empty',
+    private: 'Private',
+    banned: 'Banned',
+    timeout: 'Timeout',
+    rate_limited: 'Rate Limited',
+    error: 'Error'
+  };
+
   // Load current configurations when Reddit client is ready
   useEffect(() => {
     if (redditClientReady) {
@@ -65,6 +125,34 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
     }
   }, [redditClientReady]);
 
+  // Pick up fetch statuses recorded by each poll
+  useEffect(() => {
+    if (redditClientReady) {
+      setConfigStatuses(getRedditClient().getConfigStatuses());
+    }
+  }, [redditClientReady, lastUpdated]);
+
+  // Load the signed-in user's multireddits for importing
+  useEffect(() => {
+    if (!redditClientReady || !currentUser) {
+      setMyMultireddits([]);
+      return;
+    }
+
+    let cancelled = false;
+    getRedditClient().fetchMyMultireddits()
+      .then(multireddits => {
+        if (!cancelled) setMyMultireddits(multireddits);
+      })
+      .catch(error => {
+        console.error('Error loading multireddits:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [redditClientReady, currentUser]);
+
   // Validate and parse query when keywords change
   useEffect(() => {
     if (newConfig.keywords.trim()) {
@@ -101,11 +189,52 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
     }
   }, [editForm.keywords]);
 
+  // Source fields of a form, as passed to the Reddit client
+  const getSource = (form) => ({
+    kind: form.kind,
+    subreddit: form.subreddit,
+    username: form.username,
+    multireddit: form.multireddit
+  });
+
+  // Returns a message describing the missing source field, or null when complete
+  const getSourceError = (form) => {
+    switch (form.kind) {
+      case 'combined':
+        return form.subreddit.trim() ? null : 'Please enter the subreddits to combine.';
+      case 'multireddit':
+        if (!form.username.trim()) return 'Please enter the multireddit owner.';
+        return form.multireddit.trim() ? null : 'Please enter a multireddit name.';
+      case 'user':
+        return form.username.trim() ? null : 'Please enter a username.';
+      case 'home':
+        return currentUser ? null : 'Please sign in to use your home feed.';
+      default:
+        return form.subreddit.trim() ? null : 'Please enter a subreddit name.';
+    }
+  };
+
+  // Apply source changes, falling back to a regular feed for kinds without search
+  const applySourceChange = (prev, changes) => {
+    const next = { ...prev, ...changes };
+    if (next.configType === 'keyword' && !SEARCHABLE_FEED_KINDS.includes(next.kind)) {
+      next.configType = 'regular';
+      next.keywords = '';
+      next.sortType = 'hot';
+      next.timeframe = null;
+    }
+    if (next.kind === 'user' && next.sortType === 'rising') {
+      next.sortType = 'hot';
+    }
+    return next;
+  };
+
   const loadConfigurations = () => {
     try {
       const redditClient = getRedditClient();
       const configs = redditClient.getSubredditConfigs();
       setSubredditConfigs(configs);
+      setConfigStatuses(redditClient.getConfigStatuses());
       console.log(`Loaded ${configs.length} subreddit configurations in SubredditManagement`);
     } catch (error) {
       console.error('Error loading subreddit configurations:', error);
@@ -123,6 +252,33 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
     }
   };
 
+  const handleRetryConfig = async (configId) => {
+    setRetryingConfigId(configId);
+    try {
+      await onRetryConfig?.(configId);
+      setConfigStatuses(getRedditClient().getConfigStatuses());
+    } catch (error) {
+      console.error('Error retrying configuration:', error);
+    } finally {
+      setRetryingConfigId(null);
+    }
+  };
+
+  const getHealthTitle = (health) => {
+    if (!health) return 'Not fetched yet';
+    const details = [healthLabels[health.status] || health.status];
+    if (health.message) details.push(health.message);
+    if (health.status === 'ok') details.push(`${health.postCount} posts`);
+    details.push(`Last checked: ${new Date(health.lastChecked).toLocaleString()}`);
+    details.push(`Last success: ${health.lastSuccess ? new Date(health.lastSuccess).toLocaleString() : 'Never'}`);
+    return details.join('\n');
+  };
+
+  const failingCount = subredditConfigs.filter(config => {
+    const status = configStatuses[config.id]?.status;
+    return status && status !== 'ok' && status !== 'empty';
+  }).length;
+
   const handleRemoveConfig = (configId) => {
     try {
       const redditClient = getRedditClient();
@@ -167,28 +323,41 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
   const handleStartEdit = (config) => {
     setEditingConfigId(config.id);
     setEditForm({
-      subreddit: config.subreddit,
+      kind: config.kind || 'subreddit',
+      subreddit: config.subreddit || '',
+      username: config.username || '',
+      multireddit: config.multireddit || '',
       sortType: config.sortType,
       timeframe: config.timeframe,
       keywords: config.keywords || '',
-      configType: config.keywords ? 'keyword' : 'regular'
+      configType: config.keywords ? 'keyword' : 'regular',
+      nsfwPolicy: config.nsfwPolicy || '',
+      mediaTypes: config.mediaTypes || [],
+      minScore: config.minScore ?? '',
+      minAgeHours: config.minAgeHours ?? '',
+      maxPosts: config.maxPosts ?? ''
     });
   };
 
   const handleCancelEdit = () => {
     setEditingConfigId(null);
     setEditForm({
+      kind: 'subreddit',
       subreddit: '',
+      username: '',
+      multireddit: '',
       sortType: 'hot',
       timeframe: null,
       keywords: '',
-      configType: 'regular'
+      configType: 'regular',
+      ...EMPTY_CONFIG_FILTERS
     });
   };
 
   const handleSaveEdit = () => {
-    if (!editForm.subreddit.trim()) {
-      alert('Please enter a subreddit name.');
+    const sourceError = getSourceError(editForm);
+    if (sourceError) {
+      alert(sourceError);
       return;
     }
 
@@ -209,29 +378,36 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
       
       if (editForm.configType === 'keyword') {
         const finalQuery = parseKeywordQuery(editForm.keywords);
-        redditClient.updateSubredditConfig(
+        redditClient.updateFeedConfig(
           editingConfigId,
-          editForm.subreddit.trim(),
+          getSource(editForm),
           editForm.sortType,
           editForm.timeframe,
-          finalQuery
+          finalQuery,
+          getConfigFilters(editForm)
         );
       } else {
-        redditClient.updateSubredditConfig(
+        redditClient.updateFeedConfig(
           editingConfigId,
-          editForm.subreddit.trim(),
+          getSource(editForm),
           editForm.sortType,
-          editForm.timeframe
+          editForm.timeframe,
+          null,
+          getConfigFilters(editForm)
         );
       }
       
       setEditingConfigId(null);
       setEditForm({
+        kind: 'subreddit',
         subreddit: '',
+        username: '',
+        multireddit: '',
         sortType: 'hot',
         timeframe: null,
         keywords: '',
-        configType: 'regular'
+        configType: 'regular',
+        ...EMPTY_CONFIG_FILTERS
       });
       
       loadConfigurations();
@@ -243,8 +419,9 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
   };
 
   const handleUnifiedAddConfig = () => {
-    if (!newConfig.subreddit.trim()) {
-      alert('Please enter a subreddit name.');
+    const sourceError = getSourceError(newConfig);
+    if (sourceError) {
+      alert(sourceError);
       return;
     }
 
@@ -265,15 +442,15 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
       
       if (newConfig.configType === 'keyword') {
         const finalQuery = parseKeywordQuery(newConfig.keywords);
-        redditClient.addSubredditConfig(
-          newConfig.subreddit.trim(),
+        redditClient.addFeedConfig(
+          getSource(newConfig),
           newConfig.sortType,
           newConfig.timeframe,
           finalQuery
         );
       } else {
-        redditClient.addSubredditConfig(
-          newConfig.subreddit.trim(),
+        redditClient.addFeedConfig(
+          getSource(newConfig),
           newConfig.sortType,
           newConfig.timeframe
         );
@@ -281,7 +458,10 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
       
       // Reset form
       setNewConfig({
+        kind: newConfig.kind, // Keep the same source kind
         subreddit: '',
+        username: '',
+        multireddit: '',
         sortType: newConfig.configType === 'keyword' ? 'relevance' : 'hot',
         timeframe: null,
         keywords: '',
@@ -359,6 +539,9 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
           </h2>
           <div className="subreddit-management-summary">
             {subredditConfigs.length} configurations
+            {failingCount > 0 && (
+              <span className="config-failing-count"> • {failingCount} failing</span>
+            )}
           </div>
         </div>
         <div className="header-actions">
@@ -405,17 +588,15 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
                       </div>
                       
                       <div className="edit-form-content">
-                        <div className="form-group">
-                          <label htmlFor="edit-subreddit">Subreddit:</label>
-                          <input
-                            id="edit-subreddit"
-                            type="text"
-                            value={editForm.subreddit}
-                            onChange={(e) => setEditForm(prev => ({ ...prev, subreddit: e.target.value }))}
-                            className="subreddit-name-input"
-                            placeholder="e.g., cats, funny, aww"
-                          />
-                        </div>
+                        <FeedSourceFields
+                          form={editForm}
+                          onChange={(changes) => setEditForm(prev => applySourceChange(prev, changes))}
+                          idPrefix="edit"
+                          inputClassName="subreddit-name-input"
+                          selectClassName="sort-type-select"
+                          currentUser={currentUser}
+                          multireddits={myMultireddits}
+                        />
 
                         {/* Keywords Input (only for keyword configurations) */}
                         {editForm.configType === 'keyword' && (
@@ -461,7 +642,7 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
                             }))}
                             className="sort-type-select"
                           >
-                            {(editForm.configType === 'keyword' ? searchSortTypes : regularSortTypes).map(sort => (
+                            {getSortTypesFor(editForm).map(sort => (
                               <option key={sort.value} value={sort.value}>
                                 {sort.label}{sort.description ? ` - ${sort.description}` : ''}
                               </option>
@@ -486,6 +667,14 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
                             </select>
                           </div>
                         )}
+
+                        <ConfigFilterFields
+                          form={editForm}
+                          onChange={(changes) => setEditForm(prev => ({ ...prev, ...changes }))}
+                          idPrefix="edit"
+                          inputClassName="form-input"
+                          selectClassName="sort-type-select"
+                        />
                       </div>
                     </div>
                   ) : (
@@ -493,7 +682,13 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
                     <>
                       <div className="config-header">
                         <div className="config-info">
-                          <span className="config-subreddit">r/{config.subreddit}</span>
+                          <span
+                            className={`config-health config-health-${configStatuses[config.id]?.status || 'unknown'}`}
+                            title={getHealthTitle(configStatuses[config.id])}
+                          >
+                            {configStatuses[config.id] ? healthLabels[configStatuses[config.id].status] : '…'}
+                          </span>
+                          <span className="config-subreddit">{getRedditClient().getConfigLabel(config)}</span>
                           <span className="config-sort">
                             {config.keywords ? '🔍 ' : ''}
                             {getSortTypeLabel(config.sortType)}
@@ -504,8 +699,21 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
                               Keywords: "{config.keywords}"
                             </span>
                           )}
+                          {describeConfigFilters(config).length > 0 && (
+                            <span className="config-filters">
+                              Limits: {describeConfigFilters(config).join(' • ')}
+                            </span>
+                          )}
                         </div>
                         <div className="config-actions">
+                          <button
+                            className="retry-config-btn"
+                            onClick={() => handleRetryConfig(config.id)}
+                            disabled={retryingConfigId === config.id}
+                            title="Retry this configuration"
+                          >
+                            {retryingConfigId === config.id ? '…' : '↻'}
+                          </button>
                           <button
                             className="edit-config-btn"
                             onClick={() => handleStartEdit(config)}
@@ -555,6 +763,8 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
                   <button
                     type="button"
                     className={`segment-button ${newConfig.configType === 'keyword' ? 'active' : ''}`}
+                    disabled={!SEARCHABLE_FEED_KINDS.includes(newConfig.kind)}
+                    title={SEARCHABLE_FEED_KINDS.includes(newConfig.kind) ? undefined : 'Keyword search is not available for this source'}
                     onClick={() => setNewConfig(prev => ({ 
                       ...prev, 
                       configType: 'keyword',
@@ -567,18 +777,16 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
                 </div>
               </div>
 
-              {/* Subreddit Input */}
-              <div className="form-group">
-                <label htmlFor="new-subreddit">Subreddit:</label>
-                <input
-                  id="new-subreddit"
-                  type="text"
-                  placeholder="e.g., cats, funny, programming"
-                  value={newConfig.subreddit}
-                  onChange={(e) => setNewConfig(prev => ({ ...prev, subreddit: e.target.value }))}
-                  className="form-input"
-                />
-              </div>
+              {/* Source Inputs */}
+              <FeedSourceFields
+                form={newConfig}
+                onChange={(changes) => setNewConfig(prev => applySourceChange(prev, changes))}
+                idPrefix="new"
+                inputClassName="form-input"
+                selectClassName="form-select"
+                currentUser={currentUser}
+                multireddits={myMultireddits}
+              />
 
               {/* Keywords Input (only for keyword search) */}
               {newConfig.configType === 'keyword' && (
@@ -666,7 +874,7 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
                   type="button"
                   className="add-config-button"
                   onClick={handleUnifiedAddConfig}
-                  disabled={!newConfig.subreddit.trim() || 
+                  disabled={Boolean(getSourceError(newConfig)) || 
                     (newConfig.configType === 'keyword' && (!newConfig.keywords.trim() || !queryValidation.isValid))}
                 >
                   Add Configuration
@@ -706,6 +914,9 @@ function SubredditManagement({ onConfigChange, redditClientReady }) {
                     <li><strong>NOT</strong>: Exclude posts with this term</li>
                     <li><strong>"quotes"</strong>: Search for exact phrases</li>
                     <li><strong>(parentheses)</strong>: Group terms for complex queries</li>
+                    <li><strong>author:</strong>, <strong>flair:</strong>, <strong>site:</strong>, <strong>url:</strong>: Match a post field (quote values with spaces)</li>
+                    <li><strong>self:yes/no</strong>, <strong>nsfw:yes/no</strong>: Only text posts or only NSFW posts, or leave them out</li>
+                    <li><strong>score&gt;500</strong>, <strong>comments&gt;=20</strong>, <strong>ratio&gt;=95</strong> (upvote %), <strong>awards&gt;0</strong>: Compare numbers with &gt;, &gt;=, &lt;, &lt;= or =; checked after fetching, so combine them with AND</li>
                   </ul>
                 </div>
               </div>
@@ -1,13 +1,53 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { getRelativeTime } from '../utils/timeUtils';
 import { getSubredditBadgeStyle } from '../utils/subredditColors.js';
+import CrosspostInfo from './CrosspostInfo.jsx';
+import PostActionsMenu from './PostActionsMenu.jsx';
+import SeenTracker from './SeenTracker.jsx';
+import SavedTags from './SavedTags.jsx';
+import SelfText from './SelfText.jsx';
+import PostBadges from './PostBadges.jsx';
+import BlurOverlay from './BlurOverlay.jsx';
+import { useMediaBlur } from '../contexts/MediaBlurContext.jsx';
+import LoadMoreSentinel from './LoadMoreSentinel.jsx';
+import { useVirtualColumns } from '../hooks/useVirtualColumns.js';
+
+// Pixel estimates for rows that haven't been rendered and measured yet
+const LIST_ITEM_HEIGHT = 150;
+const LIST_CONTENT_HEIGHT = 70;
+
+const estimateListItemHeight = (post) => {
+  return LIST_ITEM_HEIGHT + (post.hasContent ? LIST_CONTENT_HEIGHT : 0);
+};
+
+function TextListView({ posts, onLoadMore, hasMore = false, loadingMore = false, onOpenMedia, onMute, seenIds = new Set(), onMarkSeen, savedIds = new Set(), onToggleSave, onEditTags, onOpenComments }) {
+  // Only mount the rows near the viewport
+  const columns = useMemo(() => [posts], [posts]);
+  const { containerRef, measureRef, renderedColumns } = useVirtualColumns({
+    columns,
+    estimateHeight: estimateListItemHeight
+  });
+  const { items, paddingTop, paddingBottom } = renderedColumns[0];
+  const { getBlurReason, revealPost } = useMediaBlur();
 
-function TextListView({ posts }) {
   const handleLinkClick = (post, e) => {
     e.preventDefault();
+    onMarkSeen?.(post.id);
     window.open(`https://reddit.com${post.permalink}`, '_blank');
   };
 
+  // Read the discussion in the app when possible, otherwise on Reddit
+  const handleCommentsClick = (post, e) => {
+    if (!onOpenComments) {
+      handleLinkClick(post, e);
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    onMarkSeen?.(post.id);
+    onOpenComments(post);
+  };
+
   const handleAuthorClick = (post, e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -23,7 +63,9 @@ function TextListView({ posts }) {
   const handleMediaClick = (post, e) => {
     e.preventDefault();
     e.stopPropagation();
-    if (post.mediaUrl) {
+    if (onOpenMedia) {
+      onOpenMedia(post);
+    } else if (post.mediaUrl) {
       window.open(post.mediaUrl, '_blank');
     }
   };
@@ -65,9 +107,15 @@ function TextListView({ posts }) {
       );
     }
 
+    const blurReason = getBlurReason(post);
+    const blurClass = blurReason ? 'media-blurred' : '';
+    const blurOverlay = blurReason && (
+      <BlurOverlay reason={blurReason} onReveal={() => revealPost(post.id)} compact />
+    );
+
     if (post.mediaType === 'image' || post.mediaType === 'gif') {
       return (
-        <div className="list-media-thumbnail" onClick={(e) => handleMediaClick(post, e)}>
+        <div className={`list-media-thumbnail ${blurClass}`} onClick={(e) => handleMediaClick(post, e)}>
           <img 
             src={post.mediaUrl} 
             alt={post.title}
@@ -76,13 +124,14 @@ function TextListView({ posts }) {
           <div className="media-type-overlay">
             <span className="media-icon-small">{mediaInfo.icon}</span>
           </div>
+          {blurOverlay}
         </div>
       );
     }
 
     if (post.mediaType === 'video') {
       return (
-        <div className="list-media-thumbnail video" onClick={(e) => handleMediaClick(post, e)}>
+        <div className={`list-media-thumbnail video ${blurClass}`} onClick={(e) => handleMediaClick(post, e)}>
           {post.thumbnail && post.thumbnail !== 'self' && post.thumbnail !== 'default' ? (
             <img 
               src={post.thumbnail} 
@@ -98,13 +147,14 @@ function TextListView({ posts }) {
             <span className="media-icon-small">{mediaInfo.icon}</span>
             <span className="play-indicator">▶</span>
           </div>
+          {blurOverlay}
         </div>
       );
     }
 
     if (post.mediaType === 'gallery') {
       return (
-        <div className="list-media-thumbnail gallery" onClick={(e) => handleMediaClick(post, e)}>
+        <div className={`list-media-thumbnail gallery ${blurClass}`} onClick={(e) => handleMediaClick(post, e)}>
           {post.galleryData && post.galleryData.length > 0 && post.mediaMetadata ? (
             <img 
               src={post.mediaMetadata[post.galleryData[0].media_id]?.s?.u?.replace(/&amp;/g, '&')} 
@@ -120,6 +170,7 @@ function TextListView({ posts }) {
             <span className="media-icon-small">{mediaInfo.icon}</span>
             <span className="gallery-count">+{post.galleryData?.length || 1}</span>
           </div>
+          {blurOverlay}
         </div>
       );
     }
@@ -141,68 +192,100 @@ function TextListView({ posts }) {
 
   return (
     <div className="text-list-view">
-      {posts.map(post => (
-        <div key={post.id} className="text-list-item">
-          <div className="list-item-content">
-            <div className="list-item-main">
-              <div className="list-item-header">
-                <div className="list-item-meta">
-                  <span 
-                    className="subreddit-badge"
-                    style={getSubredditBadgeStyle(post.subreddit)}
-                    onClick={(e) => handleSubredditClick(post, e)}
-                    role="button"
-                    tabIndex={0}
-                  >
-                    r/{post.subreddit}
-                  </span>
-                  <span className="meta-separator">•</span>
-                  <span 
-                    className="post-author"
-                    onClick={(e) => handleAuthorClick(post, e)}
-                    role="button"
-                    tabIndex={0}
-                  >
-                    u/{post.author}
-                  </span>
-                  <span className="meta-separator">•</span>
-                  <span className="post-time">{getRelativeTime(post.createdUtc)}</span>
+      <div ref={containerRef} className="virtual-list-window" style={{ paddingTop, paddingBottom }}>
+        {items.map(post => (
+          <div
+            key={post.id}
+            ref={measureRef(post.id)}
+            className={`text-list-item ${seenIds.has(post.id) ? 'seen' : ''}`}
+          >
+            <SeenTracker postId={post.id} isSeen={seenIds.has(post.id)} onSeen={onMarkSeen} />
+            <div className="list-item-content">
+              <div className="list-item-main">
+                <div className="list-item-header">
+                  <div className="list-item-meta">
+                    <span 
+                      className="subreddit-badge"
+                      style={getSubredditBadgeStyle(post.subreddit)}
+                      onClick={(e) => handleSubredditClick(post, e)}
+                      role="button"
+                      tabIndex={0}
+                    >
+                      r/{post.subreddit}
+                    </span>
+                    <span className="meta-separator">•</span>
+                    <span 
+                      className="post-author"
+                      onClick={(e) => handleAuthorClick(post, e)}
+                      role="button"
+                      tabIndex={0}
+                    >
+                      u/{post.author}
+                    </span>
+                    <span className="meta-separator">•</span>
+                    <span className="post-time">{getRelativeTime(post.createdUtc)}</span>
+                  </div>
                 </div>
-              </div>
-              
-              <h2 className="list-item-title" onClick={(e) => handleLinkClick(post, e)}>
-                {post.title}
-              </h2>
-              
-              {post.hasContent && post.content && (
-                <div className="list-item-content-text">
-                  <p>{post.content.length > 300 ? `${post.content.substring(0, 300)}...` : post.content}</p>
+                
+                <h2 className="list-item-title" onClick={(e) => handleCommentsClick(post, e)}>
+                  {post.title}
+                </h2>
+                
+                <PostBadges post={post} />
+                <CrosspostInfo post={post} />
+                <SavedTags post={post} onEditTags={onEditTags} />
+                
+                {post.hasContent && (
+                  <SelfText post={post} previewLength={300} className="list-item-content-text" />
+                )}
+                
+                <div className="list-item-footer">
+                  <div className="list-item-stats">
+                    <span className="upvotes">↑ {post.ups}</span>
+                    {post.upvoteRatio != null && (
+                      <span className="post-ratio" title="Upvoted">{Math.round(post.upvoteRatio * 100)}%</span>
+                    )}
+                    <span className="meta-separator">•</span>
+                    <button
+                      type="button"
+                      className="comments"
+                      onClick={(e) => handleCommentsClick(post, e)}
+                      title="Read comments"
+                    >
+                      💬 {post.numComments}
+                    </button>
+                    {savedIds.has(post.id) && <span className="saved-indicator" title="Saved">★</span>}
+                  </div>
+                  <div className="list-item-actions">
+                    <PostActionsMenu
+                      post={post}
+                      onMute={onMute}
+                      isSaved={savedIds.has(post.id)}
+                      onToggleSave={onToggleSave}
+                      onEditTags={onEditTags}
+                    />
+                    <button 
+                      className="action-link"
+                      onClick={(e) => handleLinkClick(post, e)}
+                    >
+                      View on Reddit
+                    </button>
+                  </div>
                 </div>
-              )}
+              </div>
               
-              <div className="list-item-footer">
-                <div className="list-item-stats">
-                  <span className="upvotes">↑ {post.ups}</span>
-                  <span className="meta-separator">•</span>
-                  <span className="comments">💬 {post.num_comments || 0}</span>
-                </div>
-                <div className="list-item-actions">
-                  <button 
-                    className="action-link"
-                    onClick={(e) => handleLinkClick(post, e)}
-                  >
-                    View on Reddit
-                  </button>
-                </div>
+              <div className="list-item-media">
+                {renderMediaThumbnail(post)}
               </div>
             </div>
-            
-            <div className="list-item-media">
-              {renderMediaThumbnail(post)}
-            </div>
           </div>
-        </div>
-      ))}
+        ))}
+      </div>
+      <LoadMoreSentinel
+        onLoadMore={onLoadMore}
+        hasMore={hasMore}
+        loadingMore={loadingMore}
+      />
     </div>
   );
 }
@@ -2,7 +2,7 @@ import React, { useState, useCallback, useRef, useEffect } from 'react';
 import ReactPlayer from 'react-player';
 import { useVideoPlayback } from '../hooks/useVideoPlayback.js';
 
-function VideoPlayer({ post, autoplay = false, muted = true, preload = "metadata", lazy = false, isVisible = true, elementRef }) {
+function VideoPlayer({ post, autoplay = false, muted = true, preload = "metadata", lazy = false, isVisible = true, elementRef, onEnded, onError }) {
   const [hasError, setHasError] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [isReady, setIsReady] = useState(false);
@@ -106,6 +106,7 @@ function VideoPlayer({ post, autoplay = false, muted = true, preload = "metadata
     console.warn('ReactPlayer error:', error);
     setHasError(true);
     setIsLoading(false);
+    onError?.(error);
   };
 
   const handleReady = () => {
@@ -202,6 +203,7 @@ function VideoPlayer({ post, autoplay = false, muted = true, preload = "metadata
         onPlay={handlePlay}
         onPause={handlePause}
         onError={handleError}
+        onEnded={onEnded}
         config={{
           file: {
             attributes: {
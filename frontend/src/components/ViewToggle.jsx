@@ -1,6 +1,6 @@
 import React from 'react';
 
-function ViewToggle({ viewMode, onViewModeChange }) {
+function ViewToggle({ viewMode, onViewModeChange, savedCount, onShowSaved }) {
   return (
     <div className="view-toggle">
       <button
@@ -11,6 +11,14 @@ function ViewToggle({ viewMode, onViewModeChange }) {
         <span className="toggle-icon">▦</span>
         <span className="toggle-label">Grid</span>
       </button>
+      <button
+        className={`view-toggle-btn ${viewMode === 'masonry' ? 'active' : ''}`}
+        onClick={() => onViewModeChange('masonry')}
+        title="Masonry view"
+      >
+        <span className="toggle-icon">▥</span>
+        <span className="toggle-label">Masonry</span>
+      </button>
       <button
         className={`view-toggle-btn ${viewMode === 'list' ? 'active' : ''}`}
         onClick={() => onViewModeChange('list')}
@@ -19,6 +27,24 @@ function ViewToggle({ viewMode, onViewModeChange }) {
         <span className="toggle-icon">☰</span>
         <span className="toggle-label">List</span>
       </button>
+      <button
+        className={`view-toggle-btn ${viewMode === 'slideshow' ? 'active' : ''}`}
+        onClick={() => onViewModeChange('slideshow')}
+        title="Slideshow"
+      >
+        <span className="toggle-icon">▶</span>
+        <span className="toggle-label">Slideshow</span>
+      </button>
+      {onShowSaved && (
+        <button
+          className="view-toggle-btn saved-view-btn"
+          onClick={onShowSaved}
+          title="Saved posts"
+        >
+          <span className="toggle-icon">★</span>
+          <span className="toggle-label">Saved ({savedCount})</span>
+        </button>
+      )}
     </div>
   );
 }
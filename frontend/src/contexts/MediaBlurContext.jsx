@@ -0,0 +1,50 @@
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react';
+
+const MediaBlurContext = createContext();
+
+export const useMediaBlur = () => {
+  const context = useContext(MediaBlurContext);
+  if (!context) {
+    throw new Error('useMediaBlur must be used within a MediaBlurProvider');
+  }
+  return context;
+};
+
+// Reveals only last until the app is closed, so nothing is stored
+export const MediaBlurProvider = ({ nsfwSetting, children }) => {
+  const [revealedIds, setRevealedIds] = useState(() => new Set());
+  const [revealAll, setRevealAll] = useState(false);
+  const isBlurMode = nsfwSetting === 'blur';
+
+  // Why a post's media is hidden: 'nsfw', 'spoiler', or null when shown
+  // A post's own policy comes from the configuration it was fetched by
+  const getBlurReason = useCallback((post) => {
+    if (!post || revealAll || revealedIds.has(post.id)) {
+      return null;
+    }
+    if ((post.nsfwPolicy || nsfwSetting) !== 'blur') {
+      return null;
+    }
+    if (post.over18) return 'nsfw';
+    if (post.spoiler) return 'spoiler';
+    return null;
+  }, [nsfwSetting, revealAll, revealedIds]);
+
+  const revealPost = useCallback((postId) => {
+    setRevealedIds(prev => new Set(prev).add(postId));
+  }, []);
+
+  const value = useMemo(() => ({
+    isBlurMode,
+    revealAll,
+    setRevealAll,
+    getBlurReason,
+    revealPost
+  }), [isBlurMode, revealAll, getBlurReason, revealPost]);
+
+  return (
+    <MediaBlurContext.Provider value={value}>
+      {children}
+    </MediaBlurContext.Provider>
+  );
+};
@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+
+// Matches the responsive grid breakpoints in App.css
+const COLUMN_BREAKPOINTS = [
+  { query: '(max-width: 768px)', columns: 1 },
+  { query: '(max-width: 1024px)', columns: 2 }
+];
+const DEFAULT_COLUMNS = 3;
+
+const getColumnCount = () => {
+  const match = COLUMN_BREAKPOINTS.find(({ query }) => window.matchMedia(query).matches);
+  return match ? match.columns : DEFAULT_COLUMNS;
+};
+
+/**
+ * Custom hook to follow how many grid columns fit the viewport
+ * Updates when the window crosses one of the grid breakpoints
+ */
+export function useColumnCount() {
+  const [columnCount, setColumnCount] = useState(getColumnCount);
+
+  useEffect(() => {
+    // Resize rather than MediaQueryList change events, which older Safari lacks
+    const handleResize = () => setColumnCount(getColumnCount());
+
+    window.addEventListener('resize', handleResize);
+    return () => {
+      window.removeEventListener('resize', handleResize);
+    };
+  }, []);
+
+  return columnCount;
+}
+
+export default useColumnCount;
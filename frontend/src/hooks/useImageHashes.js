@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import { hashImages } from '../services/imageHashes.js';
+import { getHashSourceUrl } from '../utils/duplicateCollapse.js';
+
+/**
+ * Custom hook for the perceptual hashes of post thumbnails
+ * Hashes are computed in a worker whenever the post list changes, and the
+ * returned map is updated once the whole batch is done
+ * @param {Array} posts - Processed posts
+ * @param {boolean} enabled - Whether duplicate detection is on
+ * @returns {Map} Thumbnail URL to hash
+ */
+export function useImageHashes(posts, enabled) {
+  const [hashes, setHashes] = useState(() => new Map());
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let cancelled = false;
+    const urls = [...new Set(posts.map(getHashSourceUrl).filter(Boolean))];
+    hashImages(urls).then((result) => {
+      if (!cancelled) {
+        setHashes(result);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [posts, enabled]);
+
+  return hashes;
+}
+
+export default useImageHashes;
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { getRedditClient } from '../services/redditClient.js';
+
+/**
+ * Custom hook to follow the Reddit rate-limit scheduler
+ * Returns the remaining budget, reset time and queue depth, or null until the
+ * client is ready
+ */
+export function useRateLimitStatus(redditClientReady) {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!redditClientReady) return;
+
+    const scheduler = getRedditClient().getRequestScheduler();
+    setStatus(scheduler.getState());
+    return scheduler.subscribe(setStatus);
+  }, [redditClientReady]);
+
+  return status;
+}
+
+export default useRateLimitStatus;
@@ -1,5 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { getRedditClient } from '../services/redditClient.js';
+import { mergePolledPosts } from '../utils/postMerge.js';
+import { loadPosts, savePosts, clearPostCache } from '../services/postCache.js';
 
 /**
  * Custom React hook for managing Reddit data
@@ -11,67 +13,43 @@ export const useRedditData = (pollingInterval = 30000, isPaused = false) => {
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
   const [isPolling, setIsPolling] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [pendingPosts, setPendingPosts] = useState([]);
+  const [updateStats, setUpdateStats] = useState({ newCount: 0, updatedCount: 0 });
+  const [staleSince, setStaleSince] = useState(null);
   
   const pollingIntervalRef = useRef(null);
   const timeUpdateIntervalRef = useRef(null);
   const mountedRef = useRef(true);
+  const loadingMoreRef = useRef(false);
+  const postsRef = useRef([]);
+  const pendingPostsRef = useRef([]);
+  const showingCacheRef = useRef(false);
 
-  // Cache management
-  const CACHE_KEY = 'redditvisor_posts_cache';
-  const CACHE_EXPIRY_KEY = 'redditvisor_cache_expiry';
-  const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+  // Mirror list state into refs so polls can merge against the latest values
+  useEffect(() => {
+    postsRef.current = posts;
+  }, [posts]);
 
-  /**
-   * Load posts from localStorage cache
-   */
-  const loadFromCache = useCallback(() => {
-    try {
-      const cachedPosts = localStorage.getItem(CACHE_KEY);
-      const cacheExpiry = localStorage.getItem(CACHE_EXPIRY_KEY);
-      
-      if (cachedPosts && cacheExpiry) {
-        const expiryTime = parseInt(cacheExpiry, 10);
-        if (Date.now() < expiryTime) {
-          const parsedPosts = JSON.parse(cachedPosts);
-          console.log(`Loaded ${parsedPosts.length} posts from cache`);
-          return parsedPosts;
-        } else {
-          // Cache expired, clear it
-          localStorage.removeItem(CACHE_KEY);
-          localStorage.removeItem(CACHE_EXPIRY_KEY);
-        }
-      }
-    } catch (error) {
-      console.error('Error loading from cache:', error);
-      localStorage.removeItem(CACHE_KEY);
-      localStorage.removeItem(CACHE_EXPIRY_KEY);
-    }
-    return null;
-  }, []);
+  useEffect(() => {
+    pendingPostsRef.current = pendingPosts;
+  }, [pendingPosts]);
 
   /**
-   * Save posts to localStorage cache
+   * Load cached posts for the current configurations
    */
-  const saveToCache = useCallback((posts) => {
+  const loadFromCache = useCallback(async () => {
     try {
-      localStorage.setItem(CACHE_KEY, JSON.stringify(posts));
-      localStorage.setItem(CACHE_EXPIRY_KEY, (Date.now() + CACHE_DURATION).toString());
-      console.log(`Cached ${posts.length} posts`);
+      const redditClient = getRedditClient();
+      const configIds = redditClient.getSubredditConfigs().map(config => config.id);
+      return await loadPosts(configIds);
     } catch (error) {
-      console.error('Error saving to cache:', error);
-      // If localStorage is full, try to clear old data
-      try {
-        localStorage.removeItem(CACHE_KEY);
-        localStorage.removeItem(CACHE_EXPIRY_KEY);
-        localStorage.setItem(CACHE_KEY, JSON.stringify(posts));
-        localStorage.setItem(CACHE_EXPIRY_KEY, (Date.now() + CACHE_DURATION).toString());
-      } catch (retryError) {
-        console.error('Failed to save to cache even after clearing:', retryError);
-      }
+      console.error('Error loading from cache:', error);
+      return { posts: [], lastSync: null };
     }
   }, []);
 
-
   /**
    * Fetch posts from Reddit
    */
@@ -89,9 +67,24 @@ export const useRedditData = (pollingInterval = 30000, isPaused = false) => {
       
       if (!mountedRef.current) return;
 
-      setPosts(fetchedPosts);
+      if (showLoading || postsRef.current.length === 0 || showingCacheRef.current) {
+        // Explicit loads and the first fetch after booting from cache replace the feed outright
+        setPosts(fetchedPosts);
+        setPendingPosts([]);
+        setUpdateStats({ newCount: 0, updatedCount: 0 });
+      } else {
+        // Background polls update known posts in place and queue new ones
+        const merged = mergePolledPosts(postsRef.current, pendingPostsRef.current, fetchedPosts);
+        setPosts(merged.posts);
+        setPendingPosts(merged.pendingPosts);
+        setUpdateStats({ newCount: merged.newCount, updatedCount: merged.updatedCount });
+        console.log(`Poll merged: ${merged.newCount} new, ${merged.updatedCount} updated, ${merged.pendingPosts.length} queued`);
+      }
+      showingCacheRef.current = false;
+      setStaleSince(null);
+      setHasMore(redditClient.hasMorePages());
       setLastUpdated(new Date());
-      saveToCache(fetchedPosts);
+      savePosts(fetchedPosts);
       
       console.log(`Successfully fetched ${fetchedPosts.length} posts`);
       
@@ -102,18 +95,85 @@ export const useRedditData = (pollingInterval = 30000, isPaused = false) => {
       setError(err.message || 'Failed to fetch posts');
       
       // Try to load from cache as fallback
-      const cachedPosts = loadFromCache();
-      if (cachedPosts && cachedPosts.length > 0) {
-        setPosts(cachedPosts);
-        setLastUpdated(new Date()); // Set to current time to show cache usage
-        console.log('Using cached posts as fallback');
+      if (postsRef.current.length === 0) {
+        const { posts: cachedPosts, lastSync } = await loadFromCache();
+        if (mountedRef.current && cachedPosts.length > 0) {
+          showingCacheRef.current = true;
+          setPosts(cachedPosts);
+          setStaleSince(lastSync ? new Date(lastSync) : null);
+          console.log('Using cached posts as fallback');
+        }
       }
     } finally {
       if (mountedRef.current) {
         setLoading(false);
       }
     }
-  }, [loadFromCache, saveToCache]);
+  }, [loadFromCache]);
+
+  /**
+   * Load the next page of posts for every configuration
+   */
+  const loadMore = useCallback(async () => {
+    if (!mountedRef.current || loadingMoreRef.current) return;
+    
+    const redditClient = getRedditClient();
+    if (!redditClient.hasMorePages()) {
+      setHasMore(false);
+      return;
+    }
+    
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    
+    try {
+      const nextPosts = await redditClient.fetchNextPage();
+      
+      if (!mountedRef.current) return;
+      
+      setPosts(prevPosts => {
+        const existingIds = new Set(prevPosts.map(post => post.id));
+        return [...prevPosts, ...nextPosts.filter(post => !existingIds.has(post.id))];
+      });
+      setHasMore(redditClient.hasMorePages());
+      savePosts(nextPosts);
+      
+      console.log(`Loaded ${nextPosts.length} more posts`);
+      
+    } catch (err) {
+      console.error('Error loading more posts:', err);
+    } finally {
+      loadingMoreRef.current = false;
+      if (mountedRef.current) {
+        setLoadingMore(false);
+      }
+    }
+  }, []);
+
+  /**
+   * Fetch a single configuration again and merge its posts into the feed
+   * @returns {Promise<Object|null>} The configuration's new fetch status
+   */
+  const retryConfig = useCallback(async (configId) => {
+    const redditClient = getRedditClient();
+    
+    try {
+      const retriedPosts = await redditClient.retryConfig(configId);
+      
+      if (mountedRef.current && retriedPosts.length > 0) {
+        // Fresh copies go first so they win deduplication
+        setPosts(prevPosts => redditClient.dedupeAndSortPosts([...retriedPosts, ...prevPosts]));
+        setHasMore(redditClient.hasMorePages());
+        savePosts(retriedPosts);
+      }
+      
+      console.log(`Retried configuration ${configId}: ${retriedPosts.length} posts`);
+    } catch (err) {
+      console.error(`Error retrying configuration ${configId}:`, err);
+    }
+    
+    return redditClient.getConfigStatus(configId);
+  }, []);
 
   /**
    * Start polling for new posts
@@ -145,33 +205,54 @@ export const useRedditData = (pollingInterval = 30000, isPaused = false) => {
    * Manual refresh
    */
   const refresh = useCallback(() => {
+    // Start over from the first page of every configuration
+    getRedditClient().resetPagination();
     fetchPosts(true);
   }, [fetchPosts]);
 
+  /**
+   * Move queued new posts into the feed
+   */
+  const revealNewPosts = useCallback(() => {
+    const queued = pendingPostsRef.current;
+    if (queued.length === 0) return;
+    
+    setPosts(prevPosts => {
+      const existingIds = new Set(prevPosts.map(post => post.id));
+      return [...queued.filter(post => !existingIds.has(post.id)), ...prevPosts];
+    });
+    setPendingPosts([]);
+    console.log(`Revealed ${queued.length} new posts`);
+  }, []);
+
   /**
    * Clear cache
    */
   const clearCache = useCallback(() => {
-    localStorage.removeItem(CACHE_KEY);
-    localStorage.removeItem(CACHE_EXPIRY_KEY);
-    console.log('Cleared posts cache');
+    clearPostCache();
   }, []);
 
   // Initialize data on mount
   useEffect(() => {
     mountedRef.current = true;
     
-    // Try to load from cache first
-    const cachedPosts = loadFromCache();
-    if (cachedPosts && cachedPosts.length > 0) {
-      setPosts(cachedPosts);
-      setLastUpdated(new Date());
-      setLoading(false);
-      console.log('Initialized with cached posts');
-    }
+    // Boot from cache first, however old, then fetch fresh data
+    const initialize = async () => {
+      const { posts: cachedPosts, lastSync } = await loadFromCache();
+      if (!mountedRef.current) return;
+      
+      if (cachedPosts.length > 0) {
+        showingCacheRef.current = true;
+        setPosts(cachedPosts);
+        setStaleSince(lastSync ? new Date(lastSync) : null);
+        setLoading(false);
+        console.log('Initialized with cached posts');
+      }
+      
+      fetchPosts(cachedPosts.length === 0);
+    };
     
-    // Fetch fresh data
-    fetchPosts(cachedPosts ? false : true);
+    initialize();
     
     return () => {
       mountedRef.current = false;
@@ -226,7 +307,15 @@ export const useRedditData = (pollingInterval = 30000, isPaused = false) => {
     error,
     lastUpdated,
     isPolling,
+    loadingMore,
+    hasMore,
+    pendingPosts,
+    updateStats,
+    staleSince,
     refresh,
+    loadMore,
+    retryConfig,
+    revealNewPosts,
     clearCache,
     startPolling,
     stopPolling
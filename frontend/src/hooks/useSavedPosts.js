@@ -0,0 +1,57 @@
+import { useState, useMemo, useCallback } from 'react';
+import { getRedditClient } from '../services/redditClient.js';
+import {
+  getSavedPosts,
+  savePost,
+  unsavePost,
+  setSavedPostTags,
+  getSavedSyncEnabled,
+  setSavedSyncEnabled
+} from '../services/savedPosts.js';
+
+/**
+ * Custom hook for the local saved posts collection
+ * When syncing is on and a user is signed in, saves and unsaves are also sent
+ * to Reddit; sync failures are logged and never undo the local change
+ * @param {string|null} currentUser - Signed-in username
+ */
+export function useSavedPosts(currentUser) {
+  const [savedItems, setSavedItems] = useState(getSavedPosts);
+  const [syncToReddit, setSyncToReddit] = useState(getSavedSyncEnabled);
+
+  const savedIds = useMemo(() => new Set(savedItems.map(item => item.id)), [savedItems]);
+
+  const syncWithReddit = useCallback((postId, saved) => {
+    if (!syncToReddit || !currentUser) return;
+
+    getRedditClient().setRedditSaved(postId, saved).catch((error) => {
+      console.error('Error syncing saved post with Reddit:', error);
+    });
+  }, [syncToReddit, currentUser]);
+
+  const toggleSave = useCallback((post) => {
+    const saved = !savedIds.has(post.id);
+    setSavedItems(saved ? savePost(post) : unsavePost(post.id));
+    syncWithReddit(post.id, saved);
+  }, [savedIds, syncWithReddit]);
+
+  const updateTags = useCallback((postId, tags) => {
+    setSavedItems(setSavedPostTags(postId, tags));
+  }, []);
+
+  const changeSyncToReddit = useCallback((enabled) => {
+    setSavedSyncEnabled(enabled);
+    setSyncToReddit(enabled);
+  }, []);
+
+  return {
+    savedItems,
+    savedIds,
+    toggleSave,
+    updateTags,
+    syncToReddit,
+    setSyncToReddit: changeSyncToReddit
+  };
+}
+
+export default useSavedPosts;
@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getSeenPostIds, markPostSeen, getLastVisit, recordVisit } from '../services/seenPosts.js';
+
+/**
+ * Custom hook for seen post state
+ * Seen IDs persist across reloads (with expiry); lastVisit is when the app
+ * was previously closed, read once so it stays fixed for this visit
+ */
+export function useSeenPosts() {
+  const [seenIds, setSeenIds] = useState(() => new Set(getSeenPostIds()));
+  const [lastVisit] = useState(getLastVisit);
+
+  // The visit ends when the page is closed or reloaded
+  useEffect(() => {
+    window.addEventListener('pagehide', recordVisit);
+    return () => {
+      window.removeEventListener('pagehide', recordVisit);
+    };
+  }, []);
+
+  const markSeen = useCallback((postId) => {
+    markPostSeen(postId);
+    setSeenIds(prev => (prev.has(postId) ? prev : new Set(prev).add(postId)));
+  }, []);
+
+  return {
+    seenIds,
+    lastVisit,
+    markSeen
+  };
+}
+
+export default useSeenPosts;
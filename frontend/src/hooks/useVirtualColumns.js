@@ -0,0 +1,234 @@
+import { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
+
+const getItemIds = (item) => [item.id];
+
+/**
+ * Custom hook for windowed rendering of one or more columns of posts
+ * Only items within `overscan` pixels of the viewport are returned for
+ * rendering; the rest are replaced by padding computed from measured heights
+ * (or estimates until an item has been measured). When items are added or
+ * resized above the viewport, the page is scrolled to keep the first visible
+ * item where it was. Items that group several posts, such as grid rows, can
+ * name their posts through `getAnchorIds` so the anchor survives regrouping.
+ */
+export function useVirtualColumns({ columns, estimateHeight, getAnchorIds = getItemIds, overscan = 800 }) {
+  const containerRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const elementsRef = useRef(new Map());
+  const refCallbacksRef = useRef(new Map());
+  const observerRef = useRef(null);
+  const frameRef = useRef(null);
+  const scrollFrameRef = useRef(null);
+  const anchorRef = useRef(null); // { id, offset } first visible item and its distance below the viewport top
+  const layoutRef = useRef(null);
+  const viewportRef = useRef(null);
+
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+  const [columnWidth, setColumnWidth] = useState(0);
+  const [itemGap, setItemGap] = useState(0);
+  const [measuredHeights, setMeasuredHeights] = useState(() => new Map());
+
+  // Batch measurements into one layout update per frame
+  const scheduleMeasureUpdate = useCallback(() => {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      setMeasuredHeights(new Map(heightsRef.current));
+    });
+  }, []);
+
+  const measureElement = useCallback((element, id) => {
+    const height = element.offsetHeight;
+    if (heightsRef.current.get(id) !== height) {
+      heightsRef.current.set(id, height);
+      scheduleMeasureUpdate();
+    }
+    if (element.parentElement) {
+      setItemGap(parseFloat(window.getComputedStyle(element.parentElement).rowGap) || 0);
+    }
+  }, [scheduleMeasureUpdate]);
+
+  useEffect(() => {
+    if (typeof ResizeObserver === 'undefined') return;
+
+    observerRef.current = new ResizeObserver((entries) => {
+      entries.forEach(entry => {
+        const id = entry.target.dataset.virtualId;
+        if (id) {
+          measureElement(entry.target, id);
+        }
+      });
+    });
+    elementsRef.current.forEach(element => observerRef.current.observe(element));
+
+    return () => {
+      observerRef.current.disconnect();
+      observerRef.current = null;
+      cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
+    };
+  }, [measureElement]);
+
+  /**
+   * Get the ref callback that measures an item's wrapper element
+   * @param {string} id - Item id
+   * @returns {Function} Ref callback
+   */
+  const measureRef = useCallback((id) => {
+    if (!refCallbacksRef.current.has(id)) {
+      refCallbacksRef.current.set(id, (element) => {
+        const previous = elementsRef.current.get(id);
+        if (previous && observerRef.current) {
+          observerRef.current.unobserve(previous);
+        }
+
+        if (element) {
+          element.dataset.virtualId = id;
+          elementsRef.current.set(id, element);
+          observerRef.current?.observe(element);
+          measureElement(element, id);
+        } else {
+          elementsRef.current.delete(id);
+          refCallbacksRef.current.delete(id);
+        }
+      });
+    }
+    return refCallbacksRef.current.get(id);
+  }, [measureElement]);
+
+  // Item positions within each column
+  const layout = useMemo(() => {
+    const positions = new Map();
+
+    const columnLayouts = columns.map(column => {
+      const tops = [];
+      const heights = [];
+      let offset = 0;
+
+      column.forEach(item => {
+        const height = measuredHeights.get(item.id) ?? estimateHeight(item, columnWidth);
+        tops.push(offset);
+        heights.push(height);
+        getAnchorIds(item).forEach(id => positions.set(id, { top: offset, height }));
+        offset += height + itemGap;
+      });
+
+      return { items: column, tops, heights, total: column.length > 0 ? offset - itemGap : 0 };
+    });
+
+    return { columns: columnLayouts, positions };
+  }, [columns, estimateHeight, getAnchorIds, columnWidth, itemGap, measuredHeights]);
+
+  layoutRef.current = layout;
+
+  // Remember the item nearest the top of the viewport so it can be held in place
+  const recordAnchor = useCallback((viewTop) => {
+    if (viewTop <= 0) {
+      // Above the list: let new items push content down as usual
+      anchorRef.current = null;
+      return;
+    }
+
+    let anchor = null;
+    layoutRef.current.positions.forEach(({ top, height }, id) => {
+      if (top + height <= viewTop) return;
+      if (!anchor || Math.abs(top - viewTop) < Math.abs(anchor.offset)) {
+        anchor = { id, offset: top - viewTop };
+      }
+    });
+    anchorRef.current = anchor;
+  }, []);
+
+  const updateViewport = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const rect = container.getBoundingClientRect();
+    const top = -rect.top;
+    const height = window.innerHeight;
+    recordAnchor(top);
+
+    const width = columns.length > 0 ? container.clientWidth / columns.length : 0;
+    setColumnWidth(width);
+
+    // Re-render only once the window has moved far enough to need new items
+    const current = viewportRef.current;
+    if (!current || Math.abs(current.top - top) > overscan / 2 || current.height !== height) {
+      viewportRef.current = { top, height };
+      setViewport({ top, height });
+    }
+  }, [columns.length, overscan, recordAnchor]);
+
+  useLayoutEffect(() => {
+    updateViewport();
+
+    const handleScroll = () => {
+      if (scrollFrameRef.current) return;
+      scrollFrameRef.current = requestAnimationFrame(() => {
+        scrollFrameRef.current = null;
+        updateViewport();
+      });
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleScroll);
+      cancelAnimationFrame(scrollFrameRef.current);
+      scrollFrameRef.current = null;
+    };
+  }, [updateViewport]);
+
+  // Keep the anchored item at the same spot when content above it changes
+  useLayoutEffect(() => {
+    const anchor = anchorRef.current;
+    const container = containerRef.current;
+    if (!anchor || !container) return;
+
+    const position = layout.positions.get(anchor.id);
+    if (!position) {
+      anchorRef.current = null;
+      return;
+    }
+
+    const viewTop = -container.getBoundingClientRect().top;
+    const delta = position.top - viewTop - anchor.offset;
+    if (Math.abs(delta) >= 1) {
+      window.scrollBy(0, delta);
+    }
+  }, [layout]);
+
+  const windowTop = viewport.top - overscan;
+  const windowBottom = viewport.top + viewport.height + overscan;
+
+  const renderedColumns = layout.columns.map(({ items, tops, heights, total }) => {
+    let first = 0;
+    while (first < items.length && tops[first] + heights[first] < windowTop) {
+      first++;
+    }
+    let last = first;
+    while (last < items.length && tops[last] <= windowBottom) {
+      last++;
+    }
+
+    if (first >= last) {
+      const paddingTop = first < items.length ? tops[first] : total;
+      return { items: [], paddingTop, paddingBottom: total - paddingTop };
+    }
+
+    return {
+      items: items.slice(first, last),
+      paddingTop: tops[first],
+      paddingBottom: total - (tops[last - 1] + heights[last - 1])
+    };
+  });
+
+  return {
+    containerRef,
+    measureRef,
+    renderedColumns
+  };
+}
+
+export default useVirtualColumns;
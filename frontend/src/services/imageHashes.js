@@ -0,0 +1,152 @@
+/**
+ * Image hash service
+ * Hands thumbnails to the image hash worker and caches the resulting
+ * perceptual hashes by URL, so each thumbnail is only downloaded once
+ */
+
+import { DUPLICATE_STRICTNESS, DEFAULT_DUPLICATE_STRICTNESS } from '../utils/duplicateCollapse.js';
+
+const IMAGE_HASHES_KEY = 'redditvisor_image_hashes';
+const DUPLICATE_STRICTNESS_KEY = 'redditvisor_duplicate_strictness';
+const MAX_CACHED_HASHES = 3000; // Oldest entries are dropped past this many
+
+let imageHashes = null; // Map of url -> hash, oldest first
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map(); // requestId -> resolve
+const inFlightUrls = new Map(); // url -> Promise of hash
+const failedUrls = new Set(); // Not retried until the page is reloaded
+
+const loadImageHashes = () => {
+  if (imageHashes) {
+    return imageHashes;
+  }
+
+  try {
+    const saved = localStorage.getItem(IMAGE_HASHES_KEY);
+    imageHashes = new Map(Object.entries(saved ? JSON.parse(saved) : {}));
+  } catch (error) {
+    console.error('Error loading image hashes from localStorage:', error);
+    imageHashes = new Map();
+  }
+  return imageHashes;
+};
+
+const saveImageHashes = () => {
+  // Maps iterate in insertion order, so the first keys are the oldest
+  const overflow = imageHashes.size - MAX_CACHED_HASHES;
+  if (overflow > 0) {
+    [...imageHashes.keys()].slice(0, overflow).forEach(url => imageHashes.delete(url));
+  }
+
+  try {
+    localStorage.setItem(IMAGE_HASHES_KEY, JSON.stringify(Object.fromEntries(imageHashes)));
+  } catch (error) {
+    console.error('Error saving image hashes to localStorage:', error);
+  }
+};
+
+/**
+ * Check whether this browser can hash images in a worker
+ */
+export const isImageHashingSupported = () => {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap !== 'undefined';
+};
+
+const getWorker = () => {
+  if (worker) {
+    return worker;
+  }
+
+  worker = new Worker(new URL('../workers/imageHash.worker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = (event) => {
+    const { id, hash, error } = event.data;
+    const resolve = pendingRequests.get(id);
+    pendingRequests.delete(id);
+    resolve?.(error ? null : hash);
+  };
+
+  // A crashed worker can't answer, so settle everything it was working on
+  worker.onerror = (event) => {
+    console.error('Image hash worker failed:', event.message);
+    pendingRequests.forEach(resolve => resolve(null));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+  };
+
+  return worker;
+};
+
+const requestHash = (url) => {
+  if (!inFlightUrls.has(url)) {
+    const id = nextRequestId++;
+    const request = new Promise(resolve => {
+      pendingRequests.set(id, resolve);
+      getWorker().postMessage({ id, url });
+    }).then(hash => {
+      inFlightUrls.delete(url);
+      if (hash) {
+        loadImageHashes().set(url, hash);
+      } else {
+        failedUrls.add(url);
+      }
+      return hash;
+    });
+    inFlightUrls.set(url, request);
+  }
+  return inFlightUrls.get(url);
+};
+
+/**
+ * Get perceptual hashes for image URLs, computing any that aren't cached
+ * Images that can't be downloaded (e.g. hosts without CORS headers) are
+ * left out of the result
+ * @param {Array} urls - Image URLs
+ * @returns {Promise<Map>} URL to hash
+ */
+export const hashImages = async (urls) => {
+  const hashes = loadImageHashes();
+  const missing = urls.filter(url => !hashes.has(url) && !failedUrls.has(url));
+
+  if (missing.length > 0 && isImageHashingSupported()) {
+    const results = await Promise.all(missing.map(requestHash));
+    if (results.some(Boolean)) {
+      saveImageHashes();
+    }
+  }
+
+  return new Map(urls.filter(url => hashes.has(url)).map(url => [url, hashes.get(url)]));
+};
+
+/**
+ * Get the duplicate detection strictness level
+ * @returns {string} Strictness level value
+ */
+export const getDuplicateStrictness = () => {
+  try {
+    const saved = localStorage.getItem(DUPLICATE_STRICTNESS_KEY);
+    return DUPLICATE_STRICTNESS.some(({ value }) => value === saved) ? saved : DEFAULT_DUPLICATE_STRICTNESS;
+  } catch (error) {
+    console.error('Error loading duplicate strictness from localStorage:', error);
+    return DEFAULT_DUPLICATE_STRICTNESS;
+  }
+};
+
+export const setDuplicateStrictness = (strictness) => {
+  try {
+    localStorage.setItem(DUPLICATE_STRICTNESS_KEY, strictness);
+  } catch (error) {
+    console.error('Error saving duplicate strictness to localStorage:', error);
+  }
+};
+
+export default {
+  isImageHashingSupported,
+  hashImages,
+  getDuplicateStrictness,
+  setDuplicateStrictness
+};
@@ -0,0 +1,119 @@
+/**
+ * Imgur API client
+ * Fetches album and gallery image lists with an app Client-ID, falling back to
+ * a local stub in development when no client ID is configured
+ */
+
+import { fetchWithTimeout } from '../utils/browserCompat.js';
+
+const IMGUR_API_BASE = 'https://api.imgur.com/3';
+
+let clientId = null;
+
+// How long a failed lookup (missing album, rate limit, ...) is remembered before
+// the album is requested again; network errors and timeouts are retried right away
+const FAILED_LOOKUP_TTL_MS = 10 * 60 * 1000;
+
+// Album lookups keyed by "{kind}:{id}" as { request, expiresAt } so each album
+// is fetched once per session
+const albumCache = new Map();
+
+/**
+ * Configure the Imgur client
+ * @param {Object} options - { clientId }
+ */
+export const configureImgur = ({ clientId: newClientId } = {}) => {
+  clientId = newClientId || null;
+  albumCache.clear();
+  if (clientId) {
+    console.log('Imgur album expansion enabled');
+  } else {
+    console.log(import.meta.env.DEV ? 'No Imgur client ID set, using the local Imgur stub' : 'No Imgur client ID set, Imgur albums show their preview image');
+  }
+};
+
+/**
+ * Check whether real Imgur API requests can be made
+ * @returns {boolean} True when a client ID is configured
+ */
+export const hasImgurClientId = () => Boolean(clientId);
+
+/**
+ * Request JSON from the Imgur API
+ */
+const requestImgur = async (path) => {
+  const response = await fetchWithTimeout(`${IMGUR_API_BASE}${path}`, {
+    headers: { Authorization: `Client-ID ${clientId}` }
+  }, 10000);
+
+  if (!response.ok) {
+    const error = new Error(`Imgur HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const json = await response.json();
+  return json.data;
+};
+
+/**
+ * Load the images of an album or gallery post from the API
+ */
+const loadAlbumImages = async (albumId, kind) => {
+  if (kind === 'album') {
+    return requestImgur(`/album/${albumId}/images`);
+  }
+
+  // Gallery posts are either albums or single images
+  const galleryItem = await requestImgur(`/gallery/${albumId}`);
+  if (galleryItem?.is_album) {
+    return galleryItem.images || [];
+  }
+  return galleryItem ? [galleryItem] : [];
+};
+
+/**
+ * Fetch the images of an Imgur album or gallery post
+ * @param {string} albumId - Album or gallery ID
+ * @param {string} kind - 'album' for /a/ links, 'gallery' for /gallery/ links
+ * @returns {Promise<Array|null>} Imgur image objects, or null when unavailable
+ */
+export const fetchImgurAlbum = (albumId, kind = 'album') => {
+  const cacheKey = `${kind}:${albumId}`;
+  const cached = albumCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.request;
+  }
+
+  const entry = { request: null, expiresAt: Infinity };
+  if (!clientId) {
+    // The stub only ships in development builds
+    entry.request = import.meta.env.DEV
+      ? import('./imgurStub.js').then(({ IMGUR_STUB_ALBUMS }) => IMGUR_STUB_ALBUMS[albumId]?.images || null)
+      : Promise.resolve(null);
+  } else {
+    entry.request = loadAlbumImages(albumId, kind)
+      .then(images => {
+        if (Array.isArray(images) && images.length > 0) {
+          return images;
+        }
+        entry.expiresAt = Date.now() + FAILED_LOOKUP_TTL_MS;
+        return null;
+      })
+      .catch(error => {
+        console.error(`Error fetching Imgur ${kind} ${albumId}:`, error.message);
+        // Imgur's answer (404, 429, ...) stands for a while; a request that never got one may work next time
+        entry.expiresAt = error.status ? Date.now() + FAILED_LOOKUP_TTL_MS : 0;
+        return null;
+      });
+  }
+
+  albumCache.set(cacheKey, entry);
+  return entry.request;
+};
+
+export default {
+  configureImgur,
+  hasImgurClientId,
+  fetchImgurAlbum
+};
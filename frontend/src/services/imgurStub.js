@@ -0,0 +1,36 @@
+/**
+ * Local Imgur stub
+ * Canned album responses used when no Imgur client ID is configured, so album
+ * expansion can be exercised in development without an API key
+ */
+
+export const IMGUR_STUB_ALBUMS = {
+  // imgur.com/a/stubAlbum
+  stubAlbum: {
+    id: 'stubAlbum',
+    title: 'Stub album',
+    images: [
+      {
+        id: 'stubImg1',
+        description: 'First stub image',
+        type: 'image/jpeg',
+        animated: false,
+        width: 1200,
+        height: 800,
+        link: 'https://i.imgur.com/stubImg1.jpg'
+      },
+      {
+        id: 'stubImg2',
+        description: 'Second stub image (animated)',
+        type: 'image/gif',
+        animated: true,
+        width: 480,
+        height: 270,
+        link: 'https://i.imgur.com/stubImg2.gif',
+        mp4: 'https://i.imgur.com/stubImg2.mp4'
+      }
+    ]
+  }
+};
+
+export default IMGUR_STUB_ALBUMS;
@@ -0,0 +1,32 @@
+/**
+ * Direct file resolver
+ * Links that point straight at an image, GIF or video file
+ */
+
+const FILE_TYPES = [
+  { pattern: /\.(jpg|jpeg|png|webp)$/i, mediaType: 'image' },
+  { pattern: /\.(gif)$/i, mediaType: 'gif' },
+  { pattern: /\.(mp4|webm|mov)$/i, mediaType: 'video' }
+];
+
+const getFileType = (url) => FILE_TYPES.find(({ pattern }) => pattern.test(url || ''));
+
+const directFileResolver = {
+  id: 'direct-file',
+  name: 'Direct media files',
+  priority: 50,
+
+  matches(post) {
+    return Boolean(getFileType(post.url));
+  },
+
+  resolve(post, { getThumbnail }) {
+    return {
+      mediaUrl: post.url,
+      mediaType: getFileType(post.url).mediaType,
+      thumbnailUrl: getThumbnail(post)
+    };
+  }
+};
+
+export default directFileResolver;
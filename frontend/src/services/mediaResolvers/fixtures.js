@@ -0,0 +1,202 @@
+/**
+ * Media resolver fixtures
+ * Sample posts for each built-in resolver, keyed by resolver id. Each fixture
+ * is { description, post, expected } where expected lists fields the resolved
+ * media must match. Kept out of the resolver modules so they stay out of the
+ * app bundle; run them with `npm run check:resolvers`.
+ */
+
+import { getMediaResolvers, resolveMedia } from './index.js';
+
+export const RESOLVER_FIXTURES = {
+  oembed: [
+    {
+      description: 'YouTube embed',
+      post: {
+        url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        media: { oembed: { html: '&lt;iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"&gt;&lt;/iframe&gt;', width: 356, height: 200, provider_name: 'YouTube' } }
+      },
+      expected: { mediaType: 'video', mediaUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', hasOembed: true }
+    }
+  ],
+
+  'reddit-gallery': [
+    {
+      description: 'Two-image gallery',
+      post: {
+        url: 'https://www.reddit.com/gallery/abc123',
+        is_gallery: true,
+        gallery_data: { items: [{ media_id: 'one' }, { media_id: 'two' }] },
+        media_metadata: {
+          one: { s: { u: 'https://preview.redd.it/one.jpg' } },
+          two: { s: { u: 'https://preview.redd.it/two.jpg' } }
+        }
+      },
+      expected: { mediaType: 'gallery', mediaUrl: null }
+    }
+  ],
+
+  'reddit-video': [
+    {
+      description: 'v.redd.it upload with HLS',
+      post: {
+        url: 'https://v.redd.it/abc123',
+        is_video: true,
+        media: { reddit_video: { hls_url: 'https://v.redd.it/abc123/HLSPlaylist.m3u8', fallback_url: 'https://v.redd.it/abc123/DASH_720.mp4', width: 1280, height: 720, duration: 12, has_audio: true } }
+      },
+      expected: { mediaType: 'video', mediaUrl: 'https://v.redd.it/abc123/HLSPlaylist.m3u8' }
+    }
+  ],
+
+  'reddit-hosted': [
+    {
+      description: 'i.redd.it image',
+      post: { url: 'https://i.redd.it/abc123.jpg' },
+      expected: { mediaType: 'image', mediaUrl: 'https://i.redd.it/abc123.jpg' }
+    }
+  ],
+
+  imgur: [
+    {
+      description: 'Imgur page link',
+      post: { url: 'https://imgur.com/abc123' },
+      expected: { mediaType: 'image', mediaUrl: 'https://i.imgur.com/abc123.jpg' }
+    },
+    {
+      description: 'Imgur album waits for expansion',
+      post: { url: 'https://imgur.com/a/stubAlbum' },
+      expected: { mediaType: 'image', mediaUrl: null }
+    },
+    {
+      description: 'Imgur gifv',
+      post: { url: 'https://i.imgur.com/abc123.gifv' },
+      expected: { mediaType: 'gif', mediaUrl: 'https://i.imgur.com/abc123.gif' }
+    }
+  ],
+
+  'direct-file': [
+    {
+      description: 'Direct PNG',
+      post: { url: 'https://example.com/picture.png' },
+      expected: { mediaType: 'image', mediaUrl: 'https://example.com/picture.png' }
+    },
+    {
+      description: 'Direct WebM',
+      post: { url: 'https://example.com/clip.webm' },
+      expected: { mediaType: 'video', mediaUrl: 'https://example.com/clip.webm' }
+    }
+  ],
+
+  youtube: [
+    {
+      description: 'youtu.be short link',
+      post: { url: 'https://youtu.be/dQw4w9WgXcQ' },
+      expected: { mediaType: 'video', mediaUrl: 'https://youtu.be/dQw4w9WgXcQ' }
+    }
+  ],
+
+  streamable: [
+    {
+      description: 'Streamable page link',
+      post: { url: 'https://streamable.com/abc12' },
+      expected: { mediaType: 'video', mediaUrl: 'https://streamable.com/abc12' }
+    }
+  ],
+
+  gfycat: [
+    {
+      description: 'Gfycat link with Reddit preview',
+      post: {
+        url: 'https://gfycat.com/happyfluffycat',
+        preview: { reddit_video_preview: { fallback_url: 'https://v.redd.it/xyz/DASH_480.mp4', width: 480, height: 270, duration: 5 } }
+      },
+      expected: { mediaType: 'video', mediaUrl: 'https://v.redd.it/xyz/DASH_480.mp4' }
+    }
+  ],
+
+  redgifs: [
+    {
+      description: 'RedGifs watch link without preview',
+      post: { url: 'https://www.redgifs.com/watch/examplegif' },
+      expected: { mediaType: 'video', mediaUrl: 'https://www.redgifs.com/watch/examplegif' }
+    }
+  ],
+
+  giphy: [
+    {
+      description: 'Giphy page link',
+      post: { url: 'https://giphy.com/gifs/cat-funny-JIX9t2j0ZTN9S' },
+      expected: { mediaType: 'gif', mediaUrl: 'https://media.giphy.com/media/JIX9t2j0ZTN9S/giphy.gif' }
+    }
+  ],
+
+  tenor: [
+    {
+      description: 'Direct media.tenor.com GIF',
+      post: { url: 'https://media.tenor.com/abc/tenor.gif' },
+      expected: { mediaType: 'gif', mediaUrl: 'https://media.tenor.com/abc/tenor.gif' }
+    },
+    {
+      description: 'Tenor page link with GIF variant',
+      post: {
+        url: 'https://tenor.com/view/cat-dance-gif-12345',
+        preview: { images: [{ source: { url: 'https://preview.redd.it/cat.png' }, variants: { gif: { source: { url: 'https://preview.redd.it/cat.gif?format=gif&amp;s=1' } } } }] }
+      },
+      expected: { mediaType: 'gif', mediaUrl: 'https://preview.redd.it/cat.gif?format=gif&s=1' }
+    }
+  ],
+
+  twitter: [
+    {
+      description: 'Tweet with preview image',
+      post: {
+        url: 'https://x.com/someone/status/123',
+        preview: { images: [{ source: { url: 'https://external-preview.redd.it/tweet.jpg?a=1&amp;b=2' } }] }
+      },
+      expected: { mediaType: 'image', mediaUrl: 'https://external-preview.redd.it/tweet.jpg?a=1&b=2' }
+    }
+  ],
+
+  tiktok: [
+    {
+      description: 'TikTok link without preview falls through',
+      post: { url: 'https://www.tiktok.com/@someone/video/123' },
+      expected: { mediaType: 'text', mediaUrl: null }
+    }
+  ],
+
+  vimeo: [
+    {
+      description: 'Vimeo video link',
+      post: { url: 'https://vimeo.com/76979871' },
+      expected: { mediaType: 'video', mediaUrl: 'https://vimeo.com/76979871' }
+    }
+  ],
+
+  preview: [
+    {
+      description: 'Article link with preview',
+      post: {
+        url: 'https://example.com/article',
+        preview: { images: [{ source: { url: 'https://external-preview.redd.it/a.jpg?x=1&amp;y=2' }, resolutions: [] }] }
+      },
+      expected: { mediaType: 'image', mediaUrl: 'https://external-preview.redd.it/a.jpg?x=1&y=2' }
+    }
+  ]
+};
+
+/**
+ * Run the fixtures of every registered resolver through the registry
+ * @param {Object} fixtures - Fixture lists keyed by resolver id
+ * @param {Object} context - Resolve context, as for resolveMedia
+ * @returns {Array} [{ resolver, description, passed, actual, expected }]
+ */
+export const runResolverFixtures = (fixtures = RESOLVER_FIXTURES, context = {}) => {
+  return getMediaResolvers().flatMap(resolver =>
+    (fixtures[resolver.id] || []).map(({ description, post, expected }) => {
+      const actual = resolveMedia(post, context);
+      const passed = Object.entries(expected).every(([key, value]) => actual[key] === value);
+      return { resolver: resolver.id, description, passed, actual, expected };
+    })
+  );
+};
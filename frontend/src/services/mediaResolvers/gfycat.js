@@ -0,0 +1,31 @@
+/**
+ * Gfycat-style resolver
+ * Gfycat and its mirror domains; prefers Reddit's MP4 preview since the
+ * original pages are often gone
+ */
+
+import { isPostOnDomain, getVideoPreview } from './helpers.js';
+
+const gfycatResolver = {
+  id: 'gfycat',
+  name: 'Gfycat-style hosts',
+  priority: 40,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['gfycat.com', 'gifdeliverynetwork.com', 'gifsound.com']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    const videoPreview = getVideoPreview(post);
+
+    return {
+      mediaUrl: videoPreview?.mediaUrl || post.url,
+      mediaType: 'video',
+      thumbnailUrl: getThumbnail(post),
+      videoData: videoPreview?.videoData
+    };
+  }
+};
+
+export default gfycatResolver;
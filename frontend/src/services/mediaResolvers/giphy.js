@@ -0,0 +1,41 @@
+/**
+ * Giphy resolver
+ * Maps giphy.com page links to the GIF on media.giphy.com
+ */
+
+import { isPostOnDomain } from './helpers.js';
+
+/**
+ * Extract the GIF ID from giphy.com/gifs/name-ID, media.giphy.com/media/ID/... or i.giphy.com/ID.gif
+ */
+const getGiphyId = (url) => {
+  const mediaMatch = url.match(/giphy\.com\/media\/([^/]+)/i);
+  if (mediaMatch) return mediaMatch[1];
+
+  const directMatch = url.match(/i\.giphy\.com\/([^/.]+)\.(gif|webp|mp4)/i);
+  if (directMatch) return directMatch[1];
+
+  const pageMatch = url.match(/giphy\.com\/(?:gifs|stickers|embed)\/(?:[^/?#]*-)?([^/?#-]+)/i);
+  return pageMatch ? pageMatch[1] : null;
+};
+
+const giphyResolver = {
+  id: 'giphy',
+  name: 'Giphy',
+  priority: 40,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['giphy.com']) && Boolean(getGiphyId(post.url));
+  },
+
+  resolve(post, { getThumbnail }) {
+    return {
+      mediaUrl: `https://media.giphy.com/media/${getGiphyId(post.url)}/giphy.gif`,
+      mediaType: 'gif',
+      thumbnailUrl: getThumbnail(post)
+    };
+  }
+};
+
+export default giphyResolver;
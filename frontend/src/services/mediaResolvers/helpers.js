@@ -0,0 +1,113 @@
+/**
+ * Shared helpers for media resolvers
+ */
+
+/**
+ * Decode the HTML entities Reddit escapes in URLs and embed markup
+ * @param {string} str - Escaped string
+ * @returns {string} Decoded string
+ */
+export const decodeHtmlEntities = (str) => {
+  if (!str) return str;
+  return str
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+};
+
+/**
+ * Get the lowercase hostname of a URL without a leading "www."
+ * @param {string} url - URL to parse
+ * @returns {string} Hostname, or an empty string for invalid URLs
+ */
+export const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Check whether a post links to one of the given domains (or their subdomains)
+ * @param {Object} post - Raw Reddit post data
+ * @param {Array} domains - Domains such as ['imgur.com']
+ * @returns {boolean} True if the post URL is on one of the domains
+ */
+export const isPostOnDomain = (post, domains) => {
+  const hostname = getHostname(post.url || '');
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+};
+
+/**
+ * Get the full-size preview image Reddit generated for a post
+ * @param {Object} post - Raw Reddit post data
+ * @returns {string|null} Decoded image URL
+ */
+export const getPreviewImageUrl = (post) => {
+  return decodeHtmlEntities(post.preview?.images?.[0]?.source?.url) || null;
+};
+
+/**
+ * Get the MP4 preview Reddit transcodes for GIF hosts (redgifs, gfycat, imgur gifv...)
+ * @param {Object} post - Raw Reddit post data
+ * @returns {Object|null} { mediaUrl, videoData } or null when there is no preview
+ */
+export const getVideoPreview = (post) => {
+  const preview = post.preview?.reddit_video_preview;
+  if (!preview?.fallback_url) return null;
+
+  return {
+    mediaUrl: preview.hls_url || preview.fallback_url,
+    videoData: {
+      width: preview.width,
+      height: preview.height,
+      duration: preview.duration,
+      hasAudio: false,
+      dashUrl: preview.dash_url,
+      hlsUrl: preview.hls_url,
+      fallbackUrl: preview.fallback_url
+    }
+  };
+};
+
+/**
+ * Get the MP4 or GIF variant Reddit stores for animated previews
+ * @param {Object} post - Raw Reddit post data
+ * @returns {Object|null} { mediaUrl, mediaType } or null when there is no variant
+ */
+export const getAnimatedVariant = (post) => {
+  const variants = post.preview?.images?.[0]?.variants;
+  if (variants?.mp4?.source?.url) {
+    return { mediaUrl: decodeHtmlEntities(variants.mp4.source.url), mediaType: 'video' };
+  }
+  if (variants?.gif?.source?.url) {
+    return { mediaUrl: decodeHtmlEntities(variants.gif.source.url), mediaType: 'gif' };
+  }
+  return null;
+};
+
+/**
+ * Get the width / height ratio of resolved media from whatever size is known
+ * Checks video and oEmbed sizes, then the first gallery image, then the preview image
+ * @param {Object} mediaInfo - Resolved media info
+ * @param {Object} post - Raw Reddit post data
+ * @returns {number|null} Aspect ratio, or null when no size is known
+ */
+export const getMediaAspectRatio = (mediaInfo, post = {}) => {
+  const firstGalleryItem = mediaInfo.galleryData?.items?.[0];
+  const galleryImage = firstGalleryItem ? mediaInfo.mediaMetadata?.[firstGalleryItem.media_id]?.s : null;
+  const previewImage = post.preview?.images?.[0]?.source;
+
+  const sizes = [
+    [mediaInfo.videoData?.width, mediaInfo.videoData?.height],
+    [mediaInfo.oembedData?.width, mediaInfo.oembedData?.height],
+    [galleryImage?.x, galleryImage?.y],
+    [previewImage?.width, previewImage?.height]
+  ].map(([width, height]) => [Number(width), Number(height)]);
+
+  const size = sizes.find(([width, height]) => width > 0 && height > 0);
+  return size ? Math.round((size[0] / size[1]) * 10000) / 10000 : null;
+};
@@ -0,0 +1,136 @@
+/**
+ * Imgur resolver
+ * Converts imgur page links into direct i.imgur.com media and expands album
+ * and gallery links into the galleryData/mediaMetadata shape ImageGallery renders
+ */
+
+import { isPostOnDomain, getPreviewImageUrl } from './helpers.js';
+import { fetchImgurAlbum } from '../imgurApi.js';
+
+// Thumbnail suffixes Imgur serves for every image
+const THUMBNAIL_SIZES = [
+  { suffix: 'm', width: 320 },
+  { suffix: 'l', width: 640 },
+  { suffix: 'h', width: 1024 }
+];
+
+/**
+ * Parse an album or gallery link into { albumId, kind }
+ * Handles both /a/ID and the newer /a/title-slug-ID forms
+ */
+const parseAlbumUrl = (url) => {
+  const match = url.match(/imgur\.com\/(a|gallery)\/([^/?#]+)/i);
+  if (!match) return null;
+
+  const slug = match[2].replace(/\.[a-z0-9]+$/i, '');
+  return {
+    albumId: slug.split('-').pop(),
+    kind: match[1].toLowerCase() === 'a' ? 'album' : 'gallery'
+  };
+};
+
+/**
+ * Convert Imgur images into Reddit's gallery_data / media_metadata shape
+ */
+const toGallery = (images) => {
+  const mediaMetadata = {};
+  const items = images.map((image, index) => {
+    const ratio = image.width ? image.height / image.width : 1;
+    const isAnimated = Boolean(image.animated);
+
+    mediaMetadata[image.id] = {
+      status: 'valid',
+      e: isAnimated ? 'AnimatedImage' : 'Image',
+      m: image.type,
+      s: { u: image.link, x: image.width, y: image.height },
+      p: THUMBNAIL_SIZES
+        .filter(({ width }) => !image.width || width < image.width)
+        .map(({ suffix, width }) => ({
+          u: `https://i.imgur.com/${image.id}${suffix}.jpg`,
+          x: width,
+          y: Math.round(width * ratio)
+        }))
+    };
+
+    return {
+      id: index,
+      media_id: image.id,
+      caption: image.description || image.title || null
+    };
+  });
+
+  return { galleryData: { items }, mediaMetadata };
+};
+
+const imgurResolver = {
+  id: 'imgur',
+  name: 'Imgur',
+  priority: 60,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['imgur.com']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    const url = post.url;
+    let directUrl = url;
+    let mediaType = 'image';
+
+    // Albums and galleries are expanded after processing; until then show
+    // Reddit's preview of the first image
+    const album = parseAlbumUrl(url);
+    if (album) {
+      return {
+        mediaUrl: getPreviewImageUrl(post) || getThumbnail(post),
+        mediaType: 'image',
+        thumbnailUrl: getThumbnail(post),
+        pendingExpansion: album
+      };
+    }
+
+    if (!url.includes('.jpg') && !url.includes('.png') && !url.includes('.gif') && !url.includes('.mp4')) {
+      // Convert imgur links to direct image links
+      directUrl = url.replace('imgur.com/', 'i.imgur.com/') + '.jpg';
+    }
+
+    if (url.includes('.gif') || url.includes('gifv')) {
+      mediaType = 'gif';
+      directUrl = directUrl.replace('.gifv', '.gif');
+    } else if (url.includes('.mp4')) {
+      mediaType = 'video';
+    }
+
+    return {
+      mediaUrl: directUrl,
+      mediaType,
+      thumbnailUrl: getThumbnail(post)
+    };
+  },
+
+  /**
+   * Replace an album placeholder with the album's images
+   * @returns {Promise<Object|null>} Gallery media fields, or null to keep the placeholder
+   */
+  async expand({ albumId, kind }) {
+    const images = await fetchImgurAlbum(albumId, kind);
+    if (!images || images.length === 0) return null;
+
+    // A single-image gallery post is just an image
+    if (images.length === 1) {
+      const [image] = images;
+      return {
+        mediaUrl: image.animated && image.mp4 ? image.mp4 : image.link,
+        mediaType: image.animated ? (image.mp4 ? 'video' : 'gif') : 'image'
+      };
+    }
+
+    return {
+      mediaUrl: null,
+      mediaType: 'gallery',
+      ...toGallery(images)
+    };
+  }
+};
+
+export default imgurResolver;
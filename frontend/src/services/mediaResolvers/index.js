@@ -0,0 +1,171 @@
+/**
+ * Media resolver registry
+ * Each resolver is a module with { id, name, priority, matches(post), resolve(post, context) }.
+ * Resolvers run from highest to lowest priority; the first one that matches and
+ * returns a result decides the post's media. Resolvers flagged `isHost` can be
+ * disabled per profile, and `embedsHosts` resolvers skip posts from disabled hosts.
+ * Resolvers that need a network lookup return `pendingExpansion` and implement
+ * `expand(pendingExpansion)`, which runs after the post has been processed.
+ */
+
+import { getMediaAspectRatio } from './helpers.js';
+import oembedResolver from './oembed.js';
+import redditGalleryResolver from './redditGallery.js';
+import redditVideoResolver from './redditVideo.js';
+import redditHostedResolver from './redditHosted.js';
+import imgurResolver from './imgur.js';
+import directFileResolver from './directFile.js';
+import youtubeResolver from './youtube.js';
+import streamableResolver from './streamable.js';
+import gfycatResolver from './gfycat.js';
+import redgifsResolver from './redgifs.js';
+import giphyResolver from './giphy.js';
+import tenorResolver from './tenor.js';
+import twitterResolver from './twitter.js';
+import tiktokResolver from './tiktok.js';
+import vimeoResolver from './vimeo.js';
+import previewResolver from './preview.js';
+
+let resolvers = [];
+
+/**
+ * Register a media resolver, replacing any resolver with the same id
+ * @param {Object} resolver - { id, name, priority, matches, resolve, isHost, embedsHosts }
+ */
+export const registerMediaResolver = (resolver) => {
+  if (!resolver?.id || typeof resolver.matches !== 'function' || typeof resolver.resolve !== 'function') {
+    throw new Error('Media resolvers need an id, matches(post) and resolve(post, context)');
+  }
+
+  resolvers = resolvers
+    .filter(existing => existing.id !== resolver.id)
+    .concat({ priority: 0, ...resolver })
+    .sort((a, b) => b.priority - a.priority);
+};
+
+/**
+ * Remove a media resolver
+ * @param {string} id - Resolver id
+ */
+export const unregisterMediaResolver = (id) => {
+  resolvers = resolvers.filter(resolver => resolver.id !== id);
+};
+
+/**
+ * Get registered resolvers in the order they run
+ * @returns {Array} Resolvers sorted by priority
+ */
+export const getMediaResolvers = () => [...resolvers];
+
+/**
+ * Get the external hosts that can be disabled per profile
+ * @returns {Array} [{ id, name }]
+ */
+export const getMediaHosts = () => {
+  return resolvers
+    .filter(resolver => resolver.isHost)
+    .map(({ id, name }) => ({ id, name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Resolve the media of a raw Reddit post
+ * @param {Object} post - Raw Reddit post data
+ * @param {Object} context - { getThumbnail(post), disabledHosts: [] }
+ * @returns {Object} { mediaUrl, mediaType, thumbnailUrl, mediaSource, ... }
+ */
+export const resolveMedia = (post, context = {}) => {
+  const disabledHosts = new Set(context.disabledHosts || []);
+  const resolveContext = {
+    getThumbnail: () => null,
+    ...context
+  };
+
+  // A post from a disabled host must not sneak back in through its embed
+  const fromDisabledHost = resolvers.some(resolver =>
+    resolver.isHost && disabledHosts.has(resolver.id) && resolver.matches(post)
+  );
+
+  for (const resolver of resolvers) {
+    if (disabledHosts.has(resolver.id)) continue;
+    if (fromDisabledHost && resolver.embedsHosts) continue;
+
+    try {
+      if (!resolver.matches(post)) continue;
+
+      const mediaInfo = resolver.resolve(post, resolveContext);
+      if (mediaInfo) {
+        return {
+          ...mediaInfo,
+          aspectRatio: getMediaAspectRatio(mediaInfo, post),
+          mediaSource: resolver.id
+        };
+      }
+    } catch (error) {
+      console.error(`Media resolver "${resolver.id}" failed:`, error);
+    }
+  }
+
+  // No media found - text post
+  return {
+    mediaUrl: null,
+    mediaType: 'text',
+    thumbnailUrl: resolveContext.getThumbnail(post),
+    mediaSource: null
+  };
+};
+
+/**
+ * Finish resolving media that needs a network lookup (e.g. Imgur albums)
+ * Works on resolved media info or on a processed post carrying the same fields
+ * @param {Object} mediaInfo - Object with mediaSource and pendingExpansion
+ * @returns {Promise<Object>} The object with the expanded media fields merged in
+ */
+export const expandMedia = async (mediaInfo) => {
+  const { pendingExpansion, ...resolved } = mediaInfo;
+  if (!pendingExpansion) return mediaInfo;
+
+  const resolver = resolvers.find(r => r.id === mediaInfo.mediaSource);
+  if (!resolver?.expand) return resolved;
+
+  try {
+    const expanded = await resolver.expand(pendingExpansion);
+    if (!expanded) return resolved;
+
+    // Expanded media (e.g. an album's first image) knows its own size
+    const merged = { ...resolved, ...expanded };
+    return { ...merged, aspectRatio: getMediaAspectRatio(merged) || resolved.aspectRatio || null };
+  } catch (error) {
+    console.error(`Media resolver "${resolver.id}" failed to expand:`, error);
+    return resolved;
+  }
+};
+
+// Built-in resolvers
+[
+  oembedResolver,
+  redditGalleryResolver,
+  redditVideoResolver,
+  redditHostedResolver,
+  imgurResolver,
+  directFileResolver,
+  youtubeResolver,
+  streamableResolver,
+  gfycatResolver,
+  redgifsResolver,
+  giphyResolver,
+  tenorResolver,
+  twitterResolver,
+  tiktokResolver,
+  vimeoResolver,
+  previewResolver
+].forEach(registerMediaResolver);
+
+export default {
+  registerMediaResolver,
+  unregisterMediaResolver,
+  getMediaResolvers,
+  getMediaHosts,
+  resolveMedia,
+  expandMedia
+};
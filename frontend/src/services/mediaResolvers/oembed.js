@@ -0,0 +1,37 @@
+/**
+ * oEmbed resolver
+ * Uses the embed markup Reddit attaches for YouTube, Vimeo, Twitter and other providers
+ */
+
+import { decodeHtmlEntities } from './helpers.js';
+
+const oembedResolver = {
+  id: 'oembed',
+  name: 'Embedded players',
+  priority: 100,
+  embedsHosts: true, // Skipped when the post's own host is disabled
+
+  matches(post) {
+    return Boolean(post.media?.oembed?.html || post.secure_media_embed?.html);
+  },
+
+  resolve(post, { getThumbnail }) {
+    const oembedHtml = post.media?.oembed?.html || post.secure_media_embed?.html;
+
+    return {
+      mediaUrl: post.url, // Keep original URL as fallback
+      mediaType: 'video',
+      thumbnailUrl: getThumbnail(post),
+      hasOembed: true,
+      oembedHtml: decodeHtmlEntities(oembedHtml),
+      oembedData: {
+        width: post.media?.oembed?.width || post.secure_media_embed?.width,
+        height: post.media?.oembed?.height || post.secure_media_embed?.height,
+        provider_name: post.media?.oembed?.provider_name,
+        provider_url: post.media?.oembed?.provider_url
+      }
+    };
+  }
+};
+
+export default oembedResolver;
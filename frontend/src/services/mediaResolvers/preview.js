@@ -0,0 +1,29 @@
+/**
+ * Preview image resolver
+ * Last resort for links Reddit generated a preview image for
+ */
+
+import { decodeHtmlEntities } from './helpers.js';
+
+const previewResolver = {
+  id: 'preview',
+  name: 'Preview images',
+  priority: 10,
+
+  matches(post) {
+    return Boolean(post.preview?.images?.[0]?.source?.url);
+  },
+
+  resolve(post, { getThumbnail }) {
+    const preview = post.preview.images[0];
+    const thumbnailUrl = decodeHtmlEntities(preview.resolutions?.[0]?.url);
+
+    return {
+      mediaUrl: decodeHtmlEntities(preview.source.url),
+      mediaType: 'image',
+      thumbnailUrl: thumbnailUrl || getThumbnail(post)
+    };
+  }
+};
+
+export default previewResolver;
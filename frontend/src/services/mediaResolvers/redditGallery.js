@@ -0,0 +1,26 @@
+/**
+ * Reddit gallery resolver
+ * Native multi-image posts rendered by ImageGallery
+ */
+
+const redditGalleryResolver = {
+  id: 'reddit-gallery',
+  name: 'Reddit galleries',
+  priority: 90,
+
+  matches(post) {
+    return Boolean(post.is_gallery && post.gallery_data && post.media_metadata);
+  },
+
+  resolve(post, { getThumbnail }) {
+    return {
+      mediaUrl: null,
+      mediaType: 'gallery',
+      thumbnailUrl: getThumbnail(post),
+      galleryData: post.gallery_data,
+      mediaMetadata: post.media_metadata
+    };
+  }
+};
+
+export default redditGalleryResolver;
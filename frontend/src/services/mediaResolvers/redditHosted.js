@@ -0,0 +1,26 @@
+/**
+ * Reddit-hosted link resolver
+ * Direct i.redd.it images and v.redd.it links without video metadata
+ */
+
+import { isPostOnDomain } from './helpers.js';
+
+const redditHostedResolver = {
+  id: 'reddit-hosted',
+  name: 'Reddit images',
+  priority: 70,
+
+  matches(post) {
+    return isPostOnDomain(post, ['i.redd.it', 'v.redd.it']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    return {
+      mediaUrl: post.url,
+      mediaType: isPostOnDomain(post, ['v.redd.it']) ? 'video' : 'image',
+      thumbnailUrl: getThumbnail(post)
+    };
+  }
+};
+
+export default redditHostedResolver;
@@ -0,0 +1,42 @@
+/**
+ * Reddit video resolver
+ * Native v.redd.it uploads from media or secure_media
+ */
+
+const redditVideoResolver = {
+  id: 'reddit-video',
+  name: 'Reddit videos',
+  priority: 80,
+
+  matches(post) {
+    return Boolean((post.is_video && post.media?.reddit_video) || post.secure_media?.reddit_video);
+  },
+
+  resolve(post, { getThumbnail }) {
+    const redditVideo = (post.is_video && post.media?.reddit_video) || post.secure_media.reddit_video;
+
+    // Prioritize HLS/DASH URLs over fallback_url for better audio support
+    const getBestVideoUrl = () => {
+      if (redditVideo.hls_url) return redditVideo.hls_url;     // M3U8 - best option with audio
+      if (redditVideo.dash_url) return redditVideo.dash_url;   // MPD - good option with audio
+      return redditVideo.fallback_url || post.url;             // MP4 - fallback (often no audio)
+    };
+
+    return {
+      mediaUrl: getBestVideoUrl(),
+      mediaType: redditVideo.is_gif ? 'gif' : 'video',
+      thumbnailUrl: getThumbnail(post),
+      videoData: {
+        width: redditVideo.width,
+        height: redditVideo.height,
+        duration: redditVideo.duration,
+        hasAudio: redditVideo.has_audio,
+        dashUrl: redditVideo.dash_url,
+        hlsUrl: redditVideo.hls_url,
+        fallbackUrl: redditVideo.fallback_url
+      }
+    };
+  }
+};
+
+export default redditVideoResolver;
@@ -0,0 +1,30 @@
+/**
+ * RedGifs resolver
+ * Prefers Reddit's MP4 preview, which plays without the RedGifs API
+ */
+
+import { isPostOnDomain, getVideoPreview } from './helpers.js';
+
+const redgifsResolver = {
+  id: 'redgifs',
+  name: 'RedGifs',
+  priority: 40,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['redgifs.com']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    const videoPreview = getVideoPreview(post);
+
+    return {
+      mediaUrl: videoPreview?.mediaUrl || post.url,
+      mediaType: 'video',
+      thumbnailUrl: getThumbnail(post),
+      videoData: videoPreview?.videoData
+    };
+  }
+};
+
+export default redgifsResolver;
@@ -0,0 +1,27 @@
+/**
+ * Streamable resolver
+ * Plays through ReactPlayer
+ */
+
+import { isPostOnDomain } from './helpers.js';
+
+const streamableResolver = {
+  id: 'streamable',
+  name: 'Streamable',
+  priority: 40,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['streamable.com']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    return {
+      mediaUrl: post.url,
+      mediaType: 'video',
+      thumbnailUrl: getThumbnail(post)
+    };
+  }
+};
+
+export default streamableResolver;
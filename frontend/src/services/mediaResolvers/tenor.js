@@ -0,0 +1,48 @@
+/**
+ * Tenor resolver
+ * Tenor page links have no predictable media URL, so Reddit's animated
+ * preview variants are used instead
+ */
+
+import { isPostOnDomain, getAnimatedVariant, getVideoPreview } from './helpers.js';
+
+const tenorResolver = {
+  id: 'tenor',
+  name: 'Tenor',
+  priority: 40,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['tenor.com']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    // media.tenor.com links are already direct
+    if (isPostOnDomain(post, ['media.tenor.com', 'c.tenor.com'])) {
+      return {
+        mediaUrl: post.url,
+        mediaType: /\.mp4$/i.test(post.url) ? 'video' : 'gif',
+        thumbnailUrl: getThumbnail(post)
+      };
+    }
+
+    const videoPreview = getVideoPreview(post);
+    if (videoPreview) {
+      return {
+        mediaUrl: videoPreview.mediaUrl,
+        mediaType: 'gif',
+        thumbnailUrl: getThumbnail(post),
+        videoData: videoPreview.videoData
+      };
+    }
+
+    const variant = getAnimatedVariant(post);
+    if (variant) {
+      return { ...variant, thumbnailUrl: getThumbnail(post) };
+    }
+
+    return null; // Fall through to the preview image
+  }
+};
+
+export default tenorResolver;
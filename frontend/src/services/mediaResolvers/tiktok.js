@@ -0,0 +1,31 @@
+/**
+ * TikTok resolver
+ * TikTok pages cannot be played inline without their embed, so the preview
+ * image Reddit captured is shown instead
+ */
+
+import { isPostOnDomain, getPreviewImageUrl } from './helpers.js';
+
+const tiktokResolver = {
+  id: 'tiktok',
+  name: 'TikTok',
+  priority: 40,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['tiktok.com']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    const previewUrl = getPreviewImageUrl(post);
+    if (!previewUrl) return null;
+
+    return {
+      mediaUrl: previewUrl,
+      mediaType: 'image',
+      thumbnailUrl: getThumbnail(post)
+    };
+  }
+};
+
+export default tiktokResolver;
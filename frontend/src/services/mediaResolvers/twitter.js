@@ -0,0 +1,38 @@
+/**
+ * Twitter / X resolver
+ * Tweets without an embed show the preview image Reddit captured
+ */
+
+import { isPostOnDomain, getPreviewImageUrl } from './helpers.js';
+
+const twitterResolver = {
+  id: 'twitter',
+  name: 'Twitter / X',
+  priority: 40,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['twitter.com', 'x.com', 'pbs.twimg.com', 'video.twimg.com']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    // Media links on twimg.com are already direct
+    if (isPostOnDomain(post, ['video.twimg.com'])) {
+      return { mediaUrl: post.url, mediaType: 'video', thumbnailUrl: getThumbnail(post) };
+    }
+    if (isPostOnDomain(post, ['pbs.twimg.com'])) {
+      return { mediaUrl: post.url, mediaType: 'image', thumbnailUrl: getThumbnail(post) };
+    }
+
+    const previewUrl = getPreviewImageUrl(post);
+    if (!previewUrl) return null;
+
+    return {
+      mediaUrl: previewUrl,
+      mediaType: 'image',
+      thumbnailUrl: getThumbnail(post)
+    };
+  }
+};
+
+export default twitterResolver;
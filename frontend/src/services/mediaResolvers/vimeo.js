@@ -0,0 +1,27 @@
+/**
+ * Vimeo resolver
+ * Plays through ReactPlayer
+ */
+
+import { isPostOnDomain } from './helpers.js';
+
+const vimeoResolver = {
+  id: 'vimeo',
+  name: 'Vimeo',
+  priority: 40,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['vimeo.com']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    return {
+      mediaUrl: post.url,
+      mediaType: 'video',
+      thumbnailUrl: getThumbnail(post)
+    };
+  }
+};
+
+export default vimeoResolver;
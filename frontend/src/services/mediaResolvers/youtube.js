@@ -0,0 +1,27 @@
+/**
+ * YouTube resolver
+ * Plays through ReactPlayer; thumbnails come from img.youtube.com
+ */
+
+import { isPostOnDomain } from './helpers.js';
+
+const youtubeResolver = {
+  id: 'youtube',
+  name: 'YouTube',
+  priority: 40,
+  isHost: true,
+
+  matches(post) {
+    return isPostOnDomain(post, ['youtube.com', 'youtu.be']);
+  },
+
+  resolve(post, { getThumbnail }) {
+    return {
+      mediaUrl: post.url,
+      mediaType: 'video',
+      thumbnailUrl: getThumbnail(post)
+    };
+  }
+};
+
+export default youtubeResolver;
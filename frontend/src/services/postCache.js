@@ -0,0 +1,306 @@
+/**
+ * IndexedDB-backed post cache
+ * Stores processed posts individually, indexed by the configuration that
+ * fetched them, and evicts the least recently used entries past a size limit
+ */
+
+const DB_NAME = 'redditvisor_cache';
+const DB_VERSION = 1;
+const POSTS_STORE = 'posts';
+const META_STORE = 'meta';
+const DEFAULT_MAX_ENTRIES = 2000;
+
+// Legacy localStorage keys from the previous single-blob cache
+const LEGACY_CACHE_KEYS = ['redditvisor_posts_cache', 'redditvisor_cache_expiry'];
+
+let maxEntries = DEFAULT_MAX_ENTRIES;
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolve when a transaction commits, reject when it fails or aborts
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Detect storage quota errors across browsers
+ */
+const isQuotaError = (error) => {
+  return error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22
+  );
+};
+
+/**
+ * Remove the legacy localStorage blob so it no longer eats into the quota
+ */
+const removeLegacyCache = () => {
+  try {
+    LEGACY_CACHE_KEYS.forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('Could not remove legacy post cache:', error);
+  }
+};
+
+/**
+ * Open (and upgrade if needed) the cache database
+ * Resolves to null when IndexedDB is unavailable
+ */
+const openDatabase = () => {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  if (typeof indexedDB === 'undefined') {
+    console.warn('IndexedDB not supported, post cache disabled');
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(POSTS_STORE)) {
+        const postsStore = db.createObjectStore(POSTS_STORE, { keyPath: 'id' });
+        postsStore.createIndex('configId', 'configId', { unique: false });
+        postsStore.createIndex('lastAccessed', 'lastAccessed', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+      }
+    };
+
+    request.onsuccess = () => {
+      removeLegacyCache();
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      console.error('Error opening post cache database:', request.error);
+      resolve(null);
+    };
+
+    request.onblocked = () => {
+      console.warn('Post cache database upgrade blocked by another tab');
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Write posts and the sync timestamp in a single transaction
+ */
+const writePosts = async (db, posts, syncedAt) => {
+  const transaction = db.transaction([POSTS_STORE, META_STORE], 'readwrite');
+  const postsStore = transaction.objectStore(POSTS_STORE);
+
+  posts.forEach(post => {
+    postsStore.put({
+      id: post.id,
+      configId: post.configId || null,
+      cachedAt: syncedAt,
+      lastAccessed: syncedAt,
+      post
+    });
+  });
+
+  transaction.objectStore(META_STORE).put({ key: 'lastSync', value: syncedAt });
+  await transactionDone(transaction);
+};
+
+/**
+ * Delete the given number of least recently used entries
+ */
+const evictEntries = async (db, count) => {
+  if (count <= 0) return 0;
+
+  const transaction = db.transaction(POSTS_STORE, 'readwrite');
+  const index = transaction.objectStore(POSTS_STORE).index('lastAccessed');
+  let evicted = 0;
+
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || evicted >= count) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      evicted++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  await transactionDone(transaction);
+  return evicted;
+};
+
+/**
+ * Mark records as just read so eviction keeps them longer
+ * Best effort: never rejects, since a failed touch only affects eviction order
+ */
+const touchRecords = async (db, records) => {
+  try {
+    const accessedAt = Date.now();
+    const transaction = db.transaction(POSTS_STORE, 'readwrite');
+    const store = transaction.objectStore(POSTS_STORE);
+    records.forEach(record => store.put({ ...record, lastAccessed: accessedAt }));
+    await transactionDone(transaction);
+  } catch (error) {
+    console.warn('Could not update cache access times:', error);
+  }
+};
+
+/**
+ * Trim the store back down to the configured maximum size
+ */
+const enforceSizeLimit = async (db) => {
+  const transaction = db.transaction(POSTS_STORE, 'readonly');
+  const count = await promisifyRequest(transaction.objectStore(POSTS_STORE).count());
+
+  if (count > maxEntries) {
+    const evicted = await evictEntries(db, count - maxEntries);
+    console.log(`Evicted ${evicted} least recently used posts from cache`);
+  }
+};
+
+/**
+ * Configure the post cache
+ * @param {Object} options - { maxEntries }
+ */
+export const configurePostCache = ({ maxEntries: newMaxEntries } = {}) => {
+  const parsed = parseInt(newMaxEntries, 10);
+  if (parsed > 0) {
+    maxEntries = parsed;
+    console.log(`Post cache limited to ${maxEntries} entries`);
+  }
+};
+
+/**
+ * Save processed posts to the cache
+ * Quota errors evict old entries and retry once instead of failing
+ * @param {Array} posts - Processed posts to store
+ * @returns {Promise<boolean>} True if the posts were written
+ */
+export const savePosts = async (posts) => {
+  const db = await openDatabase();
+  if (!db || posts.length === 0) return false;
+
+  const syncedAt = Date.now();
+
+  try {
+    await writePosts(db, posts, syncedAt);
+  } catch (error) {
+    if (!isQuotaError(error)) {
+      console.error('Error saving posts to cache:', error);
+      return false;
+    }
+
+    console.warn('Post cache quota exceeded, evicting least recently used entries...');
+    try {
+      await evictEntries(db, Math.max(posts.length, Math.floor(maxEntries / 2)));
+      await writePosts(db, posts, syncedAt);
+    } catch (retryError) {
+      console.error('Failed to cache posts even after eviction:', retryError);
+      return false;
+    }
+  }
+
+  try {
+    await enforceSizeLimit(db);
+  } catch (error) {
+    console.error('Error enforcing post cache size limit:', error);
+  }
+
+  console.log(`Cached ${posts.length} posts`);
+  return true;
+};
+
+/**
+ * Load cached posts, optionally restricted to a set of configuration IDs
+ * Loaded entries are marked as recently used
+ * @param {Array} configIds - Configuration IDs to load, or null for all
+ * @returns {Promise<Object>} { posts, lastSync } where lastSync is a timestamp or null
+ */
+export const loadPosts = async (configIds = null) => {
+  const db = await openDatabase();
+  if (!db) return { posts: [], lastSync: null };
+
+  try {
+    // Issue every read up front so the transaction stays active until they settle
+    const readTransaction = db.transaction([POSTS_STORE, META_STORE], 'readonly');
+    const postsStore = readTransaction.objectStore(POSTS_STORE);
+    const lastSyncRequest = promisifyRequest(readTransaction.objectStore(META_STORE).get('lastSync'));
+
+    const recordRequests = configIds
+      ? configIds.map(configId => promisifyRequest(postsStore.index('configId').getAll(IDBKeyRange.only(configId))))
+      : [promisifyRequest(postsStore.getAll())];
+
+    const [lastSyncRecord, ...recordLists] = await Promise.all([lastSyncRequest, ...recordRequests]);
+    const records = recordLists.flat();
+
+    // Not awaited so the cache boots without waiting on the write; touchRecords catches its own errors
+    if (records.length > 0) {
+      touchRecords(db, records);
+    }
+
+    const seenIds = new Set();
+    const posts = [];
+    records.forEach(record => {
+      if (!seenIds.has(record.id)) {
+        seenIds.add(record.id);
+        posts.push(record.post);
+      }
+    });
+    posts.sort((a, b) => b.createdUtc - a.createdUtc);
+
+    console.log(`Loaded ${posts.length} posts from cache`);
+    return { posts, lastSync: lastSyncRecord?.value || null };
+  } catch (error) {
+    console.error('Error loading posts from cache:', error);
+    return { posts: [], lastSync: null };
+  }
+};
+
+/**
+ * Remove every cached post
+ */
+export const clearPostCache = async () => {
+  const db = await openDatabase();
+  if (!db) return;
+
+  try {
+    const transaction = db.transaction([POSTS_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(POSTS_STORE).clear();
+    transaction.objectStore(META_STORE).clear();
+    await transactionDone(transaction);
+    console.log('Cleared posts cache');
+  } catch (error) {
+    console.error('Error clearing posts cache:', error);
+  }
+};
+
+export default {
+  configurePostCache,
+  savePosts,
+  loadPosts,
+  clearPostCache
+};
@@ -0,0 +1,181 @@
+/**
+ * Reddit user authentication helpers
+ * PKCE generation, pending-login bookkeeping and per-user token storage for
+ * the installed-app authorization-code flow
+ */
+
+export const AUTH_CALLBACK_PATH = '/auth/callback';
+export const DEFAULT_SCOPE = 'identity read mysubreddits history save';
+
+const PENDING_LOGIN_KEY = 'redditvisor_pending_login';
+const ACCOUNTS_KEY = 'redditvisor_accounts';
+const DEVICE_ID_KEY = 'redditvisor_device_id';
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string
+ */
+const base64UrlEncode = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Generate a random base64url string
+ * @param {number} byteLength - Number of random bytes
+ * @returns {string} Random string
+ */
+const randomString = (byteLength) => {
+  const bytes = new Uint8Array(byteLength);
+  crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+};
+
+/**
+ * Generate a PKCE code verifier (43 characters)
+ * @returns {string} Code verifier
+ */
+export const generateCodeVerifier = () => randomString(32);
+
+/**
+ * Derive the S256 code challenge for a verifier
+ * @param {string} verifier - PKCE code verifier
+ * @returns {Promise<string>} Code challenge
+ */
+export const createCodeChallenge = async (verifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(new Uint8Array(digest));
+};
+
+/**
+ * Generate an opaque state value to protect the callback against CSRF
+ * @returns {string} State value
+ */
+export const generateState = () => randomString(16);
+
+/**
+ * Get a stable per-browser device ID for app-only installed-client tokens
+ * @returns {string} Device ID (22 characters)
+ */
+export const getDeviceId = () => {
+  try {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = randomString(16);
+      localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  } catch (error) {
+    console.error('Error reading device ID from localStorage:', error);
+    return 'DO_NOT_TRACK_THIS_DEVICE';
+  }
+};
+
+/**
+ * Default redirect URI for the current origin
+ * @returns {string} Redirect URI
+ */
+export const getDefaultRedirectUri = () => `${window.location.origin}${AUTH_CALLBACK_PATH}`;
+
+/**
+ * Check whether a location is the OAuth redirect callback
+ * @param {Location} location - Location to check
+ * @returns {boolean} True for the callback route
+ */
+export const isAuthCallbackUrl = (location) => {
+  return location.pathname === AUTH_CALLBACK_PATH;
+};
+
+/**
+ * Remember the verifier and state of a login that is about to redirect away
+ * sessionStorage keeps them scoped to the tab that started the login
+ * @param {Object} pendingLogin - { state, codeVerifier, redirectUri }
+ */
+export const savePendingLogin = (pendingLogin) => {
+  sessionStorage.setItem(PENDING_LOGIN_KEY, JSON.stringify(pendingLogin));
+};
+
+/**
+ * Read and remove the pending login, verifying its state
+ * @param {string} state - State returned by Reddit
+ * @returns {Object|null} Pending login or null if missing or mismatched
+ */
+export const consumePendingLogin = (state) => {
+  try {
+    const saved = sessionStorage.getItem(PENDING_LOGIN_KEY);
+    sessionStorage.removeItem(PENDING_LOGIN_KEY);
+    if (!saved) return null;
+
+    const pendingLogin = JSON.parse(saved);
+    return pendingLogin.state === state ? pendingLogin : null;
+  } catch (error) {
+    console.error('Error reading pending login:', error);
+    return null;
+  }
+};
+
+/**
+ * Load stored user accounts
+ * @returns {Object} { activeUser, accounts } where accounts is keyed by username
+ */
+export const loadAccounts = () => {
+  try {
+    const saved = localStorage.getItem(ACCOUNTS_KEY);
+    if (saved) {
+      const data = JSON.parse(saved);
+      return {
+        activeUser: data.activeUser || null,
+        accounts: data.accounts || {}
+      };
+    }
+  } catch (error) {
+    console.error('Error loading accounts from localStorage:', error);
+  }
+  return { activeUser: null, accounts: {} };
+};
+
+/**
+ * Persist user accounts
+ * @param {Object} accountData - { activeUser, accounts }
+ */
+export const saveAccounts = (accountData) => {
+  try {
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accountData));
+  } catch (error) {
+    console.error('Error saving accounts to localStorage:', error);
+  }
+};
+
+/**
+ * Convert a token endpoint response into a stored token record
+ * Keeps the previous refresh token when Reddit does not rotate it
+ * @param {Object} data - Token endpoint response
+ * @param {Object} previous - Previously stored token record
+ * @returns {Object} Token record
+ */
+export const toTokenRecord = (data, previous = {}) => ({
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token || previous.refreshToken || null,
+  scope: data.scope || previous.scope || '',
+  expiresAt: Date.now() + (data.expires_in * 1000) - 60000 // Refresh 1 minute early
+});
+
+export default {
+  AUTH_CALLBACK_PATH,
+  DEFAULT_SCOPE,
+  generateCodeVerifier,
+  createCodeChallenge,
+  generateState,
+  getDeviceId,
+  getDefaultRedirectUri,
+  isAuthCallbackUrl,
+  savePendingLogin,
+  consumePendingLogin,
+  loadAccounts,
+  saveAccounts,
+  toTokenRecord
+};
@@ -5,6 +5,41 @@
  */
 
 import { redditApiFetch, getBrowserInfo, isCORSError } from '../utils/browserCompat.js';
+import {
+  DEFAULT_SCOPE,
+  generateCodeVerifier,
+  createCodeChallenge,
+  generateState,
+  getDeviceId,
+  getDefaultRedirectUri,
+  savePendingLogin,
+  consumePendingLogin,
+  loadAccounts,
+  saveAccounts,
+  toTokenRecord
+} from './redditAuth.js';
+import RequestScheduler from './requestScheduler.js';
+import { resolveMedia, expandMedia, getMediaHosts } from './mediaResolvers/index.js';
+import { decodeHtmlEntities } from './mediaResolvers/helpers.js';
+import { splitSearchQuery } from '../utils/queryParser.js';
+import { normalizeMuteValue, validateMuteRule } from '../utils/muteRules.js';
+import { parseCommentListing, buildCommentTree } from '../utils/commentParser.js';
+
+// Feed configuration kinds and the ones that support keyword search
+export const FEED_KINDS = ['subreddit', 'combined', 'multireddit', 'user', 'home'];
+export const SEARCHABLE_FEED_KINDS = ['subreddit', 'combined', 'multireddit'];
+
+// Content filter modes: SFW only, NSFW fetched but blurred until revealed, NSFW shown
+export const NSFW_SETTINGS = ['sfw', 'blur', 'nsfw'];
+
+// Media types a configuration can limit itself to
+export const CONFIG_MEDIA_TYPES = ['image', 'gif', 'video', 'gallery', 'text'];
+
+// Largest post cap a configuration can set: capped configurations only use their first page
+export const MAX_POSTS_PER_CONFIG = 50;
+
+// Most comment IDs /api/morechildren will expand in one request
+const MAX_MORE_CHILDREN = 100;
 
 class RedditClient {
   constructor(config) {
@@ -13,13 +48,27 @@ class RedditClient {
       clientSecret: config.clientSecret,
       userAgent: config.userAgent || 'RedditVisor/1.0',
       username: config.username,
-      password: config.password
+      password: config.password,
+      redirectUri: config.redirectUri || getDefaultRedirectUri(),
+      scope: config.scope || DEFAULT_SCOPE,
+      maxConcurrentRequests: parseInt(config.maxConcurrentRequests, 10) || 4
     };
     
     this.accessToken = null;
     this.tokenExpiry = null;
     this.isRefreshing = false;
     
+    // Signed-in user accounts (authorization-code flow), keyed by username
+    this.accountData = loadAccounts();
+    this.userRefreshPromise = null;
+    this.pendingCallback = null;
+    
+    // Every listing request goes through the scheduler so bursts from many
+    // configurations stay within Reddit's rate-limit window
+    this.requestScheduler = new RequestScheduler({
+      maxConcurrent: this.config.maxConcurrentRequests
+    });
+    
     // Default query parameters for all Reddit searches
     this.defaultParams = {
       restrict_sr: 'on',
@@ -37,10 +86,28 @@ class RedditClient {
     this.nsfwSetting = 'sfw'; // Default to safe for work
     this.loadNsfwSetting();
     
+    // Media hosts whose resolvers are skipped (per profile)
+    this.disabledMediaHosts = [];
+    this.loadDisabledMediaHosts();
+    
+    // Authors, domains, title patterns and flairs hidden from every feed (per profile)
+    this.muteRules = [];
+    this.loadMuteRules();
+    
     // Initialize configuration profiles
     this.profiles = [];
     this.currentProfileId = null;
     this.loadProfiles();
+
+    // Pagination cursors keyed by config id: { after, before, hasMore }
+    this.paginationState = {};
+    
+    // Ids of the posts each capped configuration has contributed since the last reset
+    this.cappedPostIds = {};
+    
+    // Latest fetch outcome keyed by config id: { status, message, postCount, lastChecked, lastSuccess }
+    this.configStatus = {};
+    this.loadConfigStatus();
   }
 
   /**
@@ -110,8 +177,26 @@ class RedditClient {
 
   /**
    * Get Reddit OAuth access token
+   * Prefers the signed-in user's token and falls back to an app-only token
    */
   async getAccessToken() {
+    const userToken = await this.getUserAccessToken();
+    if (userToken) {
+      return userToken;
+    }
+    return this.getAppAccessToken();
+  }
+
+  /**
+   * Get an app-only access token
+   * Uses the client secret grants when a secret is configured, otherwise the
+   * installed-client grant which needs only the client ID
+   */
+  async getAppAccessToken() {
+    if (!this.config.clientId) {
+      return null;
+    }
+    
     try {
       // Check if we have a valid token
       if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
@@ -130,14 +215,18 @@ class RedditClient {
       this.isRefreshing = true;
       console.log('Getting new Reddit access token...');
 
-      const auth = btoa(`${this.config.clientId}:${this.config.clientSecret}`);
+      const auth = btoa(`${this.config.clientId}:${this.config.clientSecret || ''}`);
       
       const tokenData = new URLSearchParams({
         grant_type: 'client_credentials'
       });
 
-      // If username/password provided, use password grant
-      if (this.config.username && this.config.password) {
+      // Without a secret, request an installed-client token for this device
+      if (!this.config.clientSecret) {
+        tokenData.set('grant_type', 'https://oauth.reddit.com/grants/installed_client');
+        tokenData.set('device_id', getDeviceId());
+      } else if (this.config.username && this.config.password) {
+        // If username/password provided, use password grant
         tokenData.set('grant_type', 'password');
         tokenData.set('username', this.config.username);
         tokenData.set('password', this.config.password);
@@ -178,10 +267,451 @@ class RedditClient {
     }
   }
 
+  /**
+   * Clear cached access tokens after the API rejects them
+   */
+  invalidateAccessToken() {
+    this.accessToken = null;
+    this.tokenExpiry = null;
+    
+    const account = this.getActiveAccount();
+    if (account) {
+      account.expiresAt = 0;
+    }
+  }
+
+  /**
+   * Get the stored token record for the signed-in user
+   */
+  getActiveAccount() {
+    const { activeUser, accounts } = this.accountData;
+    return activeUser ? accounts[activeUser] || null : null;
+  }
+
+  /**
+   * Get the signed-in username, or null when browsing anonymously
+   */
+  getCurrentUser() {
+    return this.getActiveAccount() ? this.accountData.activeUser : null;
+  }
+
+  /**
+   * Get every username with stored tokens on this browser
+   */
+  getAccountNames() {
+    return Object.keys(this.accountData.accounts);
+  }
+
+  /**
+   * Check whether a user is signed in
+   */
+  isLoggedIn() {
+    return this.getCurrentUser() !== null;
+  }
+
+  /**
+   * Get the signed-in user's access token, refreshing it when expired
+   */
+  async getUserAccessToken() {
+    const account = this.getActiveAccount();
+    if (!account) {
+      return null;
+    }
+    
+    if (account.accessToken && Date.now() < account.expiresAt) {
+      return account.accessToken;
+    }
+    
+    return this.refreshUserToken();
+  }
+
+  /**
+   * Call the token endpoint on behalf of a user
+   * Installed apps authenticate with the client ID and an empty secret
+   */
+  async requestUserToken(params) {
+    const auth = btoa(`${this.config.clientId}:${this.config.clientSecret || ''}`);
+    
+    const response = await redditApiFetch('https://www.reddit.com/api/v1/access_token', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'User-Agent': this.config.userAgent,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Token request failed: ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    
+    if (data.error) {
+      throw new Error(`Reddit API error: ${data.error}`);
+    }
+    
+    return data;
+  }
+
+  /**
+   * Exchange the signed-in user's refresh token for a new access token
+   * Stores the rotated refresh token when Reddit issues one
+   */
+  async refreshUserToken() {
+    if (this.userRefreshPromise) {
+      return this.userRefreshPromise;
+    }
+    
+    const username = this.accountData.activeUser;
+    const account = this.getActiveAccount();
+    
+    if (!account?.refreshToken) {
+      console.warn(`No refresh token stored for u/${username}, signing out`);
+      this.removeAccount(username);
+      return null;
+    }
+    
+    this.userRefreshPromise = (async () => {
+      try {
+        console.log(`Refreshing access token for u/${username}...`);
+        const data = await this.requestUserToken({
+          grant_type: 'refresh_token',
+          refresh_token: account.refreshToken
+        });
+        
+        this.accountData.accounts[username] = toTokenRecord(data, account);
+        saveAccounts(this.accountData);
+        
+        console.log(`Refreshed access token for u/${username}`);
+        return this.accountData.accounts[username].accessToken;
+        
+      } catch (error) {
+        console.error('Error refreshing user access token:', error.message);
+        
+        // A rejected refresh token means the grant was revoked
+        if (/invalid_grant|: 400|: 401/.test(error.message)) {
+          console.warn(`Refresh token for u/${username} is no longer valid, signing out`);
+          this.removeAccount(username);
+        }
+        return null;
+        
+      } finally {
+        this.userRefreshPromise = null;
+      }
+    })();
+    
+    return this.userRefreshPromise;
+  }
+
+  /**
+   * Start the authorization-code + PKCE login by redirecting to Reddit
+   */
+  async startLogin() {
+    if (!this.config.clientId) {
+      throw new Error('Reddit client ID is not configured');
+    }
+    
+    const state = generateState();
+    const codeVerifier = generateCodeVerifier();
+    const codeChallenge = await createCodeChallenge(codeVerifier);
+    const redirectUri = this.config.redirectUri;
+    
+    savePendingLogin({ state, codeVerifier, redirectUri });
+    
+    const params = new URLSearchParams({
+      client_id: this.config.clientId,
+      response_type: 'code',
+      state,
+      redirect_uri: redirectUri,
+      duration: 'permanent',
+      scope: this.config.scope,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    
+    console.log('Redirecting to Reddit for sign-in...');
+    window.location.assign(`https://www.reddit.com/api/v1/authorize?${params.toString()}`);
+  }
+
+  /**
+   * Complete a login from the redirect callback URL
+   * Repeated calls for the same URL share one exchange, since the code is single-use
+   */
+  completeLogin(callbackUrl) {
+    if (this.pendingCallback?.url === callbackUrl) {
+      return this.pendingCallback.promise;
+    }
+    
+    const promise = this.exchangeAuthorizationCode(callbackUrl);
+    this.pendingCallback = { url: callbackUrl, promise };
+    return promise;
+  }
+
+  /**
+   * Exchange an authorization code for tokens and store them for the user
+   */
+  async exchangeAuthorizationCode(callbackUrl) {
+    const params = new URL(callbackUrl).searchParams;
+    
+    const error = params.get('error');
+    if (error) {
+      throw new Error(`Reddit authorization failed: ${error}`);
+    }
+    
+    const pendingLogin = consumePendingLogin(params.get('state'));
+    if (!pendingLogin) {
+      throw new Error('Login state mismatch or expired, please sign in again');
+    }
+    
+    const data = await this.requestUserToken({
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: pendingLogin.redirectUri,
+      code_verifier: pendingLogin.codeVerifier
+    });
+    
+    const tokens = toTokenRecord(data);
+    const username = await this.fetchUsername(tokens.accessToken);
+    
+    this.accountData.accounts[username] = tokens;
+    this.accountData.activeUser = username;
+    saveAccounts(this.accountData);
+    
+    console.log(`Signed in as u/${username}`);
+    return username;
+  }
+
+  /**
+   * Look up the username that owns an access token
+   */
+  async fetchUsername(accessToken) {
+    const response = await redditApiFetch('https://oauth.reddit.com/api/v1/me', {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'User-Agent': this.config.userAgent
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Failed to load account: ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    return data.name;
+  }
+
+  /**
+   * Switch to another stored account
+   */
+  switchAccount(username) {
+    if (!this.accountData.accounts[username]) {
+      return false;
+    }
+    
+    this.accountData.activeUser = username;
+    saveAccounts(this.accountData);
+    console.log(`Switched to u/${username}`);
+    return true;
+  }
+
+  /**
+   * Forget a stored account without contacting Reddit
+   */
+  removeAccount(username) {
+    delete this.accountData.accounts[username];
+    if (this.accountData.activeUser === username) {
+      this.accountData.activeUser = null;
+    }
+    saveAccounts(this.accountData);
+  }
+
+  /**
+   * Sign out the current user, revoking their refresh token
+   */
+  async logout() {
+    const username = this.accountData.activeUser;
+    const account = this.getActiveAccount();
+    if (!account) {
+      return;
+    }
+    
+    try {
+      const auth = btoa(`${this.config.clientId}:${this.config.clientSecret || ''}`);
+      const token = account.refreshToken || account.accessToken;
+      
+      await redditApiFetch('https://www.reddit.com/api/v1/revoke_token', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'User-Agent': this.config.userAgent,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          token,
+          token_type_hint: account.refreshToken ? 'refresh_token' : 'access_token'
+        })
+      });
+    } catch (error) {
+      console.warn('Error revoking token during logout:', error.message);
+    }
+    
+    this.removeAccount(username);
+    console.log(`Signed out u/${username}`);
+  }
+
+  /**
+   * Save or unsave a post on the signed-in user's Reddit account
+   * @param {string} fullname - Post fullname (t3_...)
+   * @param {boolean} saved - True to save, false to unsave
+   */
+  async setRedditSaved(fullname, saved) {
+    const token = await this.getUserAccessToken();
+    if (!token) {
+      throw new Error('Sign in to sync saved posts with Reddit');
+    }
+    
+    const action = saved ? 'save' : 'unsave';
+    const response = await this.requestScheduler.schedule(() => redditApiFetch(`https://oauth.reddit.com/api/${action}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'User-Agent': this.config.userAgent,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ id: fullname })
+    }));
+    
+    if (!response.ok) {
+      throw new Error(`Failed to ${action} post on Reddit: ${response.status} ${response.statusText}`);
+    }
+    console.log(`Reddit ${action}: ${fullname}`);
+  }
+
+  /**
+   * Fetch a post's comment tree
+   * @param {string} postId - Post fullname (t3_...)
+   * @param {string} sort - Comment sort (confidence, top, new, controversial)
+   * @param {string|null} commentId - Comment fullname (t1_...) to fetch only
+   * the replies below it, for "continue this thread" links
+   * @returns {Promise<Array>} Comment nodes (see utils/commentParser.js)
+   */
+  async fetchComments(postId, sort = 'confidence', commentId = null) {
+    const articleId = postId.replace(/^t3_/, '');
+    const path = commentId ? `${articleId}/_/${commentId.replace(/^t1_/, '')}` : articleId;
+    const params = new URLSearchParams({ sort, limit: '200', raw_json: '1' });
+    
+    // The response is [post listing, comment listing]
+    const data = await this.fetchRedditJson(`https://www.reddit.com/comments/${path}.json?${params.toString()}`);
+    if (!Array.isArray(data)) {
+      throw new Error('Could not load comments');
+    }
+    
+    const comments = parseCommentListing(data[1]);
+    // Thread pages start from the comment being continued
+    return commentId ? (comments[0]?.replies || []) : comments;
+  }
+
+  /**
+   * Fetch the comments a "more" placeholder stands for
+   * Reddit expands at most MAX_MORE_CHILDREN IDs per request, so any left over
+   * come back as a smaller placeholder at the end
+   * @param {string} postId - Post fullname (t3_...)
+   * @param {Object} moreNode - More node from the comment tree
+   * @param {string} sort - Comment sort
+   * @returns {Promise<Array>} Comment nodes to replace the placeholder with
+   */
+  async fetchMoreComments(postId, moreNode, sort = 'confidence') {
+    if (moreNode.children.length === 0) {
+      const parentCommentId = moreNode.parentId.startsWith('t1_') ? moreNode.parentId : null;
+      return this.fetchComments(postId, sort, parentCommentId);
+    }
+    
+    const ids = moreNode.children.slice(0, MAX_MORE_CHILDREN);
+    const params = new URLSearchParams({
+      api_type: 'json',
+      link_id: postId,
+      children: ids.join(','),
+      sort,
+      limit_children: 'false',
+      raw_json: '1'
+    });
+    
+    const data = await this.fetchRedditJson(`https://www.reddit.com/api/morechildren.json?${params.toString()}`);
+    const things = data?.json?.data?.things;
+    if (!things) {
+      throw new Error('Could not load more comments');
+    }
+    
+    const comments = buildCommentTree(things);
+    const remaining = moreNode.children.slice(MAX_MORE_CHILDREN);
+    if (remaining.length > 0) {
+      comments.push({ ...moreNode, count: Math.max(moreNode.count - ids.length, remaining.length), children: remaining });
+    }
+    return comments;
+  }
+
+  /**
+   * Get the rate-limit scheduler shared by all listing requests
+   */
+  getRequestScheduler() {
+    return this.requestScheduler;
+  }
+
+  /**
+   * Get the current rate-limit budget and queue depth
+   * @returns {Object} { remaining, used, resetAt, queueDepth, active, maxConcurrent, isThrottled }
+   */
+  getRateLimitState() {
+    return this.requestScheduler.getState();
+  }
+
   /**
    * Fetch data from Reddit with retry logic and rate limiting
+   * Returns only the listing children for callers that don't need cursors
    */
   async fetchRedditData(url, maxRetries = 3) {
+    const listing = await this.fetchRedditListing(url, maxRetries);
+    return listing?.children || [];
+  }
+
+  /**
+   * Fetch a Reddit listing with retry logic and rate limiting
+   * Returns { children, after, before } or null if every attempt failed
+   */
+  async fetchRedditListing(url, maxRetries = 3) {
+    const { data } = await this.requestRedditJson(url, maxRetries);
+    return data ? this.toListing(data) : null;
+  }
+
+  /**
+   * Fetch JSON from the Reddit API with retry logic and rate limiting
+   * Returns the parsed response or null if every attempt failed
+   */
+  async fetchRedditJson(url, maxRetries = 3) {
+    const { data } = await this.requestRedditJson(url, maxRetries);
+    return data;
+  }
+
+  /**
+   * Convert a Listing response into { children, after, before }
+   */
+  toListing(data) {
+    return {
+      children: data?.data?.children || [],
+      after: data?.data?.after || null,
+      before: data?.data?.before || null
+    };
+  }
+
+  /**
+   * Request JSON from the Reddit API and report why it failed
+   * 403 and 404 responses are not retried since they will not recover
+   * @returns {Promise<Object>} { data, status, message } where status is one of
+   * 'ok', 'private', 'banned', 'timeout', 'rate_limited' or 'error'
+   */
+  async requestRedditJson(url, maxRetries = 3) {
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
         // Get access token if available
@@ -199,54 +729,71 @@ class RedditClient {
           url = url.replace('www.reddit.com', 'oauth.reddit.com');
         }
         
-        // Use Safari-compatible fetch with enhanced error handling
-        const response = await redditApiFetch(url, {
+        // Use Safari-compatible fetch with enhanced error handling, queued
+        // behind the rate-limit scheduler
+        const response = await this.requestScheduler.schedule(() => redditApiFetch(url, {
           headers
-        }, 10000); // 10 second timeout
+        }, 10000)); // 10 second timeout
         
-        // Handle 429 rate limit errors
+        // Handle 429 rate limit errors: the scheduler holds the queue until
+        // the window resets, so the retry simply waits its turn
         if (response.status === 429) {
-          const retryAfter = parseInt(response.headers.get('retry-after') || '60');
-          const waitTime = Math.min(retryAfter, Math.pow(2, attempt) * 30);
-          console.log(`Rate limited (429). Waiting ${waitTime}s before retry ${attempt + 1}/${maxRetries}`);
-          await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
+          if (attempt === maxRetries - 1) {
+            return { data: null, status: 'rate_limited', message: `Still rate limited after ${maxRetries} attempts` };
+          }
+          console.log(`Rate limited (429). Queued retry ${attempt + 1}/${maxRetries}`);
           continue;
         }
         
+        if (response.status === 403) {
+          console.warn(`Access denied (403) for ${url}`);
+          return { data: null, status: 'private', message: 'Private or quarantined (HTTP 403)' };
+        }
+        
+        if (response.status === 404) {
+          console.warn(`Not found (404) for ${url}`);
+          return { data: null, status: 'banned', message: 'Banned or does not exist (HTTP 404)' };
+        }
+        
+        // Reddit redirects unknown subreddits to a subreddit search
+        if (response.redirected && response.url.includes('/subreddits/search')) {
+          console.warn(`Redirected to subreddit search for ${url}`);
+          return { data: null, status: 'banned', message: 'Subreddit does not exist' };
+        }
+        
         if (!response.ok) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         
         const data = await response.json();
-        return data?.data?.children || [];
+        return { data, status: 'ok', message: null };
         
       } catch (error) {
         if (error.name === 'AbortError') {
           console.log(`Request timeout on attempt ${attempt + 1}`);
         } else if (error.message.includes('401')) {
           console.log('OAuth token expired or invalid, clearing token...');
-          this.accessToken = null;
-          this.tokenExpiry = null;
+          this.invalidateAccessToken();
         }
         
         if (attempt === maxRetries - 1) {
           console.error(`Network error after ${maxRetries} attempts:`, error.message);
-          return [];
+          return error.name === 'AbortError'
+            ? { data: null, status: 'timeout', message: `Timed out after ${maxRetries} attempts` }
+            : { data: null, status: 'error', message: error.message };
         } else {
           console.log(`Network error on attempt ${attempt + 1}, retrying...`);
           await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
         }
       }
     }
-    return [];
+    return { data: null, status: 'error', message: 'Request failed' };
   }
 
   /**
-   * Build Reddit sort URL for subreddit feeds
+   * Build query parameters shared by every listing feed
    */
-  buildSortUrl(subreddit, sortType = 'hot', timeframe = null) {
-    const baseUrl = `https://www.reddit.com/r/${subreddit}/${sortType}.json`;
-    
+  buildListingParams(sortType = 'hot', timeframe = null, after = null) {
     const params = {
       limit: '50' // Reasonable limit for visual content
     };
@@ -256,25 +803,75 @@ class RedditClient {
       params.t = timeframe;
     }
     
-    // Add NSFW parameter if set to include NSFW content
-    if (this.nsfwSetting === 'nsfw') {
+    // Continue from a previous page
+    if (after) {
+      params.after = after;
+    }
+    
+    // Add NSFW parameter if set to include NSFW content (blur mode fetches it too)
+    if (this.includesNsfw()) {
       params.include_over_18 = 'on';
     }
     // For SFW mode, we omit the parameter (Reddit's default excludes NSFW)
     
+    return params;
+  }
+
+  /**
+   * Build Reddit sort URL for subreddit feeds
+   * Combined feeds pass their subreddits joined with '+' (e.g. 'cats+aww')
+   */
+  buildSortUrl(subreddit, sortType = 'hot', timeframe = null, after = null) {
+    const baseUrl = `https://www.reddit.com/r/${subreddit}/${sortType}.json`;
+    const urlParams = new URLSearchParams(this.buildListingParams(sortType, timeframe, after));
+    return `${baseUrl}?${urlParams.toString()}`;
+  }
+
+  /**
+   * Build Reddit sort URL for a user's multireddit
+   */
+  buildMultiredditUrl(username, multireddit, sortType = 'hot', timeframe = null, after = null) {
+    const baseUrl = `https://www.reddit.com/user/${username}/m/${multireddit}/${sortType}.json`;
+    const urlParams = new URLSearchParams(this.buildListingParams(sortType, timeframe, after));
+    return `${baseUrl}?${urlParams.toString()}`;
+  }
+
+  /**
+   * Build Reddit URL for the posts a user has submitted
+   */
+  buildUserSubmittedUrl(username, sortType = 'new', timeframe = null, after = null) {
+    const baseUrl = `https://www.reddit.com/user/${username}/submitted.json`;
+    const params = {
+      sort: sortType,
+      ...this.buildListingParams(sortType, timeframe, after)
+    };
     const urlParams = new URLSearchParams(params);
     return `${baseUrl}?${urlParams.toString()}`;
   }
 
+  /**
+   * Build Reddit URL for the signed-in user's home feed
+   * Requests made with a user token are served the user's subscriptions
+   */
+  buildHomeUrl(sortType = 'hot', timeframe = null, after = null) {
+    const baseUrl = `https://www.reddit.com/${sortType}.json`;
+    const urlParams = new URLSearchParams(this.buildListingParams(sortType, timeframe, after));
+    return `${baseUrl}?${urlParams.toString()}`;
+  }
+
   /**
    * Build Reddit search URL for keyword searches
    */
-  buildSearchUrl(subreddit, keywords, sortType = 'relevance', timeframe = null) {
-    const baseUrl = `https://www.reddit.com/r/${subreddit}/search.json`;
+  buildSearchUrl(subreddit, keywords, sortType = 'relevance', timeframe = null, after = null, basePath = null) {
+    const baseUrl = `https://www.reddit.com/${basePath || `r/${subreddit}`}/search.json`;
+    
+    // Score and comment comparisons aren't part of Reddit's search syntax;
+    // fetchConfigPage applies them to the results instead
+    const { searchQuery } = splitSearchQuery(keywords);
     
     const params = {
-      q: keywords,           // Boolean query string
-      restrict_sr: 'on',     // Search within subreddit only
+      q: searchQuery || keywords, // Boolean query string
+      restrict_sr: 'on',     // Search within subreddit (or multireddit) only
       sort: sortType,        // relevance, hot, top, new, comments
       limit: '50'            // Reasonable limit for visual content
     };
@@ -284,8 +881,13 @@ class RedditClient {
       params.t = timeframe;
     }
     
-    // Add NSFW parameter if set to include NSFW content
-    if (this.nsfwSetting === 'nsfw') {
+    // Continue from a previous page
+    if (after) {
+      params.after = after;
+    }
+    
+    // Add NSFW parameter if set to include NSFW content (blur mode fetches it too)
+    if (this.includesNsfw()) {
       params.include_over_18 = 'on';
     }
     // For SFW mode, we omit the parameter (Reddit's default excludes NSFW)
@@ -294,17 +896,111 @@ class RedditClient {
     return `${baseUrl}?${urlParams.toString()}`;
   }
 
+  /**
+   * Normalize the source fields of a feed configuration
+   * @param {Object} source - { kind, subreddit, username, multireddit }
+   * @returns {Object} Normalized source fields
+   */
+  normalizeFeedSource(source) {
+    const kind = FEED_KINDS.includes(source.kind) ? source.kind : 'subreddit';
+    const clean = (value) => (value || '').trim().replace(/^\/?(r|u|user)\//i, '');
+    
+    switch (kind) {
+      case 'combined':
+        return {
+          kind,
+          subreddit: clean(source.subreddit).split(/[\s,+]+/).map(clean).filter(Boolean).join('+'),
+          username: null,
+          multireddit: null
+        };
+      case 'multireddit':
+        return { kind, subreddit: null, username: clean(source.username), multireddit: clean(source.multireddit) };
+      case 'user':
+        return { kind, subreddit: null, username: clean(source.username), multireddit: null };
+      case 'home':
+        return { kind, subreddit: null, username: null, multireddit: null };
+      default:
+        return { kind, subreddit: clean(source.subreddit), username: null, multireddit: null };
+    }
+  }
+
+  /**
+   * Normalize the optional per-configuration filters
+   * Unset filters are null and leave the configuration unrestricted
+   * @param {Object} filters - { nsfwPolicy, mediaTypes, minScore, minAgeHours, maxPosts }
+   * @returns {Object} Normalized filter fields
+   */
+  normalizeConfigFilters(filters = {}) {
+    const toNumber = (value, min, max, round) => {
+      if (value === null || value === undefined || value === '') return null;
+      const number = Number(value);
+      if (!Number.isFinite(number)) return null;
+      const clamped = Math.min(Math.max(number, min), max);
+      return round ? Math.round(clamped) : clamped;
+    };
+    const mediaTypes = Array.isArray(filters.mediaTypes)
+      ? CONFIG_MEDIA_TYPES.filter(type => filters.mediaTypes.includes(type))
+      : [];
+    
+    return {
+      // null follows the client-wide NSFW setting
+      nsfwPolicy: NSFW_SETTINGS.includes(filters.nsfwPolicy) ? filters.nsfwPolicy : null,
+      // Allowing every type (or none) is the same as not filtering
+      mediaTypes: mediaTypes.length > 0 && mediaTypes.length < CONFIG_MEDIA_TYPES.length ? mediaTypes : null,
+      minScore: toNumber(filters.minScore, -Infinity, Infinity, true),
+      minAgeHours: toNumber(filters.minAgeHours, 0, Infinity, false) || null,
+      maxPosts: toNumber(filters.maxPosts, 1, MAX_POSTS_PER_CONFIG, true)
+    };
+  }
+
+  /**
+   * Get the feed kind of a configuration (older configs are plain subreddits)
+   */
+  getConfigKind(config) {
+    return config.kind || 'subreddit';
+  }
+
+  /**
+   * Human-readable label for a configuration's source
+   */
+  getConfigLabel(config) {
+    switch (this.getConfigKind(config)) {
+      case 'multireddit':
+        return `u/${config.username}/m/${config.multireddit}`;
+      case 'user':
+        return `u/${config.username} (submitted)`;
+      case 'home':
+        return 'Home feed';
+      default:
+        return `r/${config.subreddit}`;
+    }
+  }
+
   /**
    * Add a new subreddit configuration
    */
   addSubredditConfig(subreddit, sortType = 'hot', timeframe = null, keywords = null) {
-    const id = `${subreddit}_${sortType}_${timeframe || 'none'}_${keywords ? 'search' : 'feed'}_${Date.now()}`;
+    return this.addFeedConfig({ kind: 'subreddit', subreddit }, sortType, timeframe, keywords);
+  }
+
+  /**
+   * Add a new feed configuration of any kind
+   * @param {Object} source - { kind, subreddit, username, multireddit }
+   * @param {Object} filters - Optional per-configuration filters (see normalizeConfigFilters)
+   */
+  addFeedConfig(source, sortType = 'hot', timeframe = null, keywords = null, filters = {}) {
+    const feedSource = this.normalizeFeedSource(source);
+    const sourceKey = [feedSource.kind, feedSource.subreddit, feedSource.username, feedSource.multireddit]
+      .filter(Boolean)
+      .join('_');
+    const id = `${sourceKey}_${sortType}_${timeframe || 'none'}_${keywords ? 'search' : 'feed'}_${Date.now()}`;
     const newConfig = {
       id,
-      subreddit,
+      ...feedSource,
       sortType,
       timeframe,
-      keywords
+      keywords,
+      ...this.normalizeConfigFilters(filters)
     };
     
     this.subredditConfigs.push(newConfig);
@@ -316,102 +1012,325 @@ class RedditClient {
    * Update existing subreddit configuration by ID
    */
   updateSubredditConfig(configId, subreddit, sortType = 'hot', timeframe = null, keywords = null) {
+    return this.updateFeedConfig(configId, { kind: 'subreddit', subreddit }, sortType, timeframe, keywords);
+  }
+
+  /**
+   * Update an existing feed configuration of any kind by ID
+   * @param {Object} source - { kind, subreddit, username, multireddit }
+   * @param {Object} filters - Optional per-configuration filters (see normalizeConfigFilters)
+   */
+  updateFeedConfig(configId, source, sortType = 'hot', timeframe = null, keywords = null, filters = {}) {
     const configIndex = this.subredditConfigs.findIndex(config => config.id === configId);
     if (configIndex !== -1) {
       this.subredditConfigs[configIndex] = {
         id: configId,
-        subreddit,
+        ...this.normalizeFeedSource(source),
         sortType,
         timeframe,
-        keywords
+        keywords,
+        ...this.normalizeConfigFilters(filters)
       };
+      delete this.paginationState[configId];
+      delete this.configStatus[configId];
+      this.saveSubredditConfigs();
+      this.saveConfigStatus();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Fetch the signed-in user's multireddits
+   * @returns {Promise<Array>} [{ name, owner, displayName, subreddits }]
+   */
+  async fetchMyMultireddits() {
+    if (!this.isLoggedIn()) {
+      return [];
+    }
+    
+    const data = await this.fetchRedditJson('https://oauth.reddit.com/api/multi/mine');
+    if (!Array.isArray(data)) {
+      return [];
+    }
+    
+    return data.map(item => ({
+      name: item.data?.name,
+      owner: item.data?.owner || this.getCurrentUser(),
+      displayName: item.data?.display_name || item.data?.name,
+      subreddits: (item.data?.subreddits || []).map(sub => sub.name)
+    })).filter(multi => multi.name);
+  }
+
+  /**
+   * Remove subreddit configuration by ID
+   */
+  removeSubredditConfig(configId) {
+    const initialLength = this.subredditConfigs.length;
+    this.subredditConfigs = this.subredditConfigs.filter(config => config.id !== configId);
+    
+    if (this.subredditConfigs.length < initialLength) {
+      delete this.configStatus[configId];
       this.saveSubredditConfigs();
+      this.saveConfigStatus();
       return true;
     }
-    return false;
+    return false;
+  }
+
+  /**
+   * Get current subreddit configurations
+   */
+  getSubredditConfigs() {
+    return [...this.subredditConfigs];
+  }
+
+  /**
+   * Reset subreddit configurations to defaults
+   */
+  resetToDefaultConfigs() {
+    console.log('Resetting subreddit configurations to defaults...');
+    this.subredditConfigs = [];
+    this.initializeDefaultSubreddits();
+    console.log(`Reset complete. ${this.subredditConfigs.length} default configurations restored`);
+  }
+
+  /**
+   * Load NSFW setting from localStorage or initialize default
+   */
+  loadNsfwSetting() {
+    try {
+      const saved = localStorage.getItem('redditvisor_nsfw_setting');
+      if (NSFW_SETTINGS.includes(saved)) {
+        this.nsfwSetting = saved;
+        console.log(`Loaded NSFW setting: ${this.nsfwSetting}`);
+      } else {
+        this.nsfwSetting = 'sfw'; // Default to safe for work
+        this.saveNsfwSetting();
+        console.log('Initialized NSFW setting to default: sfw');
+      }
+    } catch (error) {
+      console.error('Error loading NSFW setting from localStorage:', error);
+      this.nsfwSetting = 'sfw';
+    }
+  }
+
+  /**
+   * Load per-config fetch status from localStorage
+   */
+  loadConfigStatus() {
+    try {
+      const saved = localStorage.getItem('redditvisor_config_status');
+      this.configStatus = saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.error('Error loading config status from localStorage:', error);
+      this.configStatus = {};
+    }
+  }
+
+  /**
+   * Save per-config fetch status to localStorage
+   */
+  saveConfigStatus() {
+    try {
+      localStorage.setItem('redditvisor_config_status', JSON.stringify(this.configStatus));
+    } catch (error) {
+      console.error('Error saving config status to localStorage:', error);
+    }
+  }
+
+  /**
+   * Record the outcome of fetching a configuration
+   * 'ok' and 'empty' count as successes and update lastSuccess
+   */
+  recordConfigStatus(configId, status, message = null, postCount = 0) {
+    const now = Date.now();
+    const previous = this.configStatus[configId];
+    const succeeded = status === 'ok' || status === 'empty';
+    
+    this.configStatus[configId] = {
+      status,
+      message,
+      postCount,
+      lastChecked: now,
+      lastSuccess: succeeded ? now : previous?.lastSuccess || null
+    };
+    this.saveConfigStatus();
+  }
+
+  /**
+   * Get the latest fetch status for a configuration
+   */
+  getConfigStatus(configId) {
+    return this.configStatus[configId] || null;
+  }
+
+  /**
+   * Get the latest fetch status for every configuration, keyed by config id
+   */
+  getConfigStatuses() {
+    return { ...this.configStatus };
+  }
+
+  /**
+   * Save NSFW setting to localStorage
+   */
+  saveNsfwSetting() {
+    try {
+      localStorage.setItem('redditvisor_nsfw_setting', this.nsfwSetting);
+      console.log(`Saved NSFW setting: ${this.nsfwSetting}`);
+    } catch (error) {
+      console.error('Error saving NSFW setting to localStorage:', error);
+    }
+  }
+
+  /**
+   * Get current NSFW setting
+   */
+  getNsfwSetting() {
+    return this.nsfwSetting;
+  }
+
+  /**
+   * Whether NSFW posts are requested from Reddit
+   * @returns {boolean} True in 'blur' and 'nsfw' modes
+   */
+  includesNsfw() {
+    return this.nsfwSetting !== 'sfw';
+  }
+
+  /**
+   * Set NSFW setting
+   * @param {string} setting - 'sfw', 'blur' or 'nsfw'
+   */
+  setNsfwSetting(setting) {
+    if (!NSFW_SETTINGS.includes(setting)) {
+      throw new Error('NSFW setting must be "sfw", "blur" or "nsfw"');
+    }
+    
+    this.nsfwSetting = setting;
+    this.saveNsfwSetting();
+    console.log(`Updated NSFW setting to: ${this.nsfwSetting}`);
+  }
+
+  /**
+   * Load disabled media hosts from localStorage
+   */
+  loadDisabledMediaHosts() {
+    try {
+      const saved = localStorage.getItem('redditvisor_disabled_media_hosts');
+      this.disabledMediaHosts = saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error('Error loading disabled media hosts from localStorage:', error);
+      this.disabledMediaHosts = [];
+    }
   }
 
   /**
-   * Remove subreddit configuration by ID
+   * Save disabled media hosts to localStorage
    */
-  removeSubredditConfig(configId) {
-    const initialLength = this.subredditConfigs.length;
-    this.subredditConfigs = this.subredditConfigs.filter(config => config.id !== configId);
-    
-    if (this.subredditConfigs.length < initialLength) {
-      this.saveSubredditConfigs();
-      return true;
+  saveDisabledMediaHosts() {
+    try {
+      localStorage.setItem('redditvisor_disabled_media_hosts', JSON.stringify(this.disabledMediaHosts));
+    } catch (error) {
+      console.error('Error saving disabled media hosts to localStorage:', error);
     }
-    return false;
   }
 
   /**
-   * Get current subreddit configurations
+   * Get media hosts with their enabled state
+   * @returns {Array} [{ id, name, enabled }]
    */
-  getSubredditConfigs() {
-    return [...this.subredditConfigs];
+  getMediaHosts() {
+    return getMediaHosts().map(host => ({
+      ...host,
+      enabled: !this.disabledMediaHosts.includes(host.id)
+    }));
   }
 
   /**
-   * Reset subreddit configurations to defaults
+   * Enable or disable a media host
    */
-  resetToDefaultConfigs() {
-    console.log('Resetting subreddit configurations to defaults...');
-    this.subredditConfigs = [];
-    this.initializeDefaultSubreddits();
-    console.log(`Reset complete. ${this.subredditConfigs.length} default configurations restored`);
+  setMediaHostEnabled(hostId, enabled) {
+    this.disabledMediaHosts = enabled
+      ? this.disabledMediaHosts.filter(id => id !== hostId)
+      : [...new Set([...this.disabledMediaHosts, hostId])];
+    this.saveDisabledMediaHosts();
+    console.log(`${enabled ? 'Enabled' : 'Disabled'} media host: ${hostId}`);
   }
 
   /**
-   * Load NSFW setting from localStorage or initialize default
+   * Load mute rules from localStorage
    */
-  loadNsfwSetting() {
+  loadMuteRules() {
     try {
-      const saved = localStorage.getItem('redditvisor_nsfw_setting');
-      if (saved && (saved === 'sfw' || saved === 'nsfw')) {
-        this.nsfwSetting = saved;
-        console.log(`Loaded NSFW setting: ${this.nsfwSetting}`);
-      } else {
-        this.nsfwSetting = 'sfw'; // Default to safe for work
-        this.saveNsfwSetting();
-        console.log('Initialized NSFW setting to default: sfw');
-      }
+      const saved = localStorage.getItem('redditvisor_mute_rules');
+      this.muteRules = saved ? JSON.parse(saved) : [];
     } catch (error) {
-      console.error('Error loading NSFW setting from localStorage:', error);
-      this.nsfwSetting = 'sfw';
+      console.error('Error loading mute rules from localStorage:', error);
+      this.muteRules = [];
     }
   }
 
   /**
-   * Save NSFW setting to localStorage
+   * Save mute rules to localStorage
    */
-  saveNsfwSetting() {
+  saveMuteRules() {
     try {
-      localStorage.setItem('redditvisor_nsfw_setting', this.nsfwSetting);
-      console.log(`Saved NSFW setting: ${this.nsfwSetting}`);
+      localStorage.setItem('redditvisor_mute_rules', JSON.stringify(this.muteRules));
     } catch (error) {
-      console.error('Error saving NSFW setting to localStorage:', error);
+      console.error('Error saving mute rules to localStorage:', error);
     }
   }
 
   /**
-   * Get current NSFW setting
+   * Get the current profile's mute rules
+   * @returns {Array} [{ id, type, value, createdAt }]
    */
-  getNsfwSetting() {
-    return this.nsfwSetting;
+  getMuteRules() {
+    return [...this.muteRules];
   }
 
   /**
-   * Set NSFW setting
+   * Add a mute rule for an author, domain, title pattern or flair
+   * @returns {Object|null} The new rule, or null if it is invalid or already exists
    */
-  setNsfwSetting(setting) {
-    if (setting !== 'sfw' && setting !== 'nsfw') {
-      throw new Error('NSFW setting must be either "sfw" or "nsfw"');
+  addMuteRule(type, value) {
+    const error = validateMuteRule(type, value);
+    if (error) {
+      console.warn(`Cannot add mute rule: ${error}`);
+      return null;
     }
     
-    this.nsfwSetting = setting;
-    this.saveNsfwSetting();
-    console.log(`Updated NSFW setting to: ${this.nsfwSetting}`);
+    const normalized = normalizeMuteValue(type, value);
+    const exists = this.muteRules.some(rule =>
+      rule.type === type && rule.value.toLowerCase() === normalized.toLowerCase()
+    );
+    if (exists) {
+      console.log(`Already muted ${type}: ${normalized}`);
+      return null;
+    }
+    
+    const rule = { id: `mute_${type}_${Date.now()}`, type, value: normalized, createdAt: Date.now() };
+    this.muteRules = [...this.muteRules, rule];
+    this.saveMuteRules();
+    console.log(`Muted ${type}: ${normalized}`);
+    return rule;
+  }
+
+  /**
+   * Remove a mute rule by ID
+   */
+  removeMuteRule(ruleId) {
+    const initialLength = this.muteRules.length;
+    this.muteRules = this.muteRules.filter(rule => rule.id !== ruleId);
+    
+    if (this.muteRules.length < initialLength) {
+      this.saveMuteRules();
+      console.log(`Removed mute rule: ${ruleId}`);
+      return true;
+    }
+    return false;
   }
 
   /**
@@ -443,215 +1362,13 @@ class RedditClient {
 
   /**
    * Extract media URL and type from Reddit post data
+   * Delegates to the media resolver registry, skipping hosts disabled in this profile
    */
   extractMediaInfo(post) {
-    // Priority 0: Check for oembed content first
-    const oembedHtml = post.media?.oembed?.html || post.secure_media_embed?.html;
-    if (oembedHtml) {
-      // Decode HTML entities in the oembed HTML
-      const decodedOembedHtml = oembedHtml
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'");
-      
-      return {
-        mediaUrl: post.url, // Keep original URL as fallback
-        mediaType: 'video',
-        thumbnailUrl: this.getValidThumbnail(post),
-        hasOembed: true,
-        oembedHtml: decodedOembedHtml,
-        oembedData: {
-          width: post.media?.oembed?.width || post.secure_media_embed?.width,
-          height: post.media?.oembed?.height || post.secure_media_embed?.height,
-          provider_name: post.media?.oembed?.provider_name,
-          provider_url: post.media?.oembed?.provider_url
-        }
-      };
-    }
-
-    // Priority 1: Check for image galleries
-    if (post.is_gallery && post.gallery_data && post.media_metadata) {
-      return {
-        mediaUrl: null,
-        mediaType: 'gallery',
-        thumbnailUrl: this.getValidThumbnail(post),
-        galleryData: post.gallery_data,
-        mediaMetadata: post.media_metadata
-      };
-    }
-
-    // Priority 2: Reddit videos (v.redd.it)
-    if (post.is_video && post.media?.reddit_video) {
-      const redditVideo = post.media.reddit_video;
-      
-      // Prioritize HLS/DASH URLs over fallback_url for better audio support
-      const getBestVideoUrl = () => {
-        if (redditVideo.hls_url) return redditVideo.hls_url;     // M3U8 - best option with audio
-        if (redditVideo.dash_url) return redditVideo.dash_url;   // MPD - good option with audio
-        return redditVideo.fallback_url || post.url;             // MP4 - fallback (often no audio)
-      };
-      
-      return {
-        mediaUrl: getBestVideoUrl(),
-        mediaType: redditVideo.is_gif ? 'gif' : 'video',
-        thumbnailUrl: this.getValidThumbnail(post),
-        videoData: {
-          width: redditVideo.width,
-          height: redditVideo.height,
-          duration: redditVideo.duration,
-          hasAudio: redditVideo.has_audio,
-          dashUrl: redditVideo.dash_url,
-          hlsUrl: redditVideo.hls_url,
-          fallbackUrl: redditVideo.fallback_url
-        }
-      };
-    }
-
-    // Priority 3: Check secure_media for videos (backup)
-    if (post.secure_media?.reddit_video) {
-      const redditVideo = post.secure_media.reddit_video;
-      
-      // Prioritize HLS/DASH URLs over fallback_url for better audio support
-      const getBestVideoUrl = () => {
-        if (redditVideo.hls_url) return redditVideo.hls_url;     // M3U8 - best option with audio
-        if (redditVideo.dash_url) return redditVideo.dash_url;   // MPD - good option with audio
-        return redditVideo.fallback_url || post.url;             // MP4 - fallback (often no audio)
-      };
-      
-      return {
-        mediaUrl: getBestVideoUrl(),
-        mediaType: redditVideo.is_gif ? 'gif' : 'video',
-        thumbnailUrl: this.getValidThumbnail(post),
-        videoData: {
-          width: redditVideo.width,
-          height: redditVideo.height,
-          duration: redditVideo.duration,
-          hasAudio: redditVideo.has_audio,
-          dashUrl: redditVideo.dash_url,
-          hlsUrl: redditVideo.hls_url,
-          fallbackUrl: redditVideo.fallback_url
-        }
-      };
-    }
-
-    // Priority 4: Direct URLs
-    if (post.url) {
-      const url = post.url;
-      
-      // Direct Reddit images
-      if (url.includes('i.redd.it')) {
-        return {
-          mediaUrl: url,
-          mediaType: 'image',
-          thumbnailUrl: this.getValidThumbnail(post)
-        };
-      }
-      
-      // v.redd.it videos (fallback if not caught above)
-      if (url.includes('v.redd.it')) {
-        return {
-          mediaUrl: url,
-          mediaType: 'video',
-          thumbnailUrl: this.getValidThumbnail(post)
-        };
-      }
-      
-      // Imgur handling
-      if (url.includes('imgur.com')) {
-        let directUrl = url;
-        let mediaType = 'image';
-        
-        // Handle imgur galleries and albums
-        if (url.includes('/gallery/') || url.includes('/a/')) {
-          // For galleries, try to get the first image
-          const imgurId = url.split('/').pop();
-          directUrl = `https://i.imgur.com/${imgurId}.jpg`;
-        } else if (!url.includes('.jpg') && !url.includes('.png') && !url.includes('.gif') && !url.includes('.mp4')) {
-          // Convert imgur links to direct image links
-          directUrl = url.replace('imgur.com/', 'i.imgur.com/') + '.jpg';
-        }
-        
-        if (url.includes('.gif') || url.includes('gifv')) {
-          mediaType = 'gif';
-          directUrl = directUrl.replace('.gifv', '.gif');
-        } else if (url.includes('.mp4')) {
-          mediaType = 'video';
-        }
-        
-        return {
-          mediaUrl: directUrl,
-          mediaType: mediaType,
-          thumbnailUrl: this.getValidThumbnail(post)
-        };
-      }
-      
-      // Direct image/video formats
-      if (url.match(/\.(jpg|jpeg|png|webp)$/i)) {
-        return {
-          mediaUrl: url,
-          mediaType: 'image',
-          thumbnailUrl: this.getValidThumbnail(post)
-        };
-      }
-      
-      if (url.match(/\.(gif)$/i)) {
-        return {
-          mediaUrl: url,
-          mediaType: 'gif',
-          thumbnailUrl: this.getValidThumbnail(post)
-        };
-      }
-      
-      if (url.match(/\.(mp4|webm|mov)$/i)) {
-        return {
-          mediaUrl: url,
-          mediaType: 'video',
-          thumbnailUrl: this.getValidThumbnail(post)
-        };
-      }
-      
-      // YouTube videos
-      if (url.includes('youtube.com') || url.includes('youtu.be')) {
-        return {
-          mediaUrl: url,
-          mediaType: 'video',
-          thumbnailUrl: this.getValidThumbnail(post)
-        };
-      }
-      
-      // Other video platforms
-      if (url.includes('streamable.com') || url.includes('gfycat.com') || url.includes('redgifs.com')) {
-        return {
-          mediaUrl: url,
-          mediaType: 'video',
-          thumbnailUrl: this.getValidThumbnail(post)
-        };
-      }
-    }
-    
-    // Priority 5: Preview images
-    if (post.preview?.images?.[0]) {
-      const preview = post.preview.images[0];
-      const sourceUrl = preview.source?.url?.replace(/&amp;/g, '&');
-      const thumbnailUrl = preview.resolutions?.[0]?.url?.replace(/&amp;/g, '&');
-      
-      if (sourceUrl) {
-        return {
-          mediaUrl: sourceUrl,
-          mediaType: 'image',
-          thumbnailUrl: thumbnailUrl || this.getValidThumbnail(post)
-        };
-      }
-    }
-    
-    // Priority 6: No media found - text post
-    return {
-      mediaUrl: null,
-      mediaType: 'text',
-      thumbnailUrl: this.getValidThumbnail(post)
-    };
+    return resolveMedia(post, {
+      getThumbnail: (p) => this.getValidThumbnail(p),
+      disabledHosts: this.disabledMediaHosts
+    });
   }
 
   /**
@@ -753,26 +1470,54 @@ class RedditClient {
     const postSubreddit = subreddit || post.subreddit || 'unknown';
     const originalTitle = post.title || 'No title';
     
+    // Crossposts carry no media of their own, so read it from the original post
+    const crosspostParent = post.crosspost_parent_list?.[0] || null;
+    
     // Extract media information
-    const mediaInfo = this.extractMediaInfo(post);
+    const mediaInfo = this.extractMediaInfo(crosspostParent || post);
     
     // Get post content (selftext) with reasonable character limit
-    const selftext = post.selftext || '';
+    // Listings escape &, < and > in the Markdown source
+    const selftext = decodeHtmlEntities(post.selftext || crosspostParent?.selftext || '');
     const maxContentLength = 200; // Shorter for card layout
     const truncatedContent = selftext.length > maxContentLength 
       ? selftext.substring(0, maxContentLength) + '...' 
       : selftext;
     
+    // Listings always report downs as 0, so estimate them from the upvote ratio
+    const ups = post.ups || 0;
+    const upvoteRatio = typeof post.upvote_ratio === 'number' ? post.upvote_ratio : null;
+    const downs = upvoteRatio > 0 ? Math.max(0, Math.round(ups / upvoteRatio) - ups) : (post.downs || 0);
+    
     return {
       id: post.name || 'Unknown ID',
       title: originalTitle,
       author: post.author || 'Unknown author',
       subreddit: postSubreddit,
       content: truncatedContent,
+      selftext, // Full Markdown source for the expanded view
       hasContent: selftext.length > 0,
       createdUtc: post.created_utc || 0,
-      ups: post.ups || 0,
-      downs: post.downs || 0,
+      ups,
+      downs,
+      upvoteRatio,
+      score: post.score ?? post.ups ?? 0,
+      numComments: post.num_comments || 0,
+      flair: post.link_flair_text || null,
+      flairBackgroundColor: post.link_flair_background_color || null,
+      flairTextColor: post.link_flair_text_color || null, // 'dark' or 'light'
+      url: post.url || '',
+      domain: post.domain || '',
+      isSelf: Boolean(post.is_self),
+      over18: Boolean(post.over_18),
+      spoiler: Boolean(post.spoiler),
+      stickied: Boolean(post.stickied),
+      locked: Boolean(post.locked),
+      awards: post.total_awards_received || 0,
+      // edited is false, or the edit time (true on some very old posts)
+      edited: Boolean(post.edited),
+      editedUtc: typeof post.edited === 'number' ? post.edited : null,
+      distinguished: post.distinguished || null, // 'moderator' or 'admin'
       permalink: post.permalink || '',
       mediaUrl: mediaInfo.mediaUrl,
       mediaType: mediaInfo.mediaType,
@@ -785,6 +1530,15 @@ class RedditClient {
       hasOembed: mediaInfo.hasOembed || false,
       oembedHtml: mediaInfo.oembedHtml || null,
       oembedData: mediaInfo.oembedData || null,
+      mediaSource: mediaInfo.mediaSource || null,
+      pendingExpansion: mediaInfo.pendingExpansion || null,
+      aspectRatio: mediaInfo.aspectRatio || null,
+      crosspostParent: crosspostParent ? {
+        id: crosspostParent.name || post.crosspost_parent,
+        subreddit: crosspostParent.subreddit || 'unknown',
+        author: crosspostParent.author || 'Unknown author',
+        permalink: crosspostParent.permalink || ''
+      } : null,
     };
   }
 
@@ -842,6 +1596,8 @@ class RedditClient {
       configuration: {
         subredditConfigs: [...this.subredditConfigs],
         nsfwSetting: this.nsfwSetting,
+        disabledMediaHosts: [...this.disabledMediaHosts],
+        muteRules: [...this.muteRules],
         uiPreferences: {
           viewMode: 'grid',
           sortBy: 'createTime'
@@ -869,6 +1625,8 @@ class RedditClient {
       configuration: {
         subredditConfigs: [...this.subredditConfigs],
         nsfwSetting: this.nsfwSetting,
+        disabledMediaHosts: [...this.disabledMediaHosts],
+        muteRules: [...this.muteRules],
         uiPreferences: {
           viewMode: 'grid',
           sortBy: 'createTime'
@@ -899,6 +1657,8 @@ class RedditClient {
         profile.configuration = {
           subredditConfigs: [...this.subredditConfigs],
           nsfwSetting: this.nsfwSetting,
+          disabledMediaHosts: [...this.disabledMediaHosts],
+          muteRules: [...this.muteRules],
           uiPreferences: updates.uiPreferences || profile.configuration.uiPreferences
         };
       }
@@ -949,6 +1709,12 @@ class RedditClient {
       // Load NSFW setting
       this.nsfwSetting = profile.configuration.nsfwSetting;
       
+      // Load disabled media hosts (older profiles have none)
+      this.disabledMediaHosts = [...(profile.configuration.disabledMediaHosts || [])];
+      
+      // Load mute rules (older profiles have none)
+      this.muteRules = [...(profile.configuration.muteRules || [])];
+      
       // Update current profile
       this.currentProfileId = profileId;
       profile.lastUsed = Date.now();
@@ -956,6 +1722,8 @@ class RedditClient {
       // Save configurations to their respective localStorage keys
       this.saveSubredditConfigs();
       this.saveNsfwSetting();
+      this.saveDisabledMediaHosts();
+      this.saveMuteRules();
       this.saveProfiles();
       
       console.log(`Loaded profile: ${profile.name}`);
@@ -997,6 +1765,8 @@ class RedditClient {
         configuration: {
           subredditConfigs: [...sourceProfile.configuration.subredditConfigs],
           nsfwSetting: sourceProfile.configuration.nsfwSetting,
+          disabledMediaHosts: [...(sourceProfile.configuration.disabledMediaHosts || [])],
+          muteRules: [...(sourceProfile.configuration.muteRules || [])],
           uiPreferences: { ...sourceProfile.configuration.uiPreferences }
         }
       };
@@ -1051,6 +1821,248 @@ class RedditClient {
     }
   }
 
+  /**
+   * Build the request URL and log message for a configuration
+   */
+  buildConfigRequest(config, after = null) {
+    const { subreddit, username, multireddit, sortType, timeframe, keywords } = config;
+    const kind = this.getConfigKind(config);
+    const label = this.getConfigLabel(config);
+    const sortLabel = `${sortType}${timeframe ? `/${timeframe}` : ''}`;
+    const afterLabel = after ? ` after ${after}` : '';
+    
+    if (keywords && keywords.trim() && SEARCHABLE_FEED_KINDS.includes(kind)) {
+      // Use search endpoint for keyword queries
+      const basePath = kind === 'multireddit' ? `user/${username}/m/${multireddit}` : null;
+      return {
+        url: this.applyConfigNsfwPolicy(this.buildSearchUrl(subreddit, keywords.trim(), sortType, timeframe, after, basePath), config),
+        logMessage: `Searching ${label} for "${keywords}" (${sortLabel})${afterLabel}`
+      };
+    }
+    
+    let url;
+    switch (kind) {
+      case 'multireddit':
+        url = this.buildMultiredditUrl(username, multireddit, sortType, timeframe, after);
+        break;
+      case 'user':
+        url = this.buildUserSubmittedUrl(username, sortType, timeframe, after);
+        break;
+      case 'home':
+        url = this.buildHomeUrl(sortType, timeframe, after);
+        break;
+      default:
+        // Plain and combined subreddit feeds share the sort endpoint
+        url = this.buildSortUrl(subreddit, sortType, timeframe, after);
+    }
+    
+    return {
+      url: this.applyConfigNsfwPolicy(url, config),
+      logMessage: `Fetching from: ${label} (${sortLabel})${afterLabel}`
+    };
+  }
+
+  /**
+   * Apply a configuration's own NSFW policy to its request URL
+   * Without one, the client-wide setting has already decided include_over_18
+   */
+  applyConfigNsfwPolicy(url, config) {
+    if (!config.nsfwPolicy) {
+      return url;
+    }
+    
+    const parsedUrl = new URL(url);
+    if (config.nsfwPolicy === 'sfw') {
+      parsedUrl.searchParams.delete('include_over_18');
+    } else {
+      parsedUrl.searchParams.set('include_over_18', 'on');
+    }
+    return parsedUrl.toString();
+  }
+
+  /**
+   * Apply a configuration's own filters to one page of its posts
+   * @param {Object} config - Configuration the posts came from
+   * @param {Array} posts - Processed posts, in listing order
+   * @returns {Array} Posts the configuration contributes
+   */
+  applyConfigFilters(config, posts) {
+    const now = Date.now() / 1000;
+    const filteredPosts = posts.filter(post => {
+      // Reddit still serves NSFW posts from NSFW subreddits without include_over_18
+      if (config.nsfwPolicy === 'sfw' && post.over18) {
+        return false;
+      }
+      if (config.mediaTypes) {
+        const mediaType = CONFIG_MEDIA_TYPES.includes(post.mediaType) ? post.mediaType : 'text';
+        if (!config.mediaTypes.includes(mediaType)) {
+          return false;
+        }
+      }
+      if (config.minScore != null && post.score < config.minScore) {
+        return false;
+      }
+      if (config.minAgeHours && now - post.createdUtc < config.minAgeHours * 3600) {
+        return false;
+      }
+      return true;
+    });
+    
+    return this.applyPostCap(config, filteredPosts);
+  }
+
+  /**
+   * Hold a capped configuration to its post limit across pages and polls
+   * Posts it already contributed always pass so that polls can update them,
+   * and paging stops once the limit is reached
+   * @param {Object} config - Configuration the posts came from
+   * @param {Array} posts - Filtered posts, in listing order
+   * @returns {Array} Posts within the configuration's limit
+   */
+  applyPostCap(config, posts) {
+    if (!config.maxPosts) {
+      return posts;
+    }
+    
+    const admittedIds = this.cappedPostIds[config.id] || (this.cappedPostIds[config.id] = new Set());
+    const cappedPosts = posts.filter(post => {
+      if (admittedIds.has(post.id)) {
+        return true;
+      }
+      if (admittedIds.size >= config.maxPosts) {
+        return false;
+      }
+      admittedIds.add(post.id);
+      return true;
+    });
+    
+    if (admittedIds.size >= config.maxPosts && this.paginationState[config.id]) {
+      this.paginationState[config.id].hasMore = false;
+    }
+    return cappedPosts;
+  }
+
+  /**
+   * Fetch a single page for a configuration and record its cursors
+   * The first page only seeds the 'after' cursor so that polling does not
+   * rewind pagination the user has already scrolled through
+   */
+  async fetchConfigPage(config, after = null) {
+    // Without a signed-in user Reddit serves the front page, not a home feed
+    if (this.getConfigKind(config) === 'home' && !this.isLoggedIn()) {
+      console.warn(`Skipping ${this.getConfigLabel(config)}: sign in to load the home feed`);
+      this.recordConfigStatus(config.id, 'error', 'Sign in to load the home feed');
+      return [];
+    }
+    
+    const { url, logMessage } = this.buildConfigRequest(config, after);
+    console.log(logMessage);
+    
+    const { data, status, message } = await this.requestRedditJson(url);
+    if (!data) {
+      console.warn(`${this.getConfigLabel(config)} failed: ${status}${message ? ` (${message})` : ''}`);
+      this.recordConfigStatus(config.id, status, message);
+      // Stop paging a feed whose next page failed; a refresh starts it over
+      if (after && this.paginationState[config.id]) {
+        this.paginationState[config.id].hasMore = false;
+      }
+      return [];
+    }
+    
+    const listing = this.toListing(data);
+    // An empty later page just means the feed ran out, so only the first page can be 'empty'
+    const pageStatus = listing.children.length > 0 || after ? 'ok' : 'empty';
+    this.recordConfigStatus(config.id, pageStatus, null, listing.children.length);
+    
+    const existing = this.paginationState[config.id];
+    if (after || !existing) {
+      this.paginationState[config.id] = {
+        after: listing.after,
+        before: after ? existing?.before || null : listing.before,
+        hasMore: Boolean(listing.after)
+      };
+    } else {
+      existing.before = listing.before;
+    }
+    
+    // Process posts with subreddit information and tag them with their source config
+    // Multi-subreddit feeds take the subreddit from each post
+    const subreddit = this.getConfigKind(config) === 'subreddit' ? config.subreddit : null;
+    // A blur policy is kept on each post so its media is blurred whatever the client-wide setting
+    const posts = listing.children.map(post => ({
+      ...this.processPost(post, subreddit),
+      configId: config.id,
+      nsfwPolicy: config.nsfwPolicy || null
+    }));
+    
+    // Keyword searches drop results that fail their score/comments comparisons
+    const keywords = config.keywords?.trim();
+    const searchPosts = keywords && SEARCHABLE_FEED_KINDS.includes(this.getConfigKind(config))
+      ? posts.filter(splitSearchQuery(keywords).matches)
+      : posts;
+    
+    // Expand media that needs a second lookup, such as Imgur albums, before
+    // media type filters see it
+    const expandedPosts = await Promise.all(searchPosts.map(post => expandMedia(post)));
+    return this.applyConfigFilters(config, expandedPosts);
+  }
+
+  /**
+   * Remove duplicate posts by ID and sort by creation time (newest first)
+   */
+  dedupeAndSortPosts(posts) {
+    const processedPosts = [];
+    const seenIds = new Set();
+    
+    for (const post of posts) {
+      if (!seenIds.has(post.id)) {
+        seenIds.add(post.id);
+        processedPosts.push(post);
+      }
+    }
+    
+    processedPosts.sort((a, b) => b.createdUtc - a.createdUtc);
+    return processedPosts;
+  }
+
+  /**
+   * Get pagination cursors for a configuration
+   */
+  getPaginationState(configId) {
+    return this.paginationState[configId] || null;
+  }
+
+  /**
+   * Check whether any configuration has further pages to load
+   */
+  hasMorePages() {
+    return this.subredditConfigs.some(config => this.paginationState[config.id]?.hasMore);
+  }
+
+  /**
+   * Forget all pagination cursors and post caps so the next fetch starts from the first page
+   */
+  resetPagination() {
+    this.paginationState = {};
+    this.cappedPostIds = {};
+    console.log('Reset pagination cursors');
+  }
+
+  /**
+   * Fetch the first page of a single configuration again
+   * Pagination cursors already recorded for it are kept
+   */
+  async retryConfig(configId) {
+    const config = this.subredditConfigs.find(c => c.id === configId);
+    if (!config) {
+      console.warn(`Cannot retry unknown configuration: ${configId}`);
+      return [];
+    }
+    
+    console.log(`Retrying ${this.getConfigLabel(config)}...`);
+    return this.fetchConfigPage(config);
+  }
+
   /**
    * Fetch all posts from all configurations using sort-based or search URLs
    */
@@ -1063,55 +2075,51 @@ class RedditClient {
         return [];
       }
       
-      // Create a request for each configuration
-      const configPromises = this.subredditConfigs.map(async (config) => {
-        const { subreddit, sortType, timeframe, keywords } = config;
-        
-        let url;
-        let logMessage;
-        
-        if (keywords && keywords.trim()) {
-          // Use search endpoint for keyword queries
-          url = this.buildSearchUrl(subreddit, keywords.trim(), sortType, timeframe);
-          logMessage = `Searching r/${subreddit} for "${keywords}" (${sortType}${timeframe ? `/${timeframe}` : ''})`;
-        } else {
-          // Use regular sort endpoint
-          url = this.buildSortUrl(subreddit, sortType, timeframe);
-          logMessage = `Fetching from: r/${subreddit} (${sortType}${timeframe ? `/${timeframe}` : ''})`;
-        }
-        
-        console.log(logMessage);
-        
-        const posts = await this.fetchRedditData(url);
-        
-        // Process posts with subreddit information
-        return posts.map(post => this.processPost(post, subreddit));
-      });
+      // Create a request for each configuration; the scheduler decides how many
+      // run at once and paces the rest across the rate-limit window
+      const configPromises = this.subredditConfigs.map(config => this.fetchConfigPage(config));
       
       const configResults = await Promise.all(configPromises);
       
-      // Combine all results
-      const allResults = configResults.flat();
+      // Combine all results, remove duplicates and sort newest first
+      const processedPosts = this.dedupeAndSortPosts(configResults.flat());
       
-      // Remove duplicates based on post ID
-      const processedPosts = [];
-      const seenIds = new Set();
+      console.log(`Fetched ${processedPosts.length} unique posts from ${this.subredditConfigs.length} configurations`);
+      return processedPosts;
       
-      for (const post of allResults) {
-        if (!seenIds.has(post.id)) {
-          seenIds.add(post.id);
-          processedPosts.push(post);
-        }
+    } catch (error) {
+      console.error('Error fetching posts:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the next page for every configuration that still has one
+   */
+  async fetchNextPage() {
+    try {
+      const pendingConfigs = this.subredditConfigs.filter(config => this.paginationState[config.id]?.hasMore);
+      
+      if (pendingConfigs.length === 0) {
+        console.log('No further pages available');
+        return [];
       }
       
-      // Sort by creation time (newest first)
-      processedPosts.sort((a, b) => b.createdUtc - a.createdUtc);
+      console.log(`Fetching next page from ${pendingConfigs.length} configurations...`);
       
-      console.log(`Fetched ${processedPosts.length} unique posts from ${this.subredditConfigs.length} configurations`);
+      // Queued behind the rate-limit scheduler like the first page
+      const configPromises = pendingConfigs.map(config =>
+        this.fetchConfigPage(config, this.paginationState[config.id].after)
+      );
+      
+      const configResults = await Promise.all(configPromises);
+      const processedPosts = this.dedupeAndSortPosts(configResults.flat());
+      
+      console.log(`Fetched ${processedPosts.length} posts from next page of ${pendingConfigs.length} configurations`);
       return processedPosts;
       
     } catch (error) {
-      console.error('Error fetching posts:', error.message);
+      console.error('Error fetching next page:', error.message);
       throw error;
     }
   }
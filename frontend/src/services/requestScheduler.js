@@ -0,0 +1,184 @@
+/**
+ * Rate-limit aware request scheduler
+ * Queues Reddit API requests, caps how many run at once and spreads them
+ * across the rate-limit window reported by x-ratelimit-* response headers
+ */
+
+class RequestScheduler {
+  constructor({ maxConcurrent = 4, reserve = 5 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.reserve = reserve; // Requests kept back for user-initiated actions
+
+    // Budget as last reported by Reddit (null until the first response)
+    this.remaining = null;
+    this.used = null;
+    this.resetAt = null;
+
+    this.queue = [];
+    this.active = 0;
+    this.lastStartAt = 0;
+    this.timer = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Queue a request task
+   * @param {Function} task - Function returning a fetch Response promise
+   * @returns {Promise<Response>} Resolves with the task's response
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.notify();
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Milliseconds to wait before the next request may start
+   */
+  getDelay(now) {
+    if (this.remaining === null || this.resetAt === null) {
+      return 0;
+    }
+
+    // The window has reset, so the old budget no longer applies
+    if (now >= this.resetAt) {
+      this.remaining = null;
+      this.resetAt = null;
+      return 0;
+    }
+
+    const budget = this.remaining - this.reserve;
+    if (budget <= 0) {
+      return this.resetAt - now;
+    }
+
+    // Enough budget for everything queued: no need to slow down
+    if (this.queue.length <= budget) {
+      return 0;
+    }
+
+    // Otherwise spread the budget evenly over the rest of the window
+    const spacing = (this.resetAt - now) / budget;
+    return Math.max(0, this.lastStartAt + spacing - now);
+  }
+
+  /**
+   * Start as many queued requests as concurrency and budget allow
+   */
+  processQueue() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const delay = this.getDelay(Date.now());
+      if (delay > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.processQueue();
+        }, delay);
+        this.notify();
+        return;
+      }
+      this.startNext();
+    }
+  }
+
+  /**
+   * Run the next queued request
+   */
+  startNext() {
+    const { task, resolve, reject } = this.queue.shift();
+
+    this.active++;
+    this.lastStartAt = Date.now();
+    if (this.remaining !== null) {
+      // Count the request against the budget until headers correct it
+      this.remaining = Math.max(0, this.remaining - 1);
+    }
+    this.notify();
+
+    Promise.resolve()
+      .then(task)
+      .then((response) => {
+        this.updateFromResponse(response);
+        resolve(response);
+      }, reject)
+      .finally(() => {
+        this.active--;
+        this.notify();
+        this.processQueue();
+      });
+  }
+
+  /**
+   * Read the rate-limit headers from a response
+   */
+  updateFromResponse(response) {
+    if (!response?.headers) return;
+
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const reset = response.headers.get('x-ratelimit-reset');
+    const used = response.headers.get('x-ratelimit-used');
+
+    if (remaining !== null && reset !== null) {
+      this.remaining = parseFloat(remaining);
+      this.resetAt = Date.now() + parseFloat(reset) * 1000;
+      this.used = used !== null ? parseFloat(used) : this.used;
+    }
+
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get('retry-after') || reset || '60', 10);
+      this.noteRateLimited(retryAfter);
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Hold the queue until the rate-limit window resets
+   * @param {number} retryAfterSeconds - Seconds until requests may resume
+   */
+  noteRateLimited(retryAfterSeconds) {
+    this.remaining = 0;
+    this.resetAt = Date.now() + retryAfterSeconds * 1000;
+    console.log(`Rate limited: holding ${this.queue.length} queued requests for ${retryAfterSeconds}s`);
+  }
+
+  /**
+   * Current scheduler state for display
+   */
+  getState() {
+    return {
+      remaining: this.remaining,
+      used: this.used,
+      resetAt: this.resetAt,
+      queueDepth: this.queue.length,
+      active: this.active,
+      maxConcurrent: this.maxConcurrent,
+      isThrottled: this.timer !== null
+    };
+  }
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} listener - Called with the new state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Notify subscribers of a state change
+   */
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+}
+
+export default RequestScheduler;
@@ -0,0 +1,158 @@
+/**
+ * Local saved posts collection
+ * Bookmarks keep a snapshot of the processed post, so they still render after
+ * the post drops out of the feed or is deleted on Reddit
+ */
+
+const SAVED_POSTS_KEY = 'redditvisor_saved_posts';
+const SAVED_SYNC_KEY = 'redditvisor_saved_sync';
+
+// Processed post fields that only make sense while the post is in the feed
+const TRANSIENT_FIELDS = ['lastUpdated', 'configId', 'pendingExpansion'];
+
+let savedPosts = null; // [{ id, savedAt, tags, post }], newest first
+
+const loadSavedPosts = () => {
+  if (savedPosts) {
+    return savedPosts;
+  }
+
+  try {
+    const saved = localStorage.getItem(SAVED_POSTS_KEY);
+    savedPosts = saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading saved posts from localStorage:', error);
+    savedPosts = [];
+  }
+  return savedPosts;
+};
+
+const saveSavedPosts = () => {
+  try {
+    localStorage.setItem(SAVED_POSTS_KEY, JSON.stringify(savedPosts));
+  } catch (error) {
+    console.error('Error saving saved posts to localStorage:', error);
+  }
+};
+
+/**
+ * Copy the parts of a processed post worth keeping
+ */
+const createSnapshot = (post) => {
+  const snapshot = { ...post };
+  TRANSIENT_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+};
+
+/**
+ * Normalize user-entered tags: trimmed, lowercase, no duplicates
+ * @param {Array|string} tags - Tag list or comma-separated string
+ * @returns {Array} Tags
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : (tags || '').split(',');
+  return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Get every saved post
+ * @returns {Array} [{ id, savedAt, tags, post }], newest first
+ */
+export const getSavedPosts = () => {
+  return [...loadSavedPosts()];
+};
+
+/**
+ * Bookmark a post, replacing any older snapshot of it
+ * @param {Object} post - Processed post
+ * @param {Array} tags - Initial tags
+ * @returns {Array} Updated saved posts
+ */
+export const savePost = (post, tags = []) => {
+  const existing = loadSavedPosts().find(item => item.id === post.id);
+  const item = {
+    id: post.id,
+    savedAt: existing?.savedAt || Date.now(),
+    tags: normalizeTags(existing ? [...existing.tags, ...tags] : tags),
+    post: createSnapshot(post)
+  };
+
+  savedPosts = [item, ...loadSavedPosts().filter(saved => saved.id !== post.id)];
+  saveSavedPosts();
+  console.log(`Saved post: ${post.id}`);
+  return getSavedPosts();
+};
+
+/**
+ * Remove a bookmark
+ * @param {string} postId - Post ID
+ * @returns {Array} Updated saved posts
+ */
+export const unsavePost = (postId) => {
+  savedPosts = loadSavedPosts().filter(item => item.id !== postId);
+  saveSavedPosts();
+  console.log(`Removed saved post: ${postId}`);
+  return getSavedPosts();
+};
+
+/**
+ * Replace a saved post's tags
+ * @param {string} postId - Post ID
+ * @param {Array|string} tags - Tag list or comma-separated string
+ * @returns {Array} Updated saved posts
+ */
+export const setSavedPostTags = (postId, tags) => {
+  savedPosts = loadSavedPosts().map(item =>
+    item.id === postId ? { ...item, tags: normalizeTags(tags) } : item
+  );
+  saveSavedPosts();
+  return getSavedPosts();
+};
+
+/**
+ * Count how many saved posts carry each tag
+ * @param {Array} items - Saved posts
+ * @returns {Array} [{ tag, count }], most used first
+ */
+export const countSavedTags = (items) => {
+  const counts = {};
+  items.forEach(item => {
+    item.tags.forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+  return Object.entries(counts)
+    .sort(([tagA, a], [tagB, b]) => b - a || tagA.localeCompare(tagB))
+    .map(([tag, count]) => ({ tag, count }));
+};
+
+/**
+ * Check whether saves should also be sent to the signed-in Reddit account
+ */
+export const getSavedSyncEnabled = () => {
+  try {
+    return localStorage.getItem(SAVED_SYNC_KEY) === 'true';
+  } catch (error) {
+    console.error('Error loading saved sync setting from localStorage:', error);
+    return false;
+  }
+};
+
+export const setSavedSyncEnabled = (enabled) => {
+  try {
+    localStorage.setItem(SAVED_SYNC_KEY, String(enabled));
+  } catch (error) {
+    console.error('Error saving saved sync setting to localStorage:', error);
+  }
+};
+
+export default {
+  normalizeTags,
+  getSavedPosts,
+  savePost,
+  unsavePost,
+  setSavedPostTags,
+  countSavedTags,
+  getSavedSyncEnabled,
+  setSavedSyncEnabled
+};
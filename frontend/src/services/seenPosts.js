@@ -0,0 +1,103 @@
+/**
+ * Seen post tracking
+ * Remembers which posts have been viewed, with each entry expiring after a
+ * week, and when the app was last open
+ */
+
+const SEEN_POSTS_KEY = 'redditvisor_seen_posts';
+const LAST_VISIT_KEY = 'redditvisor_last_visit';
+const SEEN_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_SEEN_POSTS = 5000; // Oldest entries are dropped past this many
+
+let seenPosts = null; // { [postId]: seenAt }
+
+/**
+ * Drop expired entries, and the oldest ones past the size limit
+ */
+const pruneSeenPosts = (entries, now = Date.now()) => {
+  const fresh = Object.entries(entries)
+    .filter(([, seenAt]) => now - seenAt < SEEN_EXPIRY_MS)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, MAX_SEEN_POSTS);
+  return Object.fromEntries(fresh);
+};
+
+const loadSeenPosts = () => {
+  if (seenPosts) {
+    return seenPosts;
+  }
+
+  try {
+    const saved = localStorage.getItem(SEEN_POSTS_KEY);
+    seenPosts = pruneSeenPosts(saved ? JSON.parse(saved) : {});
+  } catch (error) {
+    console.error('Error loading seen posts from localStorage:', error);
+    seenPosts = {};
+  }
+  return seenPosts;
+};
+
+const saveSeenPosts = () => {
+  try {
+    localStorage.setItem(SEEN_POSTS_KEY, JSON.stringify(seenPosts));
+  } catch (error) {
+    console.error('Error saving seen posts to localStorage:', error);
+  }
+};
+
+/**
+ * Get the IDs of posts seen within the expiry window
+ * @returns {Array} Post IDs
+ */
+export const getSeenPostIds = () => {
+  return Object.keys(loadSeenPosts());
+};
+
+/**
+ * Mark a post as seen
+ * @param {string} postId - Post ID
+ */
+export const markPostSeen = (postId) => {
+  const entries = loadSeenPosts();
+  if (entries[postId]) {
+    return;
+  }
+
+  entries[postId] = Date.now();
+  if (Object.keys(entries).length > MAX_SEEN_POSTS) {
+    seenPosts = pruneSeenPosts(entries);
+  }
+  saveSeenPosts();
+};
+
+/**
+ * Get when the app was last closed
+ * @returns {number|null} Timestamp in ms, or null on the first visit
+ */
+export const getLastVisit = () => {
+  try {
+    const saved = localStorage.getItem(LAST_VISIT_KEY);
+    return saved ? parseInt(saved, 10) : null;
+  } catch (error) {
+    console.error('Error loading last visit from localStorage:', error);
+    return null;
+  }
+};
+
+/**
+ * Record the end of the current visit
+ */
+export const recordVisit = () => {
+  try {
+    localStorage.setItem(LAST_VISIT_KEY, String(Date.now()));
+  } catch (error) {
+    console.error('Error saving last visit to localStorage:', error);
+  }
+};
+
+export default {
+  getSeenPostIds,
+  markPostSeen,
+  getLastVisit,
+  recordVisit
+};
@@ -0,0 +1,114 @@
+/**
+ * Comment Parser
+ * Turns Reddit's comment Listings, made of t1 comments and "more"
+ * placeholders, into a tree of plain comment nodes
+ *
+ * Comment node: { kind: 'comment', id, parentId, author, body, score, ..., replies }
+ * More node: { kind: 'more', id, parentId, count, children }
+ *   children lists the IDs still to load; an empty list means the thread
+ *   continues on a page of its own ("continue this thread")
+ */
+
+// Sort orders accepted by /comments/{id}.json and /api/morechildren
+export const COMMENT_SORTS = [
+  { value: 'confidence', label: 'Best' },
+  { value: 'top', label: 'Top' },
+  { value: 'new', label: 'New' },
+  { value: 'controversial', label: 'Controversial' }
+];
+
+const parseComment = (data) => ({
+  kind: 'comment',
+  id: data.name,
+  parentId: data.parent_id,
+  author: data.author || '[deleted]',
+  body: data.body || '',
+  score: data.score ?? 0,
+  scoreHidden: Boolean(data.score_hidden),
+  createdUtc: data.created_utc || 0,
+  edited: Boolean(data.edited),
+  isSubmitter: Boolean(data.is_submitter),
+  distinguished: data.distinguished || null,
+  stickied: Boolean(data.stickied),
+  replies: parseCommentListing(data.replies)
+});
+
+const parseMore = (data) => ({
+  kind: 'more',
+  // Every "continue this thread" placeholder is named t1__, so key them by parent
+  id: `more_${data.parent_id}_${data.name}`,
+  parentId: data.parent_id,
+  count: data.count || 0,
+  children: data.children || []
+});
+
+/**
+ * Parse a single comment or "more" thing
+ * @param {Object} thing - Reddit thing ({ kind, data })
+ * @returns {Object|null} Node, or null for other kinds
+ */
+export const parseCommentThing = (thing) => {
+  if (thing?.kind === 't1') return parseComment(thing.data);
+  if (thing?.kind === 'more') return parseMore(thing.data);
+  return null;
+};
+
+/**
+ * Parse a comment Listing
+ * Comments without replies carry '' instead of a Listing, which parses as []
+ * @param {Object|string} listing - Reddit Listing
+ * @returns {Array} Nodes
+ */
+export const parseCommentListing = (listing) => {
+  const children = listing?.data?.children || [];
+  return children.map(parseCommentThing).filter(Boolean);
+};
+
+/**
+ * Build a tree from the flat list of things returned by /api/morechildren
+ * Things whose parent isn't in the list are returned at the top level, in order
+ * @param {Array} things - Reddit things
+ * @returns {Array} Nodes
+ */
+export const buildCommentTree = (things) => {
+  const nodes = things.map(parseCommentThing).filter(Boolean);
+  const commentsById = new Map(nodes.filter(node => node.kind === 'comment').map(node => [node.id, node]));
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = commentsById.get(node.parentId);
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+/**
+ * Replace a "more" placeholder anywhere in the tree with the nodes it stood for
+ * @param {Array} nodes - Comment tree
+ * @param {string} moreId - ID of the more node
+ * @param {Array} replacement - Nodes to put in its place
+ * @returns {Array} New comment tree
+ */
+export const replaceMoreNode = (nodes, moreId, replacement) => {
+  return nodes.flatMap(node => {
+    if (node.id === moreId) {
+      return replacement;
+    }
+    if (node.kind === 'comment' && node.replies.length > 0) {
+      return [{ ...node, replies: replaceMoreNode(node.replies, moreId, replacement) }];
+    }
+    return [node];
+  });
+};
+
+export default {
+  COMMENT_SORTS,
+  parseCommentThing,
+  parseCommentListing,
+  buildCommentTree,
+  replaceMoreNode
+};
@@ -0,0 +1,77 @@
+/**
+ * Crosspost collapse utility
+ * Folds crossposts of the same original post into a single card so the feed
+ * doesn't show the same media several times
+ */
+
+/**
+ * Summarize a post for an "also crossposted to" list
+ * @param {Object} post - Processed post
+ * @returns {Object} { id, subreddit, author, permalink }
+ */
+export const toCrosspostRef = (post) => ({
+  id: post.id,
+  subreddit: post.subreddit,
+  author: post.author,
+  permalink: post.permalink
+});
+
+/**
+ * Collapse crossposts into one card per original post
+ * The original is kept when it is in the feed, otherwise the first crosspost
+ * found stands in for it. The kept post gains a crosspostedTo list of the
+ * crossposts folded into it.
+ * @param {Array} posts - Processed posts in display order
+ * @returns {Array} Posts with crossposts collapsed
+ */
+export const collapseCrossposts = (posts) => {
+  const postIds = new Set(posts.map(post => post.id));
+
+  // Group crossposts under the id of the post they were crossposted from
+  const crosspostsByOriginal = new Map();
+  posts.forEach(post => {
+    const originalId = post.crosspostParent?.id;
+    if (!originalId) return;
+    if (!crosspostsByOriginal.has(originalId)) {
+      crosspostsByOriginal.set(originalId, []);
+    }
+    crosspostsByOriginal.get(originalId).push(post);
+  });
+
+  if (crosspostsByOriginal.size === 0) {
+    return posts;
+  }
+
+  const attachCrossposts = (post, crossposts) => {
+    const others = crossposts.filter(crosspost => crosspost.id !== post.id);
+    return others.length > 0
+      ? { ...post, crosspostedTo: others.map(toCrosspostRef) }
+      : post;
+  };
+
+  const result = [];
+  posts.forEach(post => {
+    const originalId = post.crosspostParent?.id;
+
+    if (!originalId) {
+      // Original posts absorb any crossposts of themselves
+      const crossposts = crosspostsByOriginal.get(post.id);
+      result.push(crossposts ? attachCrossposts(post, crossposts) : post);
+      return;
+    }
+
+    // Crossposts are shown only when the original isn't in the feed, and then
+    // only the first of them
+    if (postIds.has(originalId)) return;
+    const crossposts = crosspostsByOriginal.get(originalId);
+    if (crossposts[0] !== post) return;
+    result.push(attachCrossposts(post, crossposts));
+  });
+
+  return result;
+};
+
+export default {
+  toCrosspostRef,
+  collapseCrossposts
+};
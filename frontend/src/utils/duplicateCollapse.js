@@ -0,0 +1,108 @@
+/**
+ * Duplicate collapse utility
+ * Folds posts whose thumbnails have near-identical perceptual hashes into a
+ * single card, so the same image reposted to several subreddits shows once
+ */
+
+import { hammingDistance } from './perceptualHash.js';
+import { toCrosspostRef } from './crosspostCollapse.js';
+
+// Hashes with fewer set bits than this come from near-uniform images (blank
+// frames, solid colours), which all look alike to dHash
+const MIN_HASH_BITS = 8;
+const EMPTY_HASH = '0000000000000000';
+
+// Strictness levels, as the largest Hamming distance (out of 64 bits) that
+// still counts as the same image
+export const DUPLICATE_STRICTNESS = [
+  { value: 'off', label: 'Off', maxDistance: null },
+  { value: 'strict', label: 'Strict', maxDistance: 4 },
+  { value: 'normal', label: 'Normal', maxDistance: 8 },
+  { value: 'loose', label: 'Loose', maxDistance: 12 }
+];
+
+export const DEFAULT_DUPLICATE_STRICTNESS = 'normal';
+
+/**
+ * Get the Hamming distance threshold for a strictness level
+ * @param {string} strictness - Strictness level value
+ * @returns {number|null} Threshold, or null when detection is off
+ */
+export const getMaxHashDistance = (strictness) => {
+  const level = DUPLICATE_STRICTNESS.find(({ value }) => value === strictness);
+  return level ? level.maxDistance : null;
+};
+
+/**
+ * Get the image URL whose hash identifies a post's media
+ * @param {Object} post - Processed post
+ * @returns {string|null} Thumbnail URL, or null for posts without one
+ */
+export const getHashSourceUrl = (post) => {
+  if (post.isSelf || post.mediaType === 'text' || !post.thumbnailUrl) {
+    return null;
+  }
+  return post.thumbnailUrl;
+};
+
+/**
+ * Collapse posts showing the same image into one card
+ * The first post in display order is kept and gains a duplicates list of the
+ * posts folded into it. Posts without a hash are left alone.
+ * @param {Array} posts - Processed posts in display order
+ * @param {Map} hashes - Thumbnail URL to perceptual hash
+ * @param {number|null} maxDistance - Largest Hamming distance counted as a match; null disables collapsing
+ * @returns {Array} Posts with duplicates collapsed
+ */
+export const collapseDuplicates = (posts, hashes, maxDistance) => {
+  if (maxDistance === null || hashes.size === 0) {
+    return posts;
+  }
+
+  const groups = []; // [{ hash, leader, duplicates }]
+  const groupByPostId = new Map();
+
+  posts.forEach(post => {
+    const hash = hashes.get(getHashSourceUrl(post));
+    if (!hash || hammingDistance(hash, EMPTY_HASH) < MIN_HASH_BITS) return;
+
+    const group = groups.find(candidate => hammingDistance(candidate.hash, hash) <= maxDistance);
+    if (group) {
+      group.duplicates.push(post);
+      groupByPostId.set(post.id, null);
+    } else {
+      const newGroup = { hash, leader: post, duplicates: [] };
+      groups.push(newGroup);
+      groupByPostId.set(post.id, newGroup);
+    }
+  });
+
+  if (groups.every(group => group.duplicates.length === 0)) {
+    return posts;
+  }
+
+  const result = [];
+  posts.forEach(post => {
+    if (!groupByPostId.has(post.id)) {
+      result.push(post);
+      return;
+    }
+
+    // Folded posts are dropped; group leaders carry the list of them
+    const group = groupByPostId.get(post.id);
+    if (!group) return;
+    result.push(group.duplicates.length > 0
+      ? { ...post, duplicates: group.duplicates.map(toCrosspostRef) }
+      : post);
+  });
+
+  return result;
+};
+
+export default {
+  DUPLICATE_STRICTNESS,
+  DEFAULT_DUPLICATE_STRICTNESS,
+  getMaxHashDistance,
+  getHashSourceUrl,
+  collapseDuplicates
+};
@@ -0,0 +1,393 @@
+/**
+ * Markdown Parser
+ * Parses the Markdown used in Reddit comments and self posts into a small
+ * syntax tree. The tree is rendered with React elements rather than HTML
+ * strings, so nothing a user writes is ever injected as markup.
+ *
+ * Block nodes: paragraph, heading, blockquote, list, code, table, hr
+ * Inline nodes: text, strong, em, strike, spoiler, superscript, code, link, break
+ */
+
+// Lines that start a new block and so end a paragraph
+const FENCE_PATTERN = /^ {0,3}(```|~~~)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s*(.*?)\s*#*\s*$/;
+const HR_PATTERN = /^ {0,3}([-*_])( *\1){2,} *$/;
+const QUOTE_PATTERN = /^ {0,3}>(?!!) ?/; // >!...!< is a spoiler, not a quote
+const LIST_ITEM_PATTERN = /^( {0,3})([*+-]|\d{1,9}[.)])( +|$)/;
+const INDENTED_CODE_PATTERN = /^( {4}|\t)/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Lists and quotes nested deeper than this are kept as text, so hostile input
+// can't recurse without bound
+const MAX_NESTING_DEPTH = 8;
+
+// Checked in order; the earliest match in the text wins, ties go to the
+// pattern listed first
+const INLINE_PATTERNS = [
+  { type: 'escape', regex: /\\([\\`*_{}[\]()#+\-.!~^>|])/ },
+  { type: 'code', regex: /(`+)([\s\S]+?)\1/ },
+  { type: 'link', regex: /\[((?:\\.|[^\]\\])+)\]\(\s*<?([^\s()<>]+(?:\([^\s()<>]*\))?)>?(?:\s+"[^"]*")?\s*\)/ },
+  { type: 'strong', regex: /\*\*(?=\S)([\s\S]+?)\*\*|__(?=\S)([\s\S]+?)__/ },
+  { type: 'url', regex: /https?:\/\/[^\s<>()]+(?:\([^\s<>()]*\)[^\s<>()]*)*/ },
+  { type: 'community', regex: /(?:\B\/|\b)(r|u|user)\/([A-Za-z0-9_-]+)/ },
+  { type: 'spoiler', regex: />!(?=\S)([\s\S]+?)!</ },
+  { type: 'strike', regex: /~~(?=\S)([\s\S]+?)~~/ },
+  { type: 'superscript', regex: /\^\(([^)]+)\)|\^([^\s^]+)/ },
+  { type: 'em', regex: /\*(?=[^\s*])([\s\S]+?)\*|\b_(?=[^\s_])([\s\S]+?)_\b/ }
+];
+
+// Punctuation at the end of a bare URL usually belongs to the sentence
+const URL_TRAILING_PUNCTUATION = /[.,;:!?'"]+$/;
+
+// Links to these are images that can be shown inline
+const INLINE_IMAGE_PATTERN = /^https:\/\/(i\.redd\.it|preview\.redd\.it|i\.imgur\.com)\/|^https?:\/\/[^?#]+\.(jpe?g|png|gif|webp)([?#]|$)/i;
+
+// Schemes that are safe to link to; anything else (javascript:, data:, ...)
+// is shown as plain text
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Make a link target safe to render
+ * Reddit-relative paths (/r/..., /u/...) point at reddit.com
+ * @param {string} url - Link target as written
+ * @returns {string|null} Absolute URL, or null when the link isn't safe
+ */
+export const sanitizeUrl = (url) => {
+  const trimmed = url.trim();
+  if (trimmed.startsWith('/') && !trimmed.startsWith('//')) {
+    return `https://www.reddit.com${trimmed}`;
+  }
+  return SAFE_URL_PATTERN.test(trimmed) ? trimmed : null;
+};
+
+/**
+ * Check whether a link points straight at an image
+ * @param {string} href - Sanitized link target
+ * @returns {boolean}
+ */
+export const isInlineImageUrl = (href) => INLINE_IMAGE_PATTERN.test(href);
+
+const createLink = (href, children) => ({ type: 'link', href, children, isImage: isInlineImageUrl(href) });
+
+// Links can't nest, so a URL written as link text stays plain text
+const stripLinks = (nodes) => nodes.flatMap(node => (node.type === 'link' ? node.children : [node]));
+
+/**
+ * Find the earliest inline pattern match in text
+ */
+const findInlineMatch = (text) => {
+  let best = null;
+  INLINE_PATTERNS.forEach(pattern => {
+    const match = pattern.regex.exec(text);
+    if (match && (!best || match.index < best.match.index)) {
+      best = { type: pattern.type, match };
+    }
+  });
+  return best;
+};
+
+/**
+ * Parse inline Markdown
+ * @param {string} text - Text of a single block
+ * @returns {Array} Inline nodes
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let rest = text;
+
+  const pushText = (value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === 'text') {
+      last.text += value;
+    } else {
+      nodes.push({ type: 'text', text: value });
+    }
+  };
+
+  while (rest) {
+    const found = findInlineMatch(rest);
+    if (!found) {
+      pushText(rest);
+      break;
+    }
+
+    const { type, match } = found;
+    pushText(rest.slice(0, match.index));
+
+    // Bare URLs give trailing punctuation back to the surrounding text
+    const matchText = type === 'url' ? match[0].replace(URL_TRAILING_PUNCTUATION, '') : match[0];
+    rest = rest.slice(match.index + matchText.length);
+
+    switch (type) {
+      case 'escape':
+        pushText(match[1]);
+        break;
+      case 'code':
+        nodes.push({ type: 'code', text: match[2].trim() });
+        break;
+      case 'url':
+        nodes.push(createLink(matchText, [{ type: 'text', text: matchText }]));
+        break;
+      case 'community': {
+        const path = match[1] === 'r' ? `r/${match[2]}` : `user/${match[2]}`;
+        nodes.push(createLink(`https://www.reddit.com/${path}`, [{ type: 'text', text: matchText }]));
+        break;
+      }
+      case 'link': {
+        const href = sanitizeUrl(match[2]);
+        if (href) {
+          nodes.push(createLink(href, stripLinks(parseInline(match[1]))));
+        } else {
+          parseInline(match[1]).forEach(node => (node.type === 'text' ? pushText(node.text) : nodes.push(node)));
+        }
+        break;
+      }
+      default:
+        nodes.push({ type, children: parseInline(match[1] ?? match[2]) });
+    }
+  }
+
+  return nodes;
+};
+
+/**
+ * Parse the lines of a paragraph, keeping hard line breaks (two trailing
+ * spaces) and joining the rest with spaces
+ */
+const parseParagraph = (lines) => {
+  const children = [];
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      children.push(/ {2,}$/.test(lines[index - 1]) ? { type: 'break' } : { type: 'text', text: ' ' });
+    }
+    children.push(...parseInline(line.trim()));
+  });
+  return { type: 'paragraph', children };
+};
+
+/**
+ * Split a table row into cell texts, ignoring outer pipes and escaped ones
+ */
+const splitTableRow = (line) => {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [''];
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cells[cells.length - 1] += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += row[i];
+    }
+  }
+  return cells.map(cell => cell.trim());
+};
+
+const isTableStart = (lines, i) => {
+  return lines[i].includes('|') && i + 1 < lines.length && TABLE_DELIMITER_PATTERN.test(lines[i + 1]) &&
+    lines[i + 1].includes('-');
+};
+
+/**
+ * Parse a table: a header row, a delimiter row setting column alignment, and
+ * body rows up to the first line without a pipe
+ */
+const parseTable = (lines, start) => {
+  const header = splitTableRow(lines[start]);
+  const align = splitTableRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+    const cells = splitTableRow(lines[i]);
+    rows.push(header.map((_, column) => parseInline(cells[column] || '')));
+    i++;
+  }
+
+  return {
+    node: { type: 'table', align: header.map((_, column) => align[column] || null), header: header.map(parseInline), rows },
+    next: i
+  };
+};
+
+const startsBlock = (line) => {
+  return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || HR_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line);
+};
+
+const isBlank = (line) => line.trim() === '';
+
+/**
+ * Collect the lines of a list and split them into items
+ * Continuation lines are indented; a blank line followed by an unindented
+ * line that isn't another item ends the list
+ */
+const parseList = (lines, start, depth) => {
+  const ordered = /\d/.test(LIST_ITEM_PATTERN.exec(lines[start])[2]);
+  const items = [];
+  let current = null;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const marker = LIST_ITEM_PATTERN.exec(line);
+
+    // Markers indented as far as the item's text start a nested list instead
+    if (marker && /\d/.test(marker[2]) === ordered && (!current || marker[1].length < current.indent)) {
+      current = { indent: marker[0].length, lines: [line.slice(marker[0].length)] };
+      items.push(current);
+      i++;
+      continue;
+    }
+
+    if (isBlank(line)) {
+      const next = lines[i + 1];
+      if (next === undefined || (!/^\s/.test(next) && !LIST_ITEM_PATTERN.test(next))) break;
+      current.lines.push('');
+      i++;
+      continue;
+    }
+
+    // Indented lines belong to the current item; so do lazy continuation
+    // lines directly after it
+    if (/^\s/.test(line) || !isBlank(lines[i - 1])) {
+      if (!/^\s/.test(line) && startsBlock(line)) break;
+      const indent = Math.min(current.indent, line.match(/^\s*/)[0].length);
+      current.lines.push(line.slice(indent));
+      i++;
+      continue;
+    }
+
+    break;
+  }
+
+  const startNumber = ordered ? parseInt(LIST_ITEM_PATTERN.exec(lines[start])[2], 10) : null;
+  return {
+    node: {
+      type: 'list',
+      ordered,
+      start: startNumber,
+      // Items are parsed as documents of their own so they can hold nested lists
+      items: items.map(item => parseBlocks(item.lines.join('\n'), depth + 1))
+    },
+    next: i
+  };
+};
+
+/**
+ * Parse block-level Markdown
+ * @param {string} text - Markdown source
+ * @param {number} depth - List and quote nesting depth of the text
+ * @returns {Array} Block nodes
+ */
+export const parseBlocks = (text, depth = 0) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const canNest = depth < MAX_NESTING_DEPTH;
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE_PATTERN.exec(line);
+    if (fence) {
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', text: codeLines.join('\n') });
+      i++;
+      continue;
+    }
+
+    if (INDENTED_CODE_PATTERN.test(line)) {
+      const codeLines = [];
+      while (i < lines.length && (INDENTED_CODE_PATTERN.test(lines[i]) || isBlank(lines[i]))) {
+        codeLines.push(lines[i].replace(INDENTED_CODE_PATTERN, ''));
+        i++;
+      }
+      blocks.push({ type: 'code', text: codeLines.join('\n').replace(/\n+$/, '') });
+      continue;
+    }
+
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (HR_PATTERN.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (canNest && QUOTE_PATTERN.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoteLines.push(lines[i].replace(QUOTE_PATTERN, ''));
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoteLines.join('\n'), depth + 1) });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const { node, next } = parseTable(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    if (canNest && LIST_ITEM_PATTERN.test(line)) {
+      const { node, next } = parseList(lines, i, depth);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    const paragraphLines = [];
+    while (i < lines.length && !isBlank(lines[i]) && (paragraphLines.length === 0 || !startsBlock(lines[i]))) {
+      paragraphLines.push(lines[i]);
+      i++;
+    }
+    blocks.push(parseParagraph(paragraphLines));
+  }
+
+  return blocks;
+};
+
+/**
+ * Parse Markdown into block nodes
+ * @param {string} text - Markdown source
+ * @returns {Array} Block nodes
+ */
+export const parseMarkdown = (text) => {
+  return text ? parseBlocks(text) : [];
+};
+
+export default {
+  sanitizeUrl,
+  isInlineImageUrl,
+  parseInline,
+  parseBlocks,
+  parseMarkdown
+};
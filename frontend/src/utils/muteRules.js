@@ -0,0 +1,156 @@
+/**
+ * Mute Rule Utilities
+ * Match processed posts against a profile's mute rules (authors, domains,
+ * title patterns and flairs) and count how many posts each rule hides
+ */
+
+// Rule types in the order they are offered in the mute manager
+export const MUTE_RULE_TYPES = [
+  { value: 'author', label: 'Author', placeholder: 'username' },
+  { value: 'domain', label: 'Domain', placeholder: 'example.com' },
+  { value: 'title', label: 'Title pattern', placeholder: 'regex, e.g. \\bgiveaway\\b' },
+  { value: 'flair', label: 'Flair', placeholder: 'flair text' }
+];
+
+const normalizeDomain = (domain) => {
+  return (domain || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+};
+
+/**
+ * Clean up a rule value as typed or picked from a post
+ * @param {string} type - Rule type
+ * @param {string} value - Raw value
+ * @returns {string} Value to store (u/ prefixes and www. are dropped)
+ */
+export const normalizeMuteValue = (type, value) => {
+  const trimmed = (value || '').trim();
+  switch (type) {
+    case 'author':
+      return trimmed.replace(/^\/?u\//i, '');
+    case 'domain':
+      return normalizeDomain(trimmed);
+    default:
+      return trimmed;
+  }
+};
+
+/**
+ * Check a rule before it is saved
+ * @param {string} type - Rule type
+ * @param {string} value - Raw value
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+export const validateMuteRule = (type, value) => {
+  if (!MUTE_RULE_TYPES.some(ruleType => ruleType.value === type)) {
+    return `Unknown mute type: ${type}`;
+  }
+
+  const normalized = normalizeMuteValue(type, value);
+  if (!normalized) {
+    return 'Enter something to mute';
+  }
+
+  if (type === 'title') {
+    try {
+      new RegExp(normalized, 'i');
+    } catch (error) {
+      return `Invalid pattern: ${error.message}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the matcher for one rule
+ * Authors and flairs match exactly, domains also match their subdomains and
+ * title patterns are regular expressions, all case-insensitively
+ * @param {Object} rule - { id, type, value }
+ * @returns {Function|null} post => boolean, or null for rules that can't match
+ */
+const compileRule = (rule) => {
+  const value = (rule.value || '').toLowerCase();
+  if (!value) return null;
+
+  switch (rule.type) {
+    case 'author':
+      return (post) => (post.author || '').toLowerCase() === value;
+    case 'domain':
+      return (post) => {
+        const domain = normalizeDomain(post.domain);
+        return domain === value || domain.endsWith(`.${value}`);
+      };
+    case 'title':
+      try {
+        const pattern = new RegExp(rule.value, 'i');
+        return (post) => pattern.test(post.title || '');
+      } catch (error) {
+        console.error(`Skipping invalid mute pattern "${rule.value}":`, error);
+        return null;
+      }
+    case 'flair':
+      return (post) => (post.flair || '').toLowerCase() === value;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Remove muted posts from a feed
+ * Each hidden post is counted against the first rule that matched it
+ * @param {Array} posts - Processed posts
+ * @param {Array} rules - Mute rules
+ * @returns {Object} { posts, hitCounts } - visible posts and hidden post counts keyed by rule id
+ */
+export const applyMuteRules = (posts, rules = []) => {
+  const hitCounts = {};
+  const matchers = [];
+  rules.forEach(rule => {
+    hitCounts[rule.id] = 0;
+    const test = compileRule(rule);
+    if (test) {
+      matchers.push({ id: rule.id, test });
+    }
+  });
+
+  if (matchers.length === 0) {
+    return { posts, hitCounts };
+  }
+
+  const visiblePosts = posts.filter(post => {
+    const matcher = matchers.find(({ test }) => test(post));
+    if (matcher) {
+      hitCounts[matcher.id]++;
+      return false;
+    }
+    return true;
+  });
+
+  return { posts: visiblePosts, hitCounts };
+};
+
+/**
+ * Describe a rule for display
+ * @param {Object} rule - Mute rule
+ * @returns {string} e.g. u/spammer, imgur.com, /giveaway/, flair "Meme"
+ */
+export const formatMuteRule = (rule) => {
+  switch (rule.type) {
+    case 'author':
+      return `u/${rule.value}`;
+    case 'title':
+      return `/${rule.value}/`;
+    case 'flair':
+      return `flair "${rule.value}"`;
+    default:
+      return rule.value;
+  }
+};
+
+export default {
+  MUTE_RULE_TYPES,
+  normalizeMuteValue,
+  validateMuteRule,
+  applyMuteRules,
+  formatMuteRule
+};
@@ -0,0 +1,58 @@
+/**
+ * Perceptual hash utilities
+ * A difference hash (dHash) compares each pixel of a tiny grayscale copy of an
+ * image with its right-hand neighbour, so resized, recompressed or slightly
+ * recoloured copies of an image produce the same or a nearby hash
+ */
+
+// Images are scaled to 9x8 to get 8 comparisons per row, 64 bits in all
+export const HASH_WIDTH = 9;
+export const HASH_HEIGHT = 8;
+
+/**
+ * Compute the dHash of an image scaled to HASH_WIDTH x HASH_HEIGHT
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @returns {string} 16-digit hex hash
+ */
+export const computeDHash = (pixels) => {
+  const gray = [];
+  for (let i = 0; i < HASH_WIDTH * HASH_HEIGHT; i++) {
+    const offset = i * 4;
+    gray.push(pixels[offset] * 0.299 + pixels[offset + 1] * 0.587 + pixels[offset + 2] * 0.114);
+  }
+
+  let bits = '';
+  for (let row = 0; row < HASH_HEIGHT; row++) {
+    for (let col = 0; col < HASH_WIDTH - 1; col++) {
+      const index = row * HASH_WIDTH + col;
+      bits += gray[index] < gray[index + 1] ? '1' : '0';
+    }
+  }
+
+  return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+};
+
+/**
+ * Count the bits that differ between two hashes of the same length
+ * @param {string} hashA - Hex hash
+ * @param {string} hashB - Hex hash
+ * @returns {number} Hamming distance
+ */
+export const hammingDistance = (hashA, hashB) => {
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+};
+
+export default {
+  HASH_WIDTH,
+  HASH_HEIGHT,
+  computeDHash,
+  hammingDistance
+};
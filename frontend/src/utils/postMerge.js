@@ -0,0 +1,86 @@
+/**
+ * Post merge utility
+ * Merges a freshly polled post list into the one already on screen without
+ * replacing objects whose content has not changed
+ */
+
+// Fields that change between polls for an otherwise identical post
+const MUTABLE_FIELDS = [
+  'ups', 'downs', 'score', 'upvoteRatio', 'numComments', 'awards',
+  'title', 'content', 'selftext', 'hasContent', 'edited', 'editedUtc',
+  'flair', 'flairBackgroundColor', 'flairTextColor', 'spoiler', 'stickied', 'locked', 'distinguished',
+  'nsfwPolicy'
+];
+
+/**
+ * Check whether any mutable field differs between two versions of a post
+ * @param {Object} current - Post currently rendered
+ * @param {Object} fetched - Same post from the latest poll
+ * @returns {boolean} True if the fetched version carries changes
+ */
+const hasPostChanged = (current, fetched) => {
+  return MUTABLE_FIELDS.some(field => current[field] !== fetched[field]);
+};
+
+/**
+ * Copy mutable fields onto an existing post, keeping its media fields intact
+ * @param {Object} current - Post currently rendered
+ * @param {Object} fetched - Same post from the latest poll
+ * @returns {Object} Updated post object
+ */
+const applyPostUpdate = (current, fetched) => {
+  const updated = { ...current, lastUpdated: fetched.lastUpdated };
+  MUTABLE_FIELDS.forEach(field => {
+    updated[field] = fetched[field];
+  });
+  return updated;
+};
+
+/**
+ * Merge polled posts into the displayed list and the pending queue
+ * Known posts are updated in place, unknown posts are queued rather than shown
+ * @param {Array} currentPosts - Posts currently displayed
+ * @param {Array} pendingPosts - Posts already waiting in the "new posts" queue
+ * @param {Array} fetchedPosts - Posts returned by the latest poll
+ * @returns {Object} { posts, pendingPosts, newCount, updatedCount }
+ */
+export const mergePolledPosts = (currentPosts, pendingPosts, fetchedPosts) => {
+  const fetchedById = new Map(fetchedPosts.map(post => [post.id, post]));
+  let updatedCount = 0;
+
+  const posts = currentPosts.map(post => {
+    const fetched = fetchedById.get(post.id);
+    if (!fetched || !hasPostChanged(post, fetched)) {
+      return post;
+    }
+    updatedCount++;
+    return applyPostUpdate(post, fetched);
+  });
+
+  const knownIds = new Set(currentPosts.map(post => post.id));
+  const pendingById = new Map(pendingPosts.map(post => [post.id, post]));
+  let newCount = 0;
+
+  fetchedPosts.forEach(post => {
+    if (knownIds.has(post.id)) return;
+
+    const queued = pendingById.get(post.id);
+    if (queued) {
+      pendingById.set(post.id, hasPostChanged(queued, post) ? applyPostUpdate(queued, post) : queued);
+    } else {
+      pendingById.set(post.id, post);
+      newCount++;
+    }
+  });
+
+  return {
+    posts,
+    pendingPosts: Array.from(pendingById.values()).sort((a, b) => b.createdUtc - a.createdUtc),
+    newCount,
+    updatedCount
+  };
+};
+
+export default {
+  mergePolledPosts
+};
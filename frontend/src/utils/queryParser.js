@@ -1,134 +1,579 @@
 /**
  * Query Parser Utility for Reddit Search
- * Handles boolean logic (AND, OR, NOT) and query validation
+ * Tokenizes and parses boolean queries (AND, OR, NOT, parentheses, quoted
+ * phrases, field qualifiers) into an AST that can be sent to Reddit's search
+ * or evaluated locally against processed posts
  */
 
+// Token types produced by tokenizeQuery
+const OPERATOR_TOKENS = { AND: 'and', OR: 'or', NOT: 'not' };
+
+// Qualified fields: text and yes/no fields map onto Reddit's search syntax,
+// number fields are comparisons Reddit can't search, so they only run locally
+const QUERY_FIELDS = new Map([
+  ['author', 'text'],
+  ['flair', 'text'],
+  ['site', 'text'],
+  ['url', 'text'],
+  ['self', 'boolean'],
+  ['nsfw', 'boolean'],
+  ['score', 'number'],
+  ['comments', 'number'],
+  ['ratio', 'number'], // Upvote ratio as a percentage
+  ['awards', 'number']
+]);
+const FIELD_PATTERN = /^([a-z]+)(>=|<=|>|<|=|:)(.*)$/i;
+const COMPARISON_OPERATORS = ['>', '>=', '<', '<=', '='];
+const BOOLEAN_VALUES = new Map([['yes', true], ['true', true], ['no', false], ['false', false]]);
+
 /**
- * Parse user-friendly keyword input into Reddit search format
- * @param {string} userInput - Raw user input
- * @returns {string} - Formatted query for Reddit API
+ * Create the error thrown for queries that don't parse
+ * @param {string} message - Message shown to the user
+ * @param {number} position - Character offset of the offending token
+ * @returns {Error} Error named QuerySyntaxError
  */
-export const parseKeywordQuery = (userInput) => {
-  if (!userInput || typeof userInput !== 'string') {
-    return '';
+const createSyntaxError = (message, position) => {
+  const error = new Error(message);
+  error.name = 'QuerySyntaxError';
+  error.position = position;
+  return error;
+};
+
+/**
+ * Split query input into tokens
+ * Operators are matched case-insensitively; quoted text becomes a single
+ * phrase token (an unclosed quote runs to the end of the input)
+ * @param {string} input - Raw query input
+ * @returns {Array} Tokens of { type, value, position } where type is one of
+ *   'term', 'phrase', 'field', 'and', 'or', 'not', 'lparen', 'rparen'; field
+ *   tokens also carry { field, operator }
+ */
+export const tokenizeQuery = (input) => {
+  const tokens = [];
+  if (!input || typeof input !== 'string') {
+    return tokens;
   }
 
-  // Trim and normalize whitespace
-  let query = userInput.trim().replace(/\s+/g, ' ');
-  
-  if (!query) {
-    return '';
+  let index = 0;
+  while (index < input.length) {
+    const char = input[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char, position: index });
+      index++;
+      continue;
+    }
+
+    if (char === '"') {
+      const closing = input.indexOf('"', index + 1);
+      const end = closing === -1 ? input.length : closing;
+      tokens.push({ type: 'phrase', value: input.slice(index + 1, end).trim(), position: index });
+      index = end + 1;
+      continue;
+    }
+
+    // A bare word runs until whitespace, a parenthesis or a quote
+    let end = index;
+    while (end < input.length && !/[\s()"]/.test(input[end])) {
+      end++;
+    }
+    const word = input.slice(index, end);
+
+    // field:value, field:"quoted value" or field>number
+    const fieldMatch = word.match(FIELD_PATTERN);
+    if (fieldMatch && QUERY_FIELDS.has(fieldMatch[1].toLowerCase())) {
+      let value = fieldMatch[3];
+      if (!value && input[end] === '"') {
+        const closing = input.indexOf('"', end + 1);
+        const valueEnd = closing === -1 ? input.length : closing;
+        value = input.slice(end + 1, valueEnd).trim();
+        end = valueEnd + 1;
+      }
+      tokens.push({
+        type: 'field',
+        field: fieldMatch[1].toLowerCase(),
+        operator: fieldMatch[2],
+        value,
+        position: index
+      });
+      index = end;
+      continue;
+    }
+
+    const operator = OPERATOR_TOKENS[word.toUpperCase()];
+    tokens.push({ type: operator || 'term', value: operator ? word.toUpperCase() : word, position: index });
+    index = end;
   }
 
-  // Handle quoted phrases - preserve them as-is
-  const quotedPhrases = [];
-  const quotePlaceholders = [];
-  
-  // Extract quoted phrases and replace with placeholders
-  query = query.replace(/"([^"]+)"/g, (match, phrase) => {
-    const placeholder = `__QUOTE_${quotedPhrases.length}__`;
-    quotedPhrases.push(`"${phrase}"`);
-    quotePlaceholders.push(placeholder);
-    return placeholder;
-  });
+  return tokens;
+};
 
-  // Normalize boolean operators (case insensitive)
-  query = query.replace(/\s+and\s+/gi, ' AND ');
-  query = query.replace(/\s+or\s+/gi, ' OR ');
-  query = query.replace(/\s+not\s+/gi, ' NOT ');
+const getFieldExample = (field) => {
+  switch (QUERY_FIELDS.get(field)) {
+    case 'number':
+      return `${field}>100`;
+    case 'boolean':
+      return `${field}:yes`;
+    default:
+      return `${field}:example`;
+  }
+};
 
-  // Handle implicit AND for space-separated terms
-  // Split by explicit operators first
-  const parts = query.split(/(\s+(?:AND|OR|NOT)\s+|\(|\))/);
-  
-  const processedParts = parts.map(part => {
-    const trimmed = part.trim();
-    
-    // Skip operators, parentheses, and empty parts
-    if (!trimmed || /^(AND|OR|NOT|\(|\))$/.test(trimmed)) {
-      return trimmed;
-    }
-    
-    // Handle multiple space-separated terms within a part
-    const terms = trimmed.split(/\s+/);
-    if (terms.length > 1) {
-      // Join multiple terms with AND
-      return terms.join(' AND ');
+/**
+ * Check a field token and build its AST node
+ * @param {Object} token - Field token
+ * @returns {Object} { type: 'field', field, operator, value } where value is
+ *   a string, boolean or number depending on the field
+ */
+const parseFieldToken = (token) => {
+  const { field, operator, value, position } = token;
+  const kind = QUERY_FIELDS.get(field);
+
+  if (!value) {
+    throw createSyntaxError(`${field} needs a value (e.g., ${getFieldExample(field)})`, position);
+  }
+
+  if (kind === 'number') {
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      throw createSyntaxError(`${field} needs a comparison (e.g., ${getFieldExample(field)})`, position);
     }
-    
-    return trimmed;
-  });
+    if (!/^-?\d+$/.test(value)) {
+      throw createSyntaxError(`${field} must be compared to a whole number`, position);
+    }
+    return { type: 'field', field, operator, value: parseInt(value, 10) };
+  }
 
-  query = processedParts.join('');
+  if (operator !== ':') {
+    throw createSyntaxError(`${field} only supports ${field}:value`, position);
+  }
 
-  // Clean up extra spaces around operators
-  query = query.replace(/\s+/g, ' ');
-  query = query.replace(/\s*\(\s*/g, '(');
-  query = query.replace(/\s*\)\s*/g, ')');
-  query = query.replace(/\s*(AND|OR|NOT)\s*/g, ' $1 ');
+  if (kind === 'boolean') {
+    const flag = BOOLEAN_VALUES.get(value.toLowerCase());
+    if (flag === undefined) {
+      throw createSyntaxError(`${field} must be yes or no`, position);
+    }
+    return { type: 'field', field, operator, value: flag };
+  }
 
-  // Restore quoted phrases
-  quotePlaceholders.forEach((placeholder, index) => {
-    query = query.replace(placeholder, quotedPhrases[index]);
-  });
+  return { type: 'field', field, operator, value };
+};
+
+
+/**
+ * Recursive descent parser over query tokens
+ * Grammar (lowest to highest precedence):
+ *   or      := and ("OR" and)*
+ *   and     := unary (["AND"] unary)*      adjacent terms are an implicit AND
+ *   unary   := "NOT" unary | primary
+ *   primary := term | phrase | field | "(" or ")"
+ */
+const createParser = (tokens) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const startsOperand = (token) => token && ['term', 'phrase', 'field', 'not', 'lparen'].includes(token.type);
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      const operator = next();
+      if (!startsOperand(peek())) {
+        throw missingOperandError(operator);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek()?.type === 'and' || startsOperand(peek())) {
+      if (peek().type === 'and') {
+        const operator = next();
+        if (!startsOperand(peek())) {
+          throw missingOperandError(operator);
+        }
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === 'not') {
+      const operator = next();
+      if (!startsOperand(peek())) {
+        throw missingOperandError(operator);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (!token) {
+      throw createSyntaxError('Query cannot end with an operator');
+    }
+
+    if (token.type === 'term' || token.type === 'phrase') {
+      if (!token.value) {
+        throw createSyntaxError('Empty quotes are not allowed', token.position);
+      }
+      return { type: token.type, value: token.value };
+    }
+
+    if (token.type === 'field') {
+      return parseFieldToken(token);
+    }
 
-  return query.trim();
+    if (token.type === 'lparen') {
+      if (peek()?.type === 'rparen') {
+        throw createSyntaxError('Empty parentheses are not allowed', token.position);
+      }
+      if (peek()?.type === 'and' || peek()?.type === 'or') {
+        throw createSyntaxError('Parentheses cannot start with AND or OR', token.position);
+      }
+      const node = parseOr();
+      if (next()?.type !== 'rparen') {
+        throw createSyntaxError('Unmatched opening parenthesis', token.position);
+      }
+      return node;
+    }
+
+    if (token.type === 'rparen') {
+      throw createSyntaxError('Unmatched closing parenthesis', token.position);
+    }
+
+    // AND / OR where an operand was expected
+    throw createSyntaxError(
+      index === 1 ? 'Query cannot start with AND or OR' : 'Invalid operator sequence (e.g., "AND OR")',
+      token.position
+    );
+  };
+
+  // An operator followed by another operator, a closing parenthesis or nothing
+  const missingOperandError = (operator) => {
+    const following = peek();
+    if (!following) {
+      return createSyntaxError('Query cannot end with an operator', operator.position);
+    }
+    if (following.type === 'rparen') {
+      return createSyntaxError(`${operator.value} must be followed by a term`, operator.position);
+    }
+    return createSyntaxError('Invalid operator sequence (e.g., "AND OR")', following.position);
+  };
+
+  const parse = () => {
+    if (tokens.length === 0) {
+      throw createSyntaxError('Query cannot be empty');
+    }
+    const ast = parseOr();
+    const leftover = peek();
+    if (leftover) {
+      throw createSyntaxError(
+        leftover.type === 'rparen' ? 'Unmatched closing parenthesis' : `Unexpected "${leftover.value}"`,
+        leftover.position
+      );
+    }
+    return ast;
+  };
+
+  return { parse };
 };
 
 /**
- * Validate query syntax
- * @param {string} query - Query to validate
- * @returns {object} - { isValid: boolean, error: string }
+ * Parse query input into an AST
+ * Nodes are { type: 'and' | 'or', children }, { type: 'not', child },
+ * { type: 'term' | 'phrase', value } and { type: 'field', field, operator, value }
+ * @param {string} input - Raw query input
+ * @returns {Object} { ast, error } - ast is null when the query is invalid
  */
-export const validateQuery = (query) => {
-  if (!query || typeof query !== 'string') {
-    return { isValid: false, error: 'Query cannot be empty' };
+export const parseQuery = (input) => {
+  try {
+    return { ast: createParser(tokenizeQuery(input)).parse(), error: null };
+  } catch (error) {
+    if (error.name === 'QuerySyntaxError') {
+      return { ast: null, error: error.message };
+    }
+    throw error;
   }
+};
 
-  const trimmed = query.trim();
-  if (!trimmed) {
-    return { isValid: false, error: 'Query cannot be empty' };
+/**
+ * Serialize a field node, quoting values with spaces and writing yes/no flags
+ * @param {Object} node - Field node
+ * @returns {string} e.g. author:spez, flair:"Original Content", self:yes, score>500
+ */
+const fieldToString = ({ field, operator, value }) => {
+  switch (QUERY_FIELDS.get(field)) {
+    case 'number':
+      return `${field}${operator}${value}`;
+    case 'boolean':
+      return `${field}:${value ? 'yes' : 'no'}`;
+    default:
+      return /\s/.test(value) ? `${field}:"${value}"` : `${field}:${value}`;
+  }
+};
+
+/**
+ * Serialize an AST back into Reddit search syntax
+ * @param {Object} node - AST node
+ * @returns {string} Query string with explicit operators
+ */
+export const queryToString = (node) => {
+  const wrap = (child, parentType) => {
+    const text = queryToString(child);
+    const needsParens = (child.type === 'or' && parentType !== 'or') ||
+      (child.type === 'and' && parentType === 'not');
+    return needsParens ? `(${text})` : text;
+  };
+
+  switch (node.type) {
+    case 'term':
+      return node.value;
+    case 'phrase':
+      return `"${node.value}"`;
+    case 'field':
+      return fieldToString(node);
+    case 'not':
+      return `NOT ${wrap(node.child, 'not')}`;
+    case 'and':
+      // "a NOT b" already means a AND NOT b, so NOT needs no AND in front
+      return node.children.map((child, index) => {
+        const text = wrap(child, 'and');
+        if (index === 0) return text;
+        return child.type === 'not' ? ` ${text}` : ` AND ${text}`;
+      }).join('');
+    case 'or':
+      return node.children.map(child => wrap(child, 'or')).join(' OR ');
+    default:
+      return '';
+  }
+};
+
+/**
+ * Gather the searchable text of a processed post
+ * @param {Object} post - Processed post
+ * @returns {string} Lowercase text from title, self text, author and subreddit
+ */
+const getPostSearchText = (post) => {
+  // content is only a preview of the self text; posts cached before selftext was kept only have that
+  return [post.title, post.selftext ?? post.content, post.author, post.subreddit]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+};
+
+/**
+ * Get the domain a post links to
+ * @param {Object} post - Processed post
+ * @returns {string} Lowercase domain without a leading www.
+ */
+const getPostDomain = (post) => {
+  if (post.domain) {
+    return post.domain.toLowerCase().replace(/^www\./, '');
   }
+  try {
+    return new URL(post.url || post.mediaUrl).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+const compareNumbers = (actual, operator, expected) => {
+  switch (operator) {
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    default:
+      return actual === expected;
+  }
+};
 
-  // Check for balanced parentheses
-  let parenCount = 0;
-  for (const char of trimmed) {
-    if (char === '(') parenCount++;
-    if (char === ')') parenCount--;
-    if (parenCount < 0) {
-      return { isValid: false, error: 'Unmatched closing parenthesis' };
+/**
+ * Evaluate a field node against a processed post
+ * author matches exactly, site matches the domain or its subdomains, and
+ * flair and url match substrings, all case-insensitively
+ * @param {Object} node - Field node
+ * @param {Object} post - Processed post
+ * @returns {boolean} True if the post matches
+ */
+const evaluateField = ({ field, operator, value }, post) => {
+  const text = typeof value === 'string' ? value.toLowerCase() : value;
+
+  switch (field) {
+    case 'author':
+      return (post.author || '').toLowerCase() === text;
+    case 'flair':
+      return (post.flair || '').toLowerCase().includes(text);
+    case 'site': {
+      const domain = getPostDomain(post);
+      const site = text.replace(/^www\./, '');
+      return domain === site || domain.endsWith(`.${site}`);
     }
+    case 'url':
+      return (post.url || post.mediaUrl || '').toLowerCase().includes(text);
+    case 'self':
+      return Boolean(post.isSelf ?? post.mediaType === 'text') === value;
+    case 'nsfw':
+      return Boolean(post.over18) === value;
+    case 'score':
+      return compareNumbers(post.score ?? post.ups ?? 0, operator, value);
+    case 'comments':
+      return compareNumbers(post.numComments ?? 0, operator, value);
+    case 'ratio':
+      // Posts without a ratio (e.g. cached before it was kept) never match
+      return post.upvoteRatio != null && compareNumbers(Math.round(post.upvoteRatio * 100), operator, value);
+    case 'awards':
+      return compareNumbers(post.awards ?? 0, operator, value);
+    default:
+      return true;
   }
-  
-  if (parenCount > 0) {
-    return { isValid: false, error: 'Unmatched opening parenthesis' };
+};
+
+/**
+ * Evaluate an AST against a processed post
+ * Terms and phrases match case-insensitively anywhere in the title, self text,
+ * author or subreddit, so partial words match while typing; fields are
+ * checked against the matching post property
+ * @param {Object} node - AST node
+ * @param {Object} post - Processed post
+ * @param {string} searchText - Precomputed search text (optional)
+ * @returns {boolean} True if the post matches
+ */
+export const evaluateQuery = (node, post, searchText = getPostSearchText(post)) => {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return searchText.includes(node.value.toLowerCase());
+    case 'field':
+      return evaluateField(node, post);
+    case 'not':
+      return !evaluateQuery(node.child, post, searchText);
+    case 'and':
+      return node.children.every(child => evaluateQuery(child, post, searchText));
+    case 'or':
+      return node.children.some(child => evaluateQuery(child, post, searchText));
+    default:
+      return true;
   }
+};
 
-  // Check for invalid operator sequences
-  if (/\b(AND|OR|NOT)\s+(AND|OR|NOT)\b/i.test(trimmed)) {
-    return { isValid: false, error: 'Invalid operator sequence (e.g., "AND OR")' };
+/**
+ * Compile query input into a post filter
+ * An empty or invalid query matches every post
+ * @param {string} input - Raw query input
+ * @returns {Object} { matches(post), isActive, error }
+ */
+export const createQueryFilter = (input) => {
+  if (!input || !input.trim()) {
+    return { matches: () => true, isActive: false, error: null };
   }
 
-  // Check for operators at start/end
-  if (/^(AND|OR)\b/i.test(trimmed)) {
-    return { isValid: false, error: 'Query cannot start with AND or OR' };
+  const { ast, error } = parseQuery(input);
+  if (!ast) {
+    return { matches: () => true, isActive: false, error };
   }
-  
-  if (/\b(AND|OR|NOT)$/i.test(trimmed)) {
-    return { isValid: false, error: 'Query cannot end with an operator' };
+
+  return { matches: (post) => evaluateQuery(ast, post), isActive: true, error: null };
+};
+
+const isLocalOnlyNode = (node) => node.type === 'field' && QUERY_FIELDS.get(node.field) === 'number';
+
+const containsLocalOnlyNode = (node) => {
+  if (isLocalOnlyNode(node)) return true;
+  if (node.type === 'not') return containsLocalOnlyNode(node.child);
+  return (node.children || []).some(containsLocalOnlyNode);
+};
+
+/**
+ * Split a keyword query into the part Reddit's search understands and the
+ * number comparisons (score, comments, ratio, awards) that have to be applied
+ * to the results locally
+ * Comparisons must be ANDed with the rest of the query, since Reddit would
+ * otherwise return posts the local check can't bring back
+ * @param {string} input - Raw query input
+ * @returns {Object} { searchQuery, matches(post), error }
+ */
+export const splitSearchQuery = (input) => {
+  const { ast, error } = parseQuery(input);
+  if (!ast) {
+    return { searchQuery: '', matches: () => true, error };
   }
 
-  // Check for empty parentheses
-  if (/\(\s*\)/.test(trimmed)) {
-    return { isValid: false, error: 'Empty parentheses are not allowed' };
+  const children = ast.type === 'and' ? ast.children : [ast];
+  const localChildren = children.filter(isLocalOnlyNode);
+  const searchChildren = children.filter(child => !isLocalOnlyNode(child));
+
+  if (searchChildren.some(containsLocalOnlyNode)) {
+    return {
+      searchQuery: '',
+      matches: () => true,
+      error: 'score, comments, ratio and awards comparisons can only be combined with AND'
+    };
   }
 
-  // Check for operators next to parentheses incorrectly
-  if (/\(\s*(AND|OR)\b/i.test(trimmed)) {
-    return { isValid: false, error: 'Parentheses cannot start with AND or OR' };
+  if (searchChildren.length === 0) {
+    return {
+      searchQuery: '',
+      matches: () => true,
+      error: 'Add a search term alongside score, comments, ratio and awards comparisons'
+    };
   }
 
-  return { isValid: true, error: null };
+  const searchAst = searchChildren.length === 1 ? searchChildren[0] : { type: 'and', children: searchChildren };
+  return {
+    searchQuery: queryToString(searchAst),
+    matches: (post) => localChildren.every(child => evaluateField(child, post)),
+    error: null
+  };
+};
+
+/**
+ * Parse user-friendly keyword input into Reddit search format
+ * @param {string} userInput - Raw user input
+ * @returns {string} - Formatted query for Reddit API
+ */
+export const parseKeywordQuery = (userInput) => {
+  if (!userInput || typeof userInput !== 'string') {
+    return '';
+  }
+
+  const { ast } = parseQuery(userInput);
+  if (!ast) {
+    // Invalid queries are rejected by validateQuery before they are saved
+    return userInput.trim().replace(/\s+/g, ' ');
+  }
+
+  return queryToString(ast);
+};
+
+/**
+ * Validate query syntax
+ * @param {string} query - Query to validate
+ * @returns {object} - { isValid: boolean, error: string }
+ */
+export const validateQuery = (query) => {
+  if (!query || typeof query !== 'string' || !query.trim()) {
+    return { isValid: false, error: 'Query cannot be empty' };
+  }
+
+  // Saved keyword queries are sent to Reddit's search, so check they can be split
+  const { error } = splitSearchQuery(query);
+  return { isValid: !error, error };
 };
 
 /**
@@ -166,6 +611,51 @@ export const getQueryExamples = () => {
       input: 'programming javascript react',
       output: 'programming AND javascript AND react',
       description: 'Find posts about all three topics'
+    },
+    {
+      input: 'author:spez',
+      output: 'author:spez',
+      description: 'Find posts by a specific user'
+    },
+    {
+      input: 'flair:"Original Content"',
+      output: 'flair:"Original Content"',
+      description: 'Find posts with a flair (quote flairs that contain spaces)'
+    },
+    {
+      input: 'site:imgur.com cats',
+      output: 'site:imgur.com AND cats',
+      description: 'Find cat posts linking to imgur.com or its subdomains'
+    },
+    {
+      input: 'url:gallery',
+      output: 'url:gallery',
+      description: 'Find posts whose link contains "gallery"'
+    },
+    {
+      input: 'self:yes question',
+      output: 'self:yes AND question',
+      description: 'Find text posts only (self:no for link posts)'
+    },
+    {
+      input: 'nsfw:no memes',
+      output: 'nsfw:no AND memes',
+      description: 'Leave out posts marked NSFW (nsfw:yes for only NSFW posts)'
+    },
+    {
+      input: 'cats score>500',
+      output: 'cats AND score>500',
+      description: 'Find cat posts with a score above 500 (checked after fetching)'
+    },
+    {
+      input: 'discussion comments>=20',
+      output: 'discussion AND comments>=20',
+      description: 'Find posts with at least 20 comments (>, >=, <, <= and = work too)'
+    },
+    {
+      input: 'art ratio>=95',
+      output: 'art AND ratio>=95',
+      description: 'Find art posts with an upvote ratio of 95% or more (awards>0 checks awards)'
     }
   ];
 };
@@ -227,26 +717,23 @@ export const formatQueryForDisplay = (query) => {
     return { parts: [], hasOperators: false };
   }
 
-  const parts = [];
-  const tokens = query.split(/(\s+(?:AND|OR|NOT)\s+|\(|\)|"[^"]*")/);
-  
-  let hasOperators = false;
-
-  tokens.forEach((token, index) => {
-    const trimmed = token.trim();
-    if (!trimmed) return;
-
-    if (/^(AND|OR|NOT)$/i.test(trimmed)) {
-      parts.push({ type: 'operator', text: trimmed, index });
-      hasOperators = true;
-    } else if (trimmed === '(' || trimmed === ')') {
-      parts.push({ type: 'parenthesis', text: trimmed, index });
-    } else if (/^".*"$/.test(trimmed)) {
-      parts.push({ type: 'phrase', text: trimmed, index });
-    } else {
-      parts.push({ type: 'term', text: trimmed, index });
+  const parts = tokenizeQuery(query).map((token, index) => {
+    switch (token.type) {
+      case 'and':
+      case 'or':
+      case 'not':
+        return { type: 'operator', text: token.value, index };
+      case 'lparen':
+      case 'rparen':
+        return { type: 'parenthesis', text: token.value, index };
+      case 'phrase':
+        return { type: 'phrase', text: `"${token.value}"`, index };
+      case 'field':
+        return { type: 'field', text: `${token.field}${token.operator}${/\s/.test(token.value) ? `"${token.value}"` : token.value}`, index };
+      default:
+        return { type: 'term', text: token.value, index };
     }
   });
 
-  return { parts, hasOperators };
+  return { parts, hasOperators: parts.some(part => part.type === 'operator') };
 };
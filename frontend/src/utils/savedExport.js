@@ -0,0 +1,142 @@
+/**
+ * Saved Post Export Utilities
+ * Serialize saved posts to JSON, CSV or a standalone HTML page and download
+ * the result
+ */
+
+export const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', mimeType: 'application/json' },
+  { value: 'csv', label: 'CSV', mimeType: 'text/csv' },
+  { value: 'html', label: 'HTML', mimeType: 'text/html' }
+];
+
+const CSV_COLUMNS = ['title', 'author', 'subreddit', 'url', 'mediaType', 'mediaUrl', 'tags', 'createdAt', 'savedAt'];
+
+const getRedditUrl = (post) => `https://www.reddit.com${post.permalink}`;
+
+const toIsoDate = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : '');
+
+/**
+ * Flatten a saved item into the fields shared by CSV and HTML exports
+ */
+const toExportRow = ({ post, tags, savedAt }) => ({
+  title: post.title,
+  author: post.author,
+  subreddit: post.subreddit,
+  url: getRedditUrl(post),
+  mediaType: post.mediaType,
+  mediaUrl: post.mediaUrl || '',
+  tags: tags.join('; '),
+  createdAt: toIsoDate(post.createdUtc * 1000),
+  savedAt: toIsoDate(savedAt)
+});
+
+const escapeCsvValue = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Export saved posts as JSON, including the full post snapshots
+ * @param {Array} items - Saved posts
+ * @returns {string} JSON text
+ */
+export const exportSavedAsJson = (items) => {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), items }, null, 2);
+};
+
+/**
+ * Export saved posts as CSV, one row per post
+ * @param {Array} items - Saved posts
+ * @returns {string} CSV text
+ */
+export const exportSavedAsCsv = (items) => {
+  const rows = items.map(toExportRow).map(row => CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+/**
+ * Export saved posts as a standalone HTML page
+ * Image posts include their image; everything links back to Reddit
+ * @param {Array} items - Saved posts
+ * @returns {string} HTML document
+ */
+export const exportSavedAsHtml = (items) => {
+  const entries = items.map(item => {
+    const row = toExportRow(item);
+    const image = item.post.mediaType === 'image' && row.mediaUrl
+      ? `\n      <img src="${escapeHtml(row.mediaUrl)}" alt="" loading="lazy">`
+      : '';
+    const tags = item.tags.length > 0
+      ? `\n      <p class="tags">${item.tags.map(tag => `<span>${escapeHtml(tag)}</span>`).join(' ')}</p>`
+      : '';
+    return `    <li>
+      <a href="${escapeHtml(row.url)}">${escapeHtml(row.title)}</a>
+      <p class="meta">r/${escapeHtml(row.subreddit)} • u/${escapeHtml(row.author)} • saved ${escapeHtml(row.savedAt.slice(0, 10))}</p>${image}${tags}
+    </li>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Reddit Visor saved posts</title>
+  <style>
+    body { font-family: sans-serif; max-width: 800px; margin: 2em auto; padding: 0 1em; }
+    li { margin-bottom: 1.5em; }
+    .meta { color: #666; font-size: 0.9em; margin: 0.25em 0; }
+    img { max-width: 100%; max-height: 400px; display: block; }
+    .tags span { background: #eef; border-radius: 4px; padding: 0 6px; font-size: 0.85em; }
+  </style>
+</head>
+<body>
+  <h1>Saved posts (${items.length})</h1>
+  <ul>
+${entries.join('\n')}
+  </ul>
+</body>
+</html>
+`;
+};
+
+/**
+ * Download saved posts in one of the export formats
+ * @param {string} format - 'json', 'csv' or 'html'
+ * @param {Array} items - Saved posts
+ */
+export const downloadSavedExport = (format, items) => {
+  const exporters = { json: exportSavedAsJson, csv: exportSavedAsCsv, html: exportSavedAsHtml };
+  const formatInfo = EXPORT_FORMATS.find(({ value }) => value === format);
+  if (!formatInfo) {
+    console.error(`Unknown export format: ${format}`);
+    return;
+  }
+
+  const blob = new Blob([exporters[format](items)], { type: `${formatInfo.mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `redditvisor-saved-${new Date().toISOString().slice(0, 10)}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export default {
+  EXPORT_FORMATS,
+  exportSavedAsJson,
+  exportSavedAsCsv,
+  exportSavedAsHtml,
+  downloadSavedExport
+};
@@ -0,0 +1,49 @@
+/**
+ * Image hash worker
+ * Downloads thumbnails and computes their perceptual hash off the main thread.
+ * Messages in: { id, url }. Messages out: { id, hash } or { id, error }.
+ */
+import { HASH_WIDTH, HASH_HEIGHT, computeDHash } from '../utils/perceptualHash.js';
+
+const MAX_CONCURRENT_DOWNLOADS = 4;
+
+const queue = [];
+let activeDownloads = 0;
+
+const hashImage = async (url) => {
+  const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const bitmap = await createImageBitmap(await response.blob());
+  const canvas = new OffscreenCanvas(HASH_WIDTH, HASH_HEIGHT);
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+  bitmap.close();
+
+  return computeDHash(context.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT).data);
+};
+
+const processQueue = () => {
+  while (activeDownloads < MAX_CONCURRENT_DOWNLOADS && queue.length > 0) {
+    const { id, url } = queue.shift();
+    activeDownloads++;
+
+    hashImage(url)
+      .then(
+        (hash) => self.postMessage({ id, hash }),
+        (error) => self.postMessage({ id, error: error.message })
+      )
+      .finally(() => {
+        activeDownloads--;
+        processQueue();
+      });
+  }
+};
+
+self.onmessage = (event) => {
+  queue.push(event.data);
+  processQueue();
+};